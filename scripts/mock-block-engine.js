@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Local stand-in for a block engine (e.g. Jito), to try block engine endpoints without one.
+// Answers sendTransaction with the transaction's signature and sendBundle with a bundle id. With --forward, every
+// transaction is also relayed to a validator's sendTransaction, so it can actually land (e.g. on solana-test-validator).
+// Usage: node scripts/mock-block-engine.js [--port 8910] [--forward http://127.0.0.1:8899] [--latency 0]
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import bs58 from 'bs58';
+
+const USAGE = `Usage: node scripts/mock-block-engine.js [options]
+
+Options:
+  --port <port>      Port to listen on (default: 8910)
+  --forward <url>    Relay every transaction to this RPC endpoint's sendTransaction
+  --latency <ms>     Delay every response by this long (default: 0)
+  --help             Show this message
+
+Config entry: { name: "Mock Block Engine", url: "http://127.0.0.1:8910", method: "sendBundle" }`;
+
+// The signatures come first in a serialized transaction: a compact-u16 count, then 64 bytes per signature.
+function readFirstSignature(encodedTransaction) {
+  const bytes = Buffer.from(encodedTransaction, 'base64');
+  if (bytes.length < 65 || bytes[0] === 0) {
+    throw new Error('Not a signed serialized transaction.');
+  }
+  return bs58.encode(bytes.subarray(1, 65));
+}
+
+async function forwardTransaction(rpcUrl, encodedTransaction) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'sendTransaction',
+      params: [encodedTransaction, { encoding: 'base64', skipPreflight: true, maxRetries: 0 }],
+    }),
+  });
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(body.error.message || JSON.stringify(body.error));
+  }
+  return body.result;
+}
+
+// Returns the JSON-RPC result for a request, or throws with a message for the JSON-RPC error.
+async function handleRequest({ method, params }, { forward }) {
+  if (method === 'sendTransaction') {
+    const [encodedTransaction] = params || [];
+    const signature = readFirstSignature(encodedTransaction);
+    if (forward) await forwardTransaction(forward, encodedTransaction);
+    return signature;
+  }
+  if (method === 'sendBundle') {
+    const [encodedTransactions] = params || [];
+    if (!Array.isArray(encodedTransactions) || encodedTransactions.length === 0) {
+      throw new Error('sendBundle expects an array of base64 encoded transactions.');
+    }
+    const signatures = encodedTransactions.map(readFirstSignature);
+    if (forward) {
+      for (const encodedTransaction of encodedTransactions) {
+        await forwardTransaction(forward, encodedTransaction);
+      }
+    }
+    // Real block engines also derive the bundle id from the transaction signatures.
+    return createHash('sha256').update(signatures.join(',')).digest('hex');
+  }
+  throw new Error(`Method not found: ${method}`);
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8910' },
+      forward: { type: 'string' },
+      latency: { type: 'string', default: '0' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.error(USAGE);
+    return;
+  }
+  const options = { forward: values.forward, latencyMs: Number(values.latency) || 0 };
+
+  const server = createServer((request, response) => {
+    // Allows requests from the app's dev server in the browser.
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', '*');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', async () => {
+      let payload;
+      try {
+        const rpcRequest = JSON.parse(Buffer.concat(chunks).toString());
+        try {
+          payload = { jsonrpc: '2.0', id: rpcRequest.id, result: await handleRequest(rpcRequest, options) };
+          console.log(`${rpcRequest.method}: ${payload.result}`);
+        } catch (error) {
+          payload = { jsonrpc: '2.0', id: rpcRequest.id, error: { code: -32602, message: error.message } };
+          console.log(`${rpcRequest.method} failed: ${error.message}`);
+        }
+      } catch {
+        payload = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+      }
+      setTimeout(() => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(payload));
+      }, options.latencyMs);
+    });
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log(`Mock block engine listening on http://127.0.0.1:${values.port}${options.forward ? `, forwarding to ${options.forward}` : ''}`);
+  });
+}
+
+main();
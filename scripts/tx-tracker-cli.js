@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// Headless runner: sends N transactions through every configured endpoint and writes the results as JSON or CSV.
+// Usage: node scripts/tx-tracker-cli.js [--network devnet] [--config path] [--count 10] [--format json|csv] [--output file]
+import { writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { Keypair } from '@solana/web3.js';
+import {
+  parsePrivateKey,
+  createSimpleTransferTransaction,
+  createEndpointConnection,
+  sendTransactionToRpc,
+  sendTransactionToBlockEngine,
+  subscribeToSignatureConfirmation,
+  pollSignatureStatus,
+  subscribeToConfirmationChannel,
+  watchBlockhashExpiry,
+  selectSendEndpoints,
+  CONFIRMATION_CHANNELS,
+  SEND_ISOLATION_MODES
+} from '../src/utils/solanaUtils.js';
+import { normalizeAppConfig, getConfigWarnings, ConfigValidationError, maskUrl, collectEndpointSecrets, redactSecrets } from '../src/utils/configUtils.js';
+import { buildEndpointLeaderboard } from '../src/utils/statsUtils.js';
+import { buildResultsCsv, buildResultsJson } from '../src/utils/exportUtils.js';
+
+const EXIT_TX_FAILURES = 1;
+const EXIT_USAGE_ERROR = 2;
+// Self-transfer amount of transaction 0; later transactions add their txIndex so each gets a distinct signature,
+// even when --delay 0 builds several on the same blockhash (as in the app).
+const BASE_TRANSFER_LAMPORTS = 100;
+
+const USAGE = `Usage: node scripts/tx-tracker-cli.js [options]
+
+Options:
+  --network <name>       Loads config/<name>.appConfig.js (default: devnet)
+  --config <path>        Path to a config file (overrides --network)
+  --count <n>            Number of transactions to send (default: 1)
+  --delay <ms>           Pause between transactions (default: 2000)
+  --timeout <ms>         WS confirmation timeout per endpoint (default: 100000)
+  --poll-interval <ms>   Also poll getSignatureStatuses on every RPC endpoint at this interval (min 100)
+  --channels <list>      Also confirm via these WS channels, comma separated: logs,account,block
+  --isolate <mode>       Send each transaction to a single RPC or block engine endpoint: rotate or random (default: off)
+  --cu-limit <units>     Compute unit limit for generated transactions
+  --cu-price <microLam>  Priority fee in micro-lamports per compute unit
+  --tip <lamports>       Tip transferred to the config's tipAccount (default: the config's tipLamports, else none)
+  --format <json|csv>    Output format (default: json)
+  --output <file>        Write results to a file instead of stdout
+  --verbose              Print progress logs to stderr
+  --help                 Show this message
+
+Exits with 1 if any transaction failed, was dropped (blockhash expired) or was never confirmed, 2 on usage or config errors.`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      network: { type: 'string', default: 'devnet' },
+      config: { type: 'string' },
+      count: { type: 'string', default: '1' },
+      delay: { type: 'string', default: '2000' },
+      timeout: { type: 'string', default: '100000' },
+      'poll-interval': { type: 'string' },
+      channels: { type: 'string', default: '' },
+      isolate: { type: 'string', default: 'off' },
+      'cu-limit': { type: 'string' },
+      'cu-price': { type: 'string' },
+      tip: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      output: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  const toInteger = (name, value, min) => {
+    if (value === undefined) return null;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min) {
+      throw new Error(`--${name} must be an integer >= ${min}, got '${value}'.`);
+    }
+    return parsed;
+  };
+
+  const channels = values.channels.split(',').map(channel => channel.trim()).filter(Boolean);
+  const unknownChannel = channels.find(channel => !CONFIRMATION_CHANNELS.includes(channel));
+  if (unknownChannel) {
+    throw new Error(`--channels must list channels out of ${CONFIRMATION_CHANNELS.join(', ')}, got '${unknownChannel}'.`);
+  }
+
+  if (!SEND_ISOLATION_MODES.includes(values.isolate)) {
+    throw new Error(`--isolate must be one of ${SEND_ISOLATION_MODES.join(', ')}, got '${values.isolate}'.`);
+  }
+
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`--format must be 'json' or 'csv', got '${values.format}'.`);
+  }
+
+  return {
+    help: values.help,
+    verbose: values.verbose,
+    network: values.network,
+    configPath: values.config || `config/${values.network}.appConfig.js`,
+    count: toInteger('count', values.count, 1),
+    delayMs: toInteger('delay', values.delay, 0),
+    timeoutMs: toInteger('timeout', values.timeout, 1),
+    pollIntervalMs: toInteger('poll-interval', values['poll-interval'], 100),
+    channels,
+    isolationMode: values.isolate,
+    computeBudget: {
+      computeUnitLimit: toInteger('cu-limit', values['cu-limit'], 1),
+      computeUnitPriceMicroLamports: toInteger('cu-price', values['cu-price'], 0),
+    },
+    tipLamports: toInteger('tip', values.tip, 0),
+    format: values.format,
+    output: values.output,
+  };
+}
+
+async function loadConfigFile(configPath, network) {
+  let configModule;
+  try {
+    configModule = await import(pathToFileURL(resolve(configPath)).href);
+  } catch (e) {
+    throw new Error(`Configuration file ${configPath} is missing or invalid: ${e.message}`);
+  }
+  if (!configModule || !configModule.appConfig) {
+    throw new Error(`The configuration file (${configPath}) did not export an 'appConfig' object.`);
+  }
+  return normalizeAppConfig(configModule.appConfig, { network, loadedPath: configPath });
+}
+
+// Sends one transaction to every RPC and block engine endpoint and waits until every WS endpoint has confirmed, errored or timed out,
+// or until the transaction's blockhash expired.
+// The returned object has the same shape as the entries of allTransactionResults in the app.
+async function runSingleTransaction(config, sourceKeypair, txIndex, options) {
+  const creationRpcEndpoint = config.rpcUrls[0];
+  const creationConnection = createEndpointConnection(creationRpcEndpoint);
+
+  const { transaction, signature, createdAt, lastValidBlockHeight } = await createSimpleTransferTransaction(creationConnection, sourceKeypair, {
+    ...options.computeBudget,
+    lamports: BASE_TRANSFER_LAMPORTS + txIndex,
+    tip: options.tip,
+  });
+  const serializedTransaction = transaction.serialize();
+  console.info(`Tx ${txIndex + 1}/${options.count}: Created ${signature}.`);
+
+  let expiry = null;
+  const blockhashExpiry = watchBlockhashExpiry(creationConnection, signature, lastValidBlockHeight);
+  blockhashExpiry.onExpired(expiryDetails => { expiry = expiryDetails; });
+
+  const overallStartTime = Date.now();
+
+  const wsPromises = config.wsUrls.map(wsConfig => new Promise(resolveWs => {
+    const wsConnection = createEndpointConnection(creationRpcEndpoint, { wsEndpoint: wsConfig.url });
+    const channelPromises = options.channels.map(channel => new Promise(resolveChannel => {
+      subscribeToConfirmationChannel(
+        wsConnection,
+        channel,
+        { signature, feePayer: sourceKeypair.publicKey, wsUrl: wsConfig.url },
+        wsConfig.name,
+        overallStartTime,
+        (channelResult) => {
+          // Account notifications don't name the transaction, so they don't prove it landed.
+          if (channelResult.detectedAt && channel !== 'account') blockhashExpiry.stop();
+          resolveChannel([channel, {
+            detectedAt: channelResult.detectedAt,
+            duration: channelResult.duration,
+            slot: channelResult.slot,
+            error: channelResult.error ? { message: channelResult.error.message } : null,
+            status: channelResult.status,
+          }]);
+        },
+        { timeoutMs: options.timeoutMs, blockhashExpiry }
+      );
+    }));
+    subscribeToSignatureConfirmation(
+      wsConnection,
+      signature,
+      wsConfig.name,
+      overallStartTime,
+      (confirmationResult) => {
+        if (confirmationResult.confirmedAt) blockhashExpiry.stop();
+        Promise.all(channelPromises).then(channelResults => resolveWs({
+          ...confirmationResult,
+          name: wsConfig.name,
+          url: maskUrl(wsConfig.url),
+          error: confirmationResult.error ? { message: confirmationResult.error.message } : null,
+          rawError: undefined,
+          ...(channelResults.length > 0 ? { channels: Object.fromEntries(channelResults) } : {}),
+        }));
+      },
+      options.timeoutMs,
+      'confirmed',
+      blockhashExpiry
+    ).catch(() => {
+      // Setup errors are already reported through the confirmation callback.
+    });
+  }));
+
+  const sendEndpoints = [
+    ...config.rpcUrls.map(rpcConfig => ({ ...rpcConfig, endpointType: 'rpc' })),
+    ...config.blockEngineUrls.map(blockEngineConfig => ({ ...blockEngineConfig, endpointType: 'block-engine' })),
+  ];
+  const sendTargets = selectSendEndpoints(sendEndpoints, options.isolationMode, txIndex);
+  const rpcPromises = sendTargets.map(rpcConfig => {
+    const isBlockEngine = rpcConfig.endpointType === 'block-engine';
+    const sendPromise = isBlockEngine
+      ? sendTransactionToBlockEngine(rpcConfig, serializedTransaction, rpcConfig.name)
+      : sendTransactionToRpc(createEndpointConnection(rpcConfig), serializedTransaction, rpcConfig.name, { recordSlot: true });
+    return sendPromise.then(rpcResult => {
+      const sendError = rpcResult.rpcSignatureOrError instanceof Error ? rpcResult.rpcSignatureOrError : null;
+      return {
+        name: rpcConfig.name,
+        url: maskUrl(rpcConfig.url),
+        endpointType: rpcConfig.endpointType,
+        method: isBlockEngine ? (rpcConfig.method || 'sendTransaction') : 'sendRawTransaction',
+        status: sendError ? `Send Error: ${sendError.message}` : 'Sent',
+        sentAt: rpcResult.sentAt,
+        sendDuration: rpcResult.sendDuration,
+        rpcSignatureOrError: sendError ? sendError.message : rpcResult.rpcSignatureOrError,
+        slotAtSend: rpcResult.slotAtSend,
+        error: sendError ? { message: sendError.message } : null,
+      };
+    });
+  });
+
+  // getSignatureStatuses polling is recorded as a separate confirmation source and doesn't affect firstWsConfirmedAt.
+  const pollPromises = !options.pollIntervalMs ? [] : config.rpcUrls.map(rpcConfig => new Promise(resolvePoll => {
+    pollSignatureStatus(
+      createEndpointConnection(rpcConfig),
+      signature,
+      rpcConfig.name,
+      overallStartTime,
+      (pollResult) => {
+        if (pollResult.detectedAt) blockhashExpiry.stop();
+        resolvePoll({
+          name: rpcConfig.name,
+          url: maskUrl(rpcConfig.url),
+          status: pollResult.status,
+          detectedAt: pollResult.detectedAt,
+          pollDuration: pollResult.pollDuration,
+          pollCount: pollResult.pollCount,
+          failedPolls: pollResult.failedPolls,
+          slot: pollResult.slot,
+          error: pollResult.error ? { message: pollResult.error.message } : null,
+        });
+      },
+      { intervalMs: options.pollIntervalMs, timeoutMs: options.timeoutMs, blockhashExpiry }
+    );
+  }));
+
+  const [wsConfirmationResults, rpcSendResults, pollConfirmationResults] = await Promise.all([
+    Promise.all(wsPromises),
+    Promise.all(rpcPromises),
+    Promise.all(pollPromises),
+  ]);
+  blockhashExpiry.stop();
+
+  const first = wsConfirmationResults
+    .filter(result => result.confirmedAt && result.status !== 'WS Signature Error')
+    .reduce((earliest, result) => (!earliest || result.confirmedAt < earliest.confirmedAt ? result : earliest), null);
+
+  return {
+    txIndex,
+    signature,
+    createdAt,
+    sentAt: overallStartTime,
+    firstSentToEndpointName: sendTargets[0].name,
+    isolatedSendEndpointName: options.isolationMode === 'off' ? null : sendTargets[0].name,
+    firstWsConfirmedAt: first ? first.confirmedAt : null,
+    firstConfirmedByEndpointName: first ? first.name : null,
+    rpcSendResults,
+    wsConfirmationResults,
+    pollConfirmationResults,
+    computeUnitLimit: options.computeBudget.computeUnitLimit,
+    computeUnitPriceMicroLamports: options.computeBudget.computeUnitPriceMicroLamports,
+    tipLamports: options.tip ? options.tip.lamports : null,
+    slot: first ? first.slot : null,
+    blockTime: first ? first.blockTime : null,
+    lastValidBlockHeight,
+    expiredAt: expiry ? expiry.expiredAt : null,
+    expiredAtBlockHeight: expiry ? expiry.blockHeight : null,
+    // A dropped transaction is reported through expiredAt, like in the app.
+    error: first || expiry ? null : 'No WS confirmation received from any endpoint.',
+  };
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE_ERROR;
+  }
+  if (options.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  // solanaUtils logs progress through console.log; keep stdout clean for the results.
+  // API keys and URL tokens are redacted once the config is loaded.
+  let logSecrets = [];
+  const writeLog = options.verbose ? (...args) => process.stderr.write(`${redactSecrets(args.join(' '), logSecrets)}\n`) : () => {};
+  console.log = writeLog;
+  console.info = writeLog;
+  console.warn = writeLog;
+
+  let config;
+  let sourceKeypair;
+  try {
+    config = await loadConfigFile(options.configPath, options.network);
+    logSecrets = collectEndpointSecrets([...config.rpcUrls, ...config.wsUrls, ...config.blockEngineUrls]);
+    getConfigWarnings(config).forEach(warning => console.error(`Config Warning: ${warning}`));
+    sourceKeypair = Keypair.fromSecretKey(parsePrivateKey(config.privateKey));
+    const tipLamports = options.tipLamports ?? config.tipLamports ?? 0;
+    if (tipLamports > 0 && !config.tipAccount) {
+      throw new Error('A tip is set but the config has no tipAccount.');
+    }
+    options.tip = tipLamports > 0 ? { account: config.tipAccount, lamports: tipLamports } : null;
+  } catch (error) {
+    const problems = error instanceof ConfigValidationError ? error.problems : [error.message];
+    console.error(`Config Error in ${options.configPath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    return EXIT_USAGE_ERROR;
+  }
+
+  const startedAt = Date.now();
+  const allTransactionResults = [];
+  for (let txIndex = 0; txIndex < options.count; txIndex++) {
+    try {
+      allTransactionResults.push(await runSingleTransaction(config, sourceKeypair, txIndex, options));
+    } catch (error) {
+      console.error(`Tx ${txIndex + 1}/${options.count}: ${error.message}`);
+      allTransactionResults.push({ txIndex, signature: 'N/A', error: error.message, rpcSendResults: [], wsConfirmationResults: [], pollConfirmationResults: [] });
+    }
+    if (txIndex < options.count - 1 && options.delayMs > 0) {
+      await new Promise(resolveDelay => setTimeout(resolveDelay, options.delayMs));
+    }
+  }
+
+  const output = options.format === 'csv'
+    ? buildResultsCsv(allTransactionResults)
+    : buildResultsJson(allTransactionResults, {
+      network: config.network,
+      configPath: config.loadedPath,
+      startedAt,
+      finishedAt: Date.now(),
+      leaderboard: buildEndpointLeaderboard(allTransactionResults),
+    });
+
+  if (options.output) {
+    await writeFile(options.output, output);
+    console.info(`Results written to ${options.output}`);
+  } else {
+    await new Promise(resolveWrite => process.stdout.write(output, resolveWrite));
+  }
+
+  const failures = allTransactionResults.filter(txData => txData.error || txData.expiredAt).length;
+  if (failures > 0) {
+    console.error(`${failures} of ${allTransactionResults.length} transaction(s) failed or were dropped.`);
+    return EXIT_TX_FAILURES;
+  }
+  return 0;
+}
+
+// WebSocket connections keep the event loop alive, so exit explicitly once results are written.
+main().then(
+  exitCode => process.exit(exitCode),
+  error => {
+    console.error(error);
+    process.exit(EXIT_TX_FAILURES);
+  }
+);
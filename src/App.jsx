@@ -1,97 +1,238 @@
 import React, { useEffect, useRef } from 'react';
 import './App.css';
-import { Keypair, Connection } from '@solana/web3.js';
+import { Keypair } from '@solana/web3.js';
 import { useAppContext } from './contexts/AppContext';
 import GlobalAlert from './components/GlobalAlert.jsx';
 import TransactionInfo from './components/TransactionInfo.jsx';
 import ConfigDisplay from './components/ConfigDisplay.jsx';
 import TransactionTimingsTable from './components/TransactionTimingsTable.jsx';
 import EventLog from './components/EventLog.jsx';
+import EndpointLeaderboard from './components/EndpointLeaderboard.jsx';
+import WsConfirmationLagTable from './components/WsConfirmationLagTable.jsx';
+import SlotLatencyTable from './components/SlotLatencyTable.jsx';
+import TransactionDetailPanel from './components/TransactionDetailPanel.jsx';
+import CommitmentTimeline from './components/CommitmentTimeline.jsx';
+import PriorityFeeReport from './components/PriorityFeeReport.jsx';
+import ResultsExportControls from './components/ResultsExportControls.jsx';
+import RunHistoryPanel from './components/RunHistoryPanel.jsx';
+import ProfileEditor from './components/ProfileEditor.jsx';
+import MonitorCharts from './components/MonitorCharts.jsx';
+import ReportCharts from './components/ReportCharts.jsx';
+import DetectionLatencyComparison from './components/DetectionLatencyComparison.jsx';
+import SubscriptionChannelComparison from './components/SubscriptionChannelComparison.jsx';
 import { 
   parsePrivateKey, 
   createSimpleTransferTransaction, 
+  createEndpointConnection,
   sendTransactionToRpc,
-  subscribeToSignatureConfirmation 
+  sendTransactionToBlockEngine,
+  subscribeToSignatureConfirmation,
+  subscribeToSignatureMilestone,
+  pollSignatureStatus,
+  subscribeToConfirmationChannel,
+  startRebroadcast,
+  watchBlockhashExpiry,
+  selectSendEndpoints,
+  lookupSignatureStatus,
+  isTransactionSignature,
+  parseSignedTransaction,
+  COMMITMENT_LEVELS,
+  CONFIRMATION_CHANNELS
 } from './utils/solanaUtils.js';
+import { normalizeAppConfig, ConfigValidationError, maskUrl, maskConfigSecrets } from './utils/configUtils.js';
+import { SEEDABLE_NETWORKS, loadProfiles, saveProfiles, seedProfilesFromFileConfigs } from './utils/profileStore.js';
+import { parseResultsJson, toPlainResults } from './utils/exportUtils.js';
+import { saveRun, getRun } from './utils/runHistoryDb.js';
 
-// Updated config loading logic
-async function loadAppConfiguration() {
-  let configModule;
-  let configFileName;
-  let loadedConfigPathForImport; // Path for dynamic import
-  let network = 'devnet'; // Default network is devnet
-
-  // Parse URL parameters
-  const queryParams = new URLSearchParams(window.location.search);
-  const networkParam = queryParams.get('network');
-
-  if (networkParam === 'mainnet') {
-    configFileName = 'mainnet.appConfig.js';
-    network = 'mainnet'; // Set network to mainnet
-  } else {
-    // Default to devnet if 'network' is not 'mainnet' or not specified
-    configFileName = 'devnet.appConfig.js';
-    network = 'devnet'; // Explicitly set network to devnet
+// Loads config/<network>.appConfig.js for every network a profile can be seeded from.
+// Missing files are skipped; every problem in files that exist but fail validation is reported in `errors`.
+async function loadFileConfigurations() {
+  const fileConfigs = {};
+  const errors = [];
+
+  for (const network of SEEDABLE_NETWORKS) {
+    const configFileName = `${network}.appConfig.js`;
+    // Construct the path relative to the current file (App.jsx is in src/)
+    const loadedConfigPathForImport = `../config/${configFileName}`;
+    let configModule;
+    try {
+      // The /* @vite-ignore */ comment tells Vite to not try to resolve this dynamic import at build time.
+      configModule = await import(/* @vite-ignore */ loadedConfigPathForImport);
+    } catch (e) {
+      console.info(`No usable ${configFileName} found (${e.message}). Skipping it as a profile seed.`);
+      continue;
+    }
+    if (!configModule || !configModule.appConfig) {
+      errors.push(`The configuration file (${loadedConfigPathForImport}) did not export an 'appConfig' object.`);
+      continue;
+    }
+    try {
+      fileConfigs[network] = normalizeAppConfig(configModule.appConfig, {
+        network: network,
+        loadedPath: `config/${configFileName}` // For display purposes, show relative to project root (e.g. config/devnet.appConfig.js)
+      });
+    } catch (error) {
+      const problems = error instanceof ConfigValidationError ? error.problems : [error.message];
+      errors.push(...problems.map(problem => `${configFileName}: ${problem}`));
+    }
   }
-  // Construct the path relative to the current file (App.jsx is in src/)
-  loadedConfigPathForImport = `../config/${configFileName}`;
-
-  try {
-    // Attempt to load the configuration file
-    // The /* @vite-ignore */ comment tells Vite to not try to resolve this dynamic import at build time.
-    configModule = await import(/* @vite-ignore */ loadedConfigPathForImport);
-  } catch (e) {
-      console.error(`Failed to load ${configFileName}: `, e);
-      // Use the import path in the error message for clarity on what was attempted
-      throw new Error(`Configuration file ${configFileName} is missing or invalid (tried to load from ${loadedConfigPathForImport}).`);
+
+  return { fileConfigs, errors };
+}
+
+// Parses a comma or whitespace separated list of non-negative integers, e.g. "0, 1000, 50000".
+// Returns null if any entry is not a valid integer.
+function parseNonNegativeIntegerList(input) {
+  const parts = (input || '').split(/[\s,]+/).filter(Boolean);
+  const values = parts.map(part => Number(part));
+  if (values.some(value => !Number.isInteger(value) || value < 0)) {
+    return null;
   }
-  if (!configModule || !configModule.appConfig) {
-    // Use the import path here as well
-    throw new Error(`The configuration file (${loadedConfigPathForImport}) did not export an 'appConfig' object.`);
+  return values;
+}
+
+// Pause between transactions in sequential mode.
+const SEQUENTIAL_DELAY_MS = 2000;
+// Lower bound for the rebroadcast interval.
+const MIN_REBROADCAST_INTERVAL_MS = 200;
+
+const SEND_ISOLATION_OPTIONS = [
+  { value: 'off', label: 'Every RPC endpoint' },
+  { value: 'rotate', label: 'One endpoint per transaction (rotating)' },
+  { value: 'random', label: 'One endpoint per transaction (random)' },
+];
+
+// What the run does when a transaction fails (an error before or while it is sent; timeouts are not failures).
+// Monitor runs always keep probing: failures are what they watch for.
+const FAILURE_POLICY_OPTIONS = [
+  { value: 'continue', label: 'Skip and continue' },
+  { value: 'halt', label: 'Halt the run' },
+  { value: 'retry', label: 'Retry up to N times' },
+];
+const MAX_FAILURE_RETRIES = 10;
+
+// Validates the raw failure policy settings. Throws an Error with a user-facing message if a value is invalid.
+function parseFailurePolicy({ mode, retries }) {
+  if (mode !== 'retry') return { mode, retries: 0 };
+  const parsedRetries = Number(retries);
+  if (!Number.isInteger(parsedRetries) || parsedRetries < 1 || parsedRetries > MAX_FAILURE_RETRIES) {
+    throw new Error(`Retries must be an integer from 1 to ${MAX_FAILURE_RETRIES}, got '${retries}'.`);
   }
+  return { mode, retries: parsedRetries };
+}
 
-  const rawConfig = configModule.appConfig;
+const REBROADCAST_MODE_OPTIONS = [
+  { value: 'off', label: 'Off (send once)' },
+  { value: 'interval', label: 'Every N ms' },
+  { value: 'backoff', label: 'Exponential backoff' },
+];
 
-  // Validate new structure: rpc-urls and ws-urls
-  if (!rawConfig['rpc-urls'] || !Array.isArray(rawConfig['rpc-urls'])) {
-    throw new Error("Configuration is missing 'rpc-urls' array or it's not an array.");
+// Validates the raw rebroadcast settings. Returns null when rebroadcasting is off, otherwise the policy for startRebroadcast.
+// Throws an Error with a user-facing message if a value is invalid.
+function parseRebroadcastSettings({ mode, intervalMs, onlyHealthyEndpoints }) {
+  if (mode === 'off') return null;
+  const parsedInterval = Number(intervalMs);
+  if (!Number.isInteger(parsedInterval) || parsedInterval < MIN_REBROADCAST_INTERVAL_MS) {
+    throw new Error(`Rebroadcast interval must be an integer >= ${MIN_REBROADCAST_INTERVAL_MS} ms, got '${intervalMs}'.`);
   }
-  if (!rawConfig['ws-urls'] || !Array.isArray(rawConfig['ws-urls'])) {
-    throw new Error("Configuration is missing 'ws-urls' array or it's not an array.");
+  return { mode, intervalMs: parsedInterval, onlyHealthyEndpoints: !!onlyHealthyEndpoints };
+}
+
+// Lower bound for the getSignatureStatuses poll interval, so a typo can't flood the RPC endpoints.
+const MIN_POLL_INTERVAL_MS = 100;
+// How long the WS endpoints may still notify about a watched transaction that had landed before watching started.
+const WATCH_LANDED_GRACE_MS = 5000;
+// Self-transfer amount of transaction 0; later transactions add their txIndex so each gets a distinct signature.
+const BASE_TRANSFER_LAMPORTS = 100;
+
+const LOAD_MODES = [
+  { value: 'sequential', label: `Sequential (${SEQUENTIAL_DELAY_MS / 1000}s apart)` },
+  { value: 'concurrent', label: 'Concurrent (K in flight)' },
+  { value: 'rate', label: 'Fixed rate (tx/s for a duration)' },
+  { value: 'monitor', label: 'Monitor (probe every interval until stopped)' },
+];
+
+// Validates the raw poll interval input. Returns null when polling is disabled (empty input).
+// Throws an Error with a user-facing message if the value is invalid.
+function parsePollInterval(pollIntervalInput) {
+  const input = pollIntervalInput.trim();
+  if (input === '') return null;
+  const pollIntervalMs = Number(input);
+  if (!Number.isInteger(pollIntervalMs) || pollIntervalMs < MIN_POLL_INTERVAL_MS) {
+    throw new Error(`Poll interval must be an integer >= ${MIN_POLL_INTERVAL_MS} ms, or empty to disable polling. Got '${input}'.`);
   }
+  return pollIntervalMs;
+}
 
-  // Validate each entry in rpc-urls
-  rawConfig['rpc-urls'].forEach((item, index) => {
-    if (!item || typeof item.name !== 'string' || typeof item.url !== 'string') {
-      throw new Error(`Invalid entry in 'rpc-urls' at index ${index}. Each entry must be an object with 'name' and 'url' strings.`);
-    }
-  });
+// "3/10", or just "3" in open-ended (monitor) runs.
+const formatTxNumber = (txIndex, totalTx) => (Number.isFinite(totalTx) ? `${txIndex + 1}/${totalTx}` : `${txIndex + 1}`);
 
-  // Validate each entry in ws-urls
-  rawConfig['ws-urls'].forEach((item, index) => {
-    if (!item || typeof item.name !== 'string' || typeof item.url !== 'string') {
-      throw new Error(`Invalid entry in 'ws-urls' at index ${index}. Each entry must be an object with 'name' and 'url' strings.`);
+// Validates the raw load settings inputs and turns them into a run plan.
+// Throws an Error with a user-facing message if a value is invalid.
+function parseLoadSettings(loadSettings, numberOfTransactions) {
+  const { mode, concurrency, ratePerSecond, durationSeconds, intervalSeconds, windowSize } = loadSettings;
+  if (mode === 'concurrent') {
+    const parsedConcurrency = Number(concurrency);
+    if (!Number.isInteger(parsedConcurrency) || parsedConcurrency < 1) {
+      throw new Error(`Concurrency must be an integer >= 1, got '${concurrency}'.`);
+    }
+    const effectiveConcurrency = Math.min(parsedConcurrency, numberOfTransactions);
+    return { mode, concurrency: effectiveConcurrency, totalTransactions: numberOfTransactions, description: `${effectiveConcurrency} in flight` };
+  }
+  if (mode === 'rate') {
+    const parsedRate = Number(ratePerSecond);
+    const parsedDuration = Number(durationSeconds);
+    if (!Number.isFinite(parsedRate) || parsedRate <= 0) {
+      throw new Error(`Target rate must be a number of transactions per second > 0, got '${ratePerSecond}'.`);
     }
-  });
-  
-  // Return the rest of the config along with the validated rpcUrls and wsUrls
-  // Rename for convention if desired, e.g., rpcUrls instead of rpc-urls
-  const { 'rpc-urls': rpcUrls, 'ws-urls': wsUrls, ...restOfConfig } = rawConfig;
-
-  return { 
-    ...restOfConfig, 
-    rpcUrls: rpcUrls,
-    wsUrls: wsUrls,
-    network: network, // Add network to the config
-    loadedPath: `config/${configFileName}` // For display purposes, show relative to project root (e.g. config/devnet.appConfig.js)
+    if (!Number.isFinite(parsedDuration) || parsedDuration <= 0) {
+      throw new Error(`Duration must be a number of seconds > 0, got '${durationSeconds}'.`);
+    }
+    const totalTransactions = Math.max(1, Math.floor(parsedRate * parsedDuration));
+    return { mode, ratePerSecond: parsedRate, totalTransactions, description: `${parsedRate} tx/s for ${parsedDuration}s` };
+  }
+  if (mode === 'monitor') {
+    const parsedInterval = Number(intervalSeconds);
+    const parsedWindowSize = Number(windowSize);
+    if (!Number.isFinite(parsedInterval) || parsedInterval <= 0) {
+      throw new Error(`Probe interval must be a number of seconds > 0, got '${intervalSeconds}'.`);
+    }
+    if (!Number.isInteger(parsedWindowSize) || parsedWindowSize < 1) {
+      throw new Error(`Window size must be an integer >= 1, got '${windowSize}'.`);
+    }
+    return {
+      mode,
+      intervalMs: parsedInterval * 1000,
+      rollingWindowSize: parsedWindowSize,
+      totalTransactions: Infinity,
+      description: `monitor, one probe every ${parsedInterval}s, keeping the last ${parsedWindowSize}`,
+    };
+  }
+  return { mode: 'sequential', concurrency: 1, totalTransactions: numberOfTransactions, description: 'sequential' };
+}
+
+// accountSubscribe notifications don't name the transaction, so the account channel is only offered while a single
+// transaction is in flight at a time (sequential mode).
+const isChannelAvailable = (channel, loadMode) => channel !== 'account' || loadMode === 'sequential';
+
+// One connection per endpoint for a whole run, shared by all of its transactions.
+// WS connections use the first RPC endpoint (and its headers) for their getTransaction lookups.
+function createRunConnections(config) {
+  const creationRpcEndpoint = config.rpcUrls[0];
+  return {
+    creation: createEndpointConnection(creationRpcEndpoint),
+    rpc: Object.fromEntries(config.rpcUrls.map(rpcConfig => [rpcConfig.name, createEndpointConnection(rpcConfig)])),
+    ws: Object.fromEntries(config.wsUrls.map(wsConfig => [wsConfig.name, createEndpointConnection(creationRpcEndpoint, { wsEndpoint: wsConfig.url })])),
   };
 }
 
 function App() {
-  const { state, dispatch } = useAppContext();
-  const activeSubscriptions = useRef([]); // To keep track of active WS subscriptions for potential cleanup
-  const firstWsConfirmedRef = useRef(false); // To track if first WS confirmation has been recorded for the CURRENT transaction
+  const { state, dispatch, eventLogStore } = useAppContext();
+  const activeSubscriptions = useRef([]); // Active WS subscriptions of all in-flight transactions: { connection, subId, name, signature }
   const localNumberOfTransactionsRef = useRef(state.numberOfTransactions); // For the input field
+  const lastSavedRunStartRef = useRef(null); // runStartedAt of the last run written to the history database
+  const stopRequestedRef = useRef(false); // Set by the Stop button; read by the running send loops
+  const transactionStoppers = useRef(new Set()); // stop() of every transaction that is still being processed
 
   useEffect(() => {
     localNumberOfTransactionsRef.current = state.numberOfTransactions;
@@ -99,13 +240,24 @@ function App() {
 
   useEffect(() => {
     const loadInitialConfig = async () => {
-      try {
-        const configData = await loadAppConfiguration();
-        dispatch({ type: 'LOAD_CONFIG_SUCCESS', payload: configData });
-      } catch (error) {
-        dispatch({ type: 'LOAD_CONFIG_ERROR', payload: { message: error.message, path: 'N/A' } });
-        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `CONSOLE.ERROR: Config load error: ${error.message}` } });
+      const { fileConfigs, errors } = await loadFileConfigurations();
+      errors.forEach(message => {
+        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'error', eventType: 'config', message: `Config load error: ${message}` } });
+      });
+      if (errors.length > 0) {
+        dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `Config Error: ${errors.length} problem(s) found in config files. Invalid files were not used.`, details: errors, type: 'config' } });
       }
+
+      const profileState = seedProfilesFromFileConfigs(loadProfiles(), fileConfigs);
+      // ?network=<name> picks the first profile for that network; otherwise the last active profile is restored.
+      const networkParam = new URLSearchParams(window.location.search).get('network');
+      const profileForParam = networkParam && profileState.profiles.find(profile => profile.network === networkParam);
+      const storedActiveExists = profileState.profiles.some(profile => profile.id === profileState.activeProfileId);
+      const activeProfileId = profileForParam
+        ? profileForParam.id
+        : (storedActiveExists ? profileState.activeProfileId : (profileState.profiles[0] ? profileState.profiles[0].id : null));
+
+      dispatch({ type: 'INIT_PROFILES', payload: { ...profileState, activeProfileId, fileConfigs } });
     };
     loadInitialConfig();
 
@@ -114,33 +266,32 @@ function App() {
     const originalConsoleWarn = console.warn;
     const originalConsoleInfo = console.info;
 
+    // Console output (mostly from solanaUtils) is forwarded to the event log, with the console method as its level.
+    const logConsoleEvent = (level, args) => {
+      const message = args.map(arg => typeof arg === 'string' ? arg : (arg instanceof Error ? arg.message : JSON.stringify(arg))).join(' ');
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level, eventType: 'console', message } });
+    };
     console.log = (...args) => {
       originalConsoleLog.apply(console, args);
-      const message = args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ');
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `${message}` } });
+      logConsoleEvent('info', args);
     };
     console.error = (...args) => {
       originalConsoleError.apply(console, args);
-      const message = args.map(arg => typeof arg === 'string' ? arg : (arg instanceof Error ? arg.message : JSON.stringify(arg))).join(' ');
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `CONSOLE.ERROR: ${message}` } });
+      logConsoleEvent('error', args);
     };
     console.warn = (...args) => {
       originalConsoleWarn.apply(console, args);
-      const message = args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ');
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `CONSOLE.WARN: ${message}` } });
+      logConsoleEvent('warn', args);
     };
     console.info = (...args) => {
       originalConsoleInfo.apply(console, args);
-      const message = args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ');
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `${message}` } });
+      logConsoleEvent('info', args);
     };
 
     return () => {
-      activeSubscriptions.current.forEach(({ connection, subId }) => {
-        if (connection && typeof connection.removeSignatureListener === 'function') {
-          originalConsoleLog("Cleaning up App: Removing subscription ID:", subId);
-          connection.removeSignatureListener(subId);
-        }
+      activeSubscriptions.current.forEach(({ subId, stop }) => {
+        originalConsoleLog("Cleaning up App: Removing subscription ID:", subId);
+        stop();
       });
       activeSubscriptions.current = [];
       console.log = originalConsoleLog;
@@ -150,58 +301,297 @@ function App() {
     };
   }, [dispatch]);
 
-  const executeSingleTransaction = async (txIndex, totalTx) => {
-    dispatch({ type: 'PROCESS_START_SINGLE_TX' });
-    firstWsConfirmedRef.current = false; // Reset for this specific transaction execution
+  // Persist profile edits once the stored profiles have been loaded (so the initial empty state never overwrites them).
+  useEffect(() => {
+    if (!state.profilesLoaded) return;
+    saveProfiles({ profiles: state.profiles, activeProfileId: state.activeProfileId, seededNetworks: state.seededNetworks });
+  }, [state.profilesLoaded, state.profiles, state.activeProfileId, state.seededNetworks]);
 
-    activeSubscriptions.current.forEach(({ connection, subId }) => {
-        if (connection && typeof connection.removeSignatureListener === 'function') {
-            console.log(`(Tx ${txIndex + 1}) Clearing old subscription ID:`, subId);
-            connection.removeSignatureListener(subId);
-        }
-    });
-    activeSubscriptions.current = [];
+  // Save every completed live run to the history database (once per run).
+  useEffect(() => {
+    if (!state.allProcessesComplete || state.loadedResults || state.allTransactionResults.length === 0) return;
+    if (!state.runStartedAt || lastSavedRunStartRef.current === state.runStartedAt) return;
+    lastSavedRunStartRef.current = state.runStartedAt;
 
-    let sourceKeypair;
-    let initialRpcConnection;
+    // Never persist the private key, API keys or endpoint tokens.
+    const configSnapshot = maskConfigSecrets(state.config);
+
+    saveRun({
+      label: state.runLabel.trim(),
+      network: configSnapshot.network,
+      configSnapshot,
+      startedAt: state.runStartedAt,
+      finishedAt: Date.now(),
+      transactions: toPlainResults(state.allTransactionResults),
+      eventLog: eventLogStore.entriesFrom(state.runEventLogStartId),
+      stopped: state.runStopped,
+    })
+      .then(id => {
+        dispatch({ type: 'RUN_SAVED', payload: { id } });
+        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'history', message: `Run saved to history (id ${id}).` } });
+      })
+      .catch(error => console.error('Failed to save run to history:', error));
+  }, [state.allProcessesComplete, state.loadedResults, state.allTransactionResults, state.runStartedAt, state.config, state.runLabel, eventLogStore, state.runEventLogStartId, state.runStopped, dispatch]);
+
+  // Runs one transaction end to end: create, subscribe on every WS endpoint, send to every RPC endpoint and wait
+  // for the confirmation(s). Everything is dispatched with the transaction's signature, so several transactions
+  // can be in flight at once. `run` holds the per-run connections and the options captured when the run started.
+  // With run.watchSignature, nothing is created or sent: the transaction with that signature is only watched.
+  // With run.signedTransaction (see parseSignedTransaction), that transaction is sent instead of a created one.
+  const executeSingleTransaction = async (txIndex, totalTx, computeBudget, run) => {
+    dispatch({ type: 'PROCESS_START_SINGLE_TX', payload: { txIndex } });
+
+    const { config, connections, keepAllWsSubscriptions, trackCommitmentMilestones, pollIntervalMs, confirmationChannels, rebroadcastPolicy, sendIsolationMode, tip, watchSignature, signedTransaction } = run;
+    // Block engine endpoints are send-only: they take part in sends, rebroadcasts and isolation, but not in polling.
+    const sendEndpoints = [
+      ...config.rpcUrls.map(rpcConfig => ({ ...rpcConfig, endpointType: 'rpc' })),
+      ...(config.blockEngineUrls || []).map(blockEngineConfig => ({ ...blockEngineConfig, endpointType: 'block-engine' })),
+    ];
+    const sendTargets = watchSignature ? [] : selectSendEndpoints(sendEndpoints, sendIsolationMode, txIndex);
+    let firstWsConfirmed = false; // Only the first WS confirmation of THIS transaction completes it
+    let rebroadcaster = null;
+    const stopRebroadcast = (reason) => {
+      if (rebroadcaster) rebroadcaster.stop(reason);
+    };
+    let blockhashExpiry = null; // Block height watcher; subscriptions and pollers finish as dropped when it fires
+    const stopExpiryWatch = () => {
+      if (blockhashExpiry) blockhashExpiry.stop();
+    };
+    // Called on the first signal that the transaction landed: resending and expiry watching are no longer needed.
+    const handleLanded = () => {
+      stopRebroadcast('confirmed');
+      stopExpiryWatch();
+    };
+    const signaturePollers = []; // getSignatureStatuses pollers and channel subscriptions of this transaction, stopped if it fails
+    const signatureSubscriptions = []; // Confirmation and milestone subscriptions ({ stop }), stopped when the run is stopped
+    let feePayer; // Watched by the alternative confirmation channels
     let transactionSignatureB58;
     let txCreatedAt;
     let serializedTransaction;
+    const sendToEndpoint = (endpoint, options) => (endpoint.endpointType === 'block-engine'
+      ? sendTransactionToBlockEngine(endpoint, serializedTransaction, endpoint.name)
+      : sendTransactionToRpc(connections.rpc[endpoint.name], serializedTransaction, endpoint.name, options));
+
+    const txLabel = `Tx ${formatTxNumber(txIndex, totalTx)}`;
+    // Logs an event of this transaction, tagged with its index and (once created) its signature.
+    const logTxEvent = (eventType, message, { level = 'info', endpoint = null, timestamp = Date.now() } = {}) => {
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp, level, eventType, txIndex, signature: transactionSignatureB58, endpoint, message: `${txLabel}: ${message}` } });
+    };
+
+    // Ends everything this transaction still has running: subscriptions, pending getTransaction retries, pollers,
+    // rebroadcasting and the expiry watch. None of them reports afterwards.
+    const endConfirmationSources = (reason) => {
+      signatureSubscriptions.forEach(subscription => subscription.stop());
+      activeSubscriptions.current = activeSubscriptions.current.filter(({ signature }) => signature !== transactionSignatureB58);
+      signaturePollers.forEach(poller => poller.stop());
+      stopRebroadcast(reason);
+      stopExpiryWatch();
+    };
+
+    // Called by the Stop button; the transaction is then recorded as stopped.
+    let stopped = false;
+    let resolveStopped;
+    const stoppedPromise = new Promise(resolve => { resolveStopped = resolve; });
+    const stopTransaction = () => {
+      if (stopped) return;
+      stopped = true;
+      endConfirmationSources('stopped');
+      resolveStopped();
+    };
+    transactionStoppers.current.add(stopTransaction);
 
-    const creationRpcUrl = state.config.rpcUrls[0].url;
+    // Removes this transaction's remaining WS listeners; other transactions' listeners are kept.
+    const removeTransactionSubscriptions = (reason) => {
+      activeSubscriptions.current = activeSubscriptions.current.filter(({ connection: subConn, subId, name: subName, signature }) => {
+        if (signature !== transactionSignatureB58) return true;
+        if (subConn && typeof subConn.removeSignatureListener === 'function') {
+          console.log(`${txLabel}: (${reason}) Removing listener for ${subName}, Sub ID: ${subId}`);
+          subConn.removeSignatureListener(subId);
+        }
+        return false;
+      });
+    };
+
+    // A watched transaction that had already landed is only waited for this long (see WATCH_LANDED_GRACE_MS).
+    let watchGraceTimer = null;
+    let watchGraceExpired = false;
+    let resolveWatchGrace;
+    const watchGracePromise = new Promise(resolve => { resolveWatchGrace = resolve; });
 
     try {
-      const secretKeyUint8Array = parsePrivateKey(state.config.privateKey);
-      sourceKeypair = Keypair.fromSecretKey(secretKeyUint8Array);
-      
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Creating initial RPC connection to ${creationRpcUrl} for transaction creation.` } });
-      initialRpcConnection = new Connection(creationRpcUrl, 'confirmed');
-      
-      const { transaction, signature, createdAt } = await createSimpleTransferTransaction(initialRpcConnection, sourceKeypair);
-      transactionSignatureB58 = signature;
-      txCreatedAt = createdAt;
-      serializedTransaction = transaction.serialize();
+      let lastValidBlockHeight = null;
+      if (watchSignature) {
+        transactionSignatureB58 = watchSignature;
+        txCreatedAt = Date.now(); // Durations of a watched transaction count from when watching started
+        logTxEvent('watch', `Watching ${watchSignature}. Nothing is created or sent.`);
+      } else if (signedTransaction) {
+        transactionSignatureB58 = signedTransaction.signature;
+        txCreatedAt = Date.now(); // Durations of a pre-signed transaction count from when sending it started
+        feePayer = signedTransaction.feePayer;
+        serializedTransaction = signedTransaction.serializedTransaction;
+        logTxEvent('tx-create', `Using the pre-signed ${signedTransaction.version === 'legacy' ? 'legacy' : `v${signedTransaction.version}`} transaction ${transactionSignatureB58} (fee payer ${feePayer.toBase58()}).`);
+      } else {
+        const secretKeyUint8Array = parsePrivateKey(config.privateKey);
+        const sourceKeypair = Keypair.fromSecretKey(secretKeyUint8Array);
+        feePayer = sourceKeypair.publicKey;
+
+        logTxEvent('tx-create', `Creating transaction via ${config.rpcUrls[0].name}.`, { endpoint: config.rpcUrls[0].name });
+
+        // The transfer amount varies with txIndex so transactions created from the same blockhash get distinct signatures.
+        const created = await createSimpleTransferTransaction(connections.creation, sourceKeypair, {
+          ...computeBudget,
+          lamports: BASE_TRANSFER_LAMPORTS + txIndex,
+          tip,
+        });
+        transactionSignatureB58 = created.signature;
+        txCreatedAt = created.createdAt;
+        lastValidBlockHeight = created.lastValidBlockHeight;
+        serializedTransaction = created.transaction.serialize();
+      }
+      if (stopped) {
+        logTxEvent('tx-stopped', 'Run stopped before the transaction was sent.');
+        return;
+      }
       
-      dispatch({ type: 'SET_TX_INFO', payload: { signature: transactionSignatureB58, createdAt: txCreatedAt } });
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Transaction created: ${transactionSignatureB58}.` } });
-      dispatch({ type: 'SET_GLOBAL_STATUS', payload: `Tx ${txIndex + 1}/${totalTx}: Created. Initiating communications...` });
+      dispatch({
+        type: 'SET_TX_INFO',
+        payload: {
+          txIndex,
+          signature: transactionSignatureB58,
+          createdAt: txCreatedAt,
+          lastValidBlockHeight,
+          isolatedSendEndpointName: sendIsolationMode === 'off' ? null : sendTargets[0].name,
+          computeUnitLimit: computeBudget.computeUnitLimit,
+          computeUnitPriceMicroLamports: computeBudget.computeUnitPriceMicroLamports,
+          tipLamports: tip ? tip.lamports : null,
+          watched: Boolean(watchSignature),
+          preSigned: Boolean(signedTransaction),
+        }
+      });
+
+      // The last valid block height (and so the expiry) of a watched or pre-signed transaction is unknown.
+      if (!watchSignature && !signedTransaction) {
+        logTxEvent('tx-created', `Transaction created: ${transactionSignatureB58}.`);
+        blockhashExpiry = watchBlockhashExpiry(connections.creation, transactionSignatureB58, lastValidBlockHeight);
+        blockhashExpiry.onExpired(({ expiredAt, blockHeight }) => {
+          dispatch({ type: 'SET_TRANSACTION_EXPIRED', payload: { signature: transactionSignatureB58, expiredAt, blockHeight } });
+          logTxEvent('tx-expired', `Expired (dropped). Block height ${blockHeight} passed the last valid block height ${lastValidBlockHeight}; the transaction can no longer land.`, { level: 'warn', timestamp: expiredAt });
+        });
+      }
+      dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: ${watchSignature ? 'Watching' : 'Created'}. Initiating communications...` });
 
       const overallStartTime = Date.now();
-      dispatch({ type: 'SET_TRANSACTION_SENT_AT', payload: overallStartTime });
 
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Initiating all WebSocket subscriptions concurrently.` } });
-      const wsPromises = state.config.wsUrls.map(wsConfig => {
+      // Every subscription reports exactly once (confirmation, error or timeout). Collect those reports so the
+      // transaction can wait for the first confirmation or, when keeping all subscriptions alive, for all of them.
+      const settledWsResults = [];
+      let resolveWsWait;
+      const wsWaitPromise = new Promise(resolve => { resolveWsWait = resolve; });
+
+      // Milestone subscriptions (processed/confirmed/finalized) run on their own and the transaction
+      // is only completed once each of them has reported, so the snapshot includes finalized times.
+      const expectedMilestones = trackCommitmentMilestones ? config.wsUrls.length * COMMITMENT_LEVELS.length : 0;
+      let settledMilestones = 0;
+      let resolveMilestonesWait;
+      const milestonesWaitPromise = expectedMilestones === 0
+        ? Promise.resolve()
+        : new Promise(resolve => { resolveMilestonesWait = resolve; });
+
+      // Alternative channels (logs/account/block) are timed on their own, like the milestones.
+      const expectedChannelResults = config.wsUrls.length * confirmationChannels.length;
+      let settledChannelResults = 0;
+      let resolveChannelsWait;
+      const channelsWaitPromise = expectedChannelResults === 0
+        ? Promise.resolve()
+        : new Promise(resolve => { resolveChannelsWait = resolve; });
+
+      logTxEvent('ws-subscribe', 'Initiating all WebSocket subscriptions concurrently.');
+      const wsPromises = config.wsUrls.map(wsConfig => {
         dispatch({
           type: 'UPDATE_WS_CONFIRMATION_RESULT',
           payload: {
+            signature: transactionSignatureB58,
             name: wsConfig.name,
-            url: wsConfig.url,
+            url: maskUrl(wsConfig.url),
             status: 'Subscribing...',
             overallSentAtForDurCalc: overallStartTime,
           }
         });
-        const wsConnection = new Connection(creationRpcUrl, { wsEndpoint: wsConfig.url, commitment: 'confirmed' });
-        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Sending WebSocket subscription request to ${wsConfig.name}.` } });
+        const wsConnection = connections.ws[wsConfig.name];
+        logTxEvent('ws-subscribe', `Sending WebSocket subscription request to ${wsConfig.name}.`, { endpoint: wsConfig.name });
+
+        confirmationChannels.forEach(channel => {
+          signaturePollers.push(subscribeToConfirmationChannel(
+            wsConnection,
+            channel,
+            { signature: transactionSignatureB58, feePayer, wsUrl: wsConfig.url },
+            wsConfig.name,
+            overallStartTime,
+            (channelResult) => {
+              dispatch({
+                type: 'UPDATE_WS_CHANNEL_RESULT',
+                payload: {
+                  signature: transactionSignatureB58,
+                  name: channelResult.endpointName,
+                  channel: channelResult.channel,
+                  detectedAt: channelResult.detectedAt,
+                  duration: channelResult.duration,
+                  slot: channelResult.slot,
+                  error: channelResult.error ? { message: channelResult.error.message } : null,
+                  status: channelResult.status
+                }
+              });
+              // Account notifications don't name the transaction, so they don't prove it landed.
+              if (channelResult.detectedAt && channelResult.channel !== 'account') {
+                handleLanded();
+              }
+              const outcome = channelResult.error ? `${channelResult.status}: ${channelResult.error.message}` : `Detected after ${channelResult.duration} ms. Slot: ${channelResult.slot}.`;
+              logTxEvent('ws-channel', `${channelResult.channel}Subscribe on ${channelResult.endpointName}: ${outcome}`, { level: channelResult.error ? 'warn' : 'info', endpoint: channelResult.endpointName, timestamp: channelResult.detectedAt || Date.now() });
+              settledChannelResults++;
+              if (settledChannelResults === expectedChannelResults) {
+                resolveChannelsWait();
+              }
+            },
+            { blockhashExpiry }
+          ));
+        });
+
+        if (trackCommitmentMilestones) {
+          COMMITMENT_LEVELS.forEach(commitment => {
+            subscribeToSignatureMilestone(
+              wsConnection,
+              transactionSignatureB58,
+              wsConfig.name,
+              commitment,
+              overallStartTime,
+              (milestoneResult) => {
+                dispatch({
+                  type: 'UPDATE_WS_MILESTONE',
+                  payload: {
+                    signature: transactionSignatureB58,
+                    name: milestoneResult.endpointName,
+                    commitment: milestoneResult.commitment,
+                    notifiedAt: milestoneResult.notifiedAt,
+                    duration: milestoneResult.duration,
+                    slot: milestoneResult.slot,
+                    error: milestoneResult.error ? { message: milestoneResult.error.message } : null,
+                    status: milestoneResult.status
+                  }
+                });
+                settledMilestones++;
+                if (settledMilestones === expectedMilestones) {
+                  resolveMilestonesWait();
+                }
+              },
+              undefined, // Default timeout
+              blockhashExpiry
+            ).then(subscription => {
+              signatureSubscriptions.push(subscription);
+            }).catch(() => {
+              // Already reported through the milestone callback.
+            });
+          });
+        }
         
         return subscribeToSignatureConfirmation(
           wsConnection,
@@ -209,17 +599,18 @@ function App() {
           wsConfig.name,
           overallStartTime, 
           (confirmationResult) => {
-            // Check if a WS confirmation for THIS transaction has already been processed.
-            // state.isComplete refers to the current transaction's completion status.
-            // firstWsConfirmedRef.current ensures only the first one through this block processes.
-            if (firstWsConfirmedRef.current && state.isComplete) {
-                console.log(`Tx ${txIndex + 1}/${totalTx}: WS Conf from ${confirmationResult.endpointName} (sig: ${transactionSignatureB58.substring(0,6)}...) received, but first confirmation already processed or tx marked complete. Ignoring.`);
-                return;
+            // Results are keyed by `name` in the reducer, so mirror the endpoint name onto it.
+            dispatch({ type: 'UPDATE_WS_CONFIRMATION_RESULT', payload: { ...confirmationResult, signature: transactionSignatureB58, name: confirmationResult.endpointName } });
+            settledWsResults.push(confirmationResult);
+            if (confirmationResult.confirmedAt) {
+              // Any notification means the transaction landed, even if it failed on-chain.
+              handleLanded();
+            }
+            if (settledWsResults.length === config.wsUrls.length) {
+              resolveWsWait();
             }
-
-            dispatch({ type: 'UPDATE_WS_CONFIRMATION_RESULT', payload: confirmationResult });
             
-            let logMessage = `Tx ${txIndex + 1}/${totalTx} - WebSocket message received from ${confirmationResult.endpointName} (sig: ${transactionSignatureB58.substring(0,6)}...): `;
+            let logMessage = `WebSocket message received from ${confirmationResult.endpointName} (sig: ${transactionSignatureB58.substring(0,6)}...): `;
             if (confirmationResult.error) {
               logMessage += `Error: ${confirmationResult.error.message}. Raw error: ${JSON.stringify(confirmationResult.rawError || confirmationResult.error)}`;
             } else {
@@ -229,46 +620,57 @@ function App() {
               }
             }
             const currentEventTimestamp = confirmationResult.confirmedAt || Date.now();
-            dispatch({ type: 'LOG_EVENT', payload: { timestamp: currentEventTimestamp, message: logMessage } });
+            logTxEvent('ws-notification', logMessage, { level: confirmationResult.error ? 'error' : 'info', endpoint: confirmationResult.endpointName, timestamp: currentEventTimestamp });
 
             if (!confirmationResult.error) {
               // This inner check is critical: only the very first confirmation should proceed.
-              if (!firstWsConfirmedRef.current) {
-                console.log(`Tx ${txIndex + 1}/${totalTx}: First WS confirmation from ${confirmationResult.endpointName} (sig: ${transactionSignatureB58.substring(0,6)}...). Completing this transaction.`);
-                firstWsConfirmedRef.current = true; // Guard set: This is the one!
+              if (!firstWsConfirmed) {
+                console.log(`${txLabel}: First WS confirmation from ${confirmationResult.endpointName} (sig: ${transactionSignatureB58.substring(0,6)}...). Completing this transaction.`);
+                firstWsConfirmed = true; // Guard set: This is the one!
                 dispatch({ 
                   type: 'SET_FIRST_WS_CONFIRMED_AT', 
                   payload: { 
+                    signature: transactionSignatureB58,
                     timestamp: currentEventTimestamp, 
                     endpointName: confirmationResult.endpointName,
                     slot: confirmationResult.slot,
                     blockTime: confirmationResult.blockTime
                   }
                 });
-                dispatch({ type: 'SET_GLOBAL_STATUS', payload: `Tx ${txIndex + 1}/${totalTx}: Complete (First WS Confirmation via ${confirmationResult.endpointName})` });
-                dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE' });
-
-                console.log(`Tx ${txIndex + 1}/${totalTx}: Cleaning up all active WebSocket subscriptions after first confirmation (sig: ${transactionSignatureB58.substring(0,6)}...).`);
-                activeSubscriptions.current.forEach(({ connection: subConn, subId, name: subName }) => {
-                  if (subConn && typeof subConn.removeSignatureListener === 'function') {
-                    console.log(`Tx ${txIndex + 1}/${totalTx}: Removing listener for ${subName}, Sub ID: ${subId}`);
-                    subConn.removeSignatureListener(subId);
-                  }
-                });
-                activeSubscriptions.current = []; 
+                if (keepAllWsSubscriptions) {
+                  // Leave the other listeners running so their lag behind this one can be measured.
+                  dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: First WS Confirmation via ${confirmationResult.endpointName}. Waiting for remaining endpoints...` });
+                  return;
+                }
+                if (trackCommitmentMilestones) {
+                  dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: First WS Confirmation via ${confirmationResult.endpointName}. Waiting for commitment milestones...` });
+                } else {
+                  dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: Complete (First WS Confirmation via ${confirmationResult.endpointName})` });
+                  dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE', payload: { signature: transactionSignatureB58 } });
+                }
+                resolveWsWait();
+
+                console.log(`${txLabel}: Cleaning up all active WebSocket subscriptions after first confirmation (sig: ${transactionSignatureB58.substring(0,6)}...).`);
+                removeTransactionSubscriptions('First confirmation');
                 return; // IMPORTANT: Exit callback after processing the first confirmation.
               }
             } 
-          }
+          },
+          undefined, // Default timeout
+          'confirmed',
+          blockhashExpiry
         )
         .then(subIdObj => {
+          signatureSubscriptions.push(subIdObj);
           if (subIdObj && !subIdObj.error && subIdObj.subId !== undefined) {
-            activeSubscriptions.current.push({ connection: subIdObj.wsConnection, subId: subIdObj.subId, name: subIdObj.wsName });
-            dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: WebSocket subscription request processed for ${subIdObj.wsName}, Sub ID: ${subIdObj.subId}.` } });
-            if (!firstWsConfirmedRef.current) {
+            if (!firstWsConfirmed || keepAllWsSubscriptions) {
+              activeSubscriptions.current.push({ connection: subIdObj.wsConnection, subId: subIdObj.subId, name: subIdObj.wsName, signature: transactionSignatureB58, stop: subIdObj.stop });
+            }
+            logTxEvent('ws-subscribe', `WebSocket subscription request processed for ${subIdObj.wsName}, Sub ID: ${subIdObj.subId}.`, { endpoint: subIdObj.wsName });
+            if (!firstWsConfirmed) {
                 dispatch({
                   type: 'UPDATE_WS_CONFIRMATION_RESULT',
-                  payload: { name: subIdObj.wsName, status: 'Subscribed, Awaiting Confirmation' }
+                  payload: { signature: transactionSignatureB58, name: subIdObj.wsName, status: 'Subscribed, Awaiting Confirmation' }
                 });
             }
             return subIdObj;
@@ -276,172 +678,603 @@ function App() {
           return subIdObj; 
         })
         .catch(subError => {
-            console.error(`Tx ${txIndex + 1}/${totalTx}: Critical error setting up subscription promise for ${wsConfig.name}:`, subError);
-            if (!firstWsConfirmedRef.current && !state.isComplete) { 
+            console.error(`${txLabel}: Critical error setting up subscription promise for ${wsConfig.name}:`, subError);
+            if (!firstWsConfirmed) { 
                 dispatch({ 
                     type: 'UPDATE_WS_CONFIRMATION_RESULT', 
                     payload: { 
+                        signature: transactionSignatureB58,
                         name: wsConfig.name, 
-                        url: wsConfig.url,
+                        url: maskUrl(wsConfig.url),
                         status: `WS Sub Setup Error: ${subError.message}`,
                         error: { message: subError.message },
                         overallSentAtForDurCalc: overallStartTime
                     }
                 });
             }
-            dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Critical error subscribing to WebSocket for ${wsConfig.name}: ${subError.message}` } });
+            logTxEvent('ws-subscribe', `Critical error subscribing to WebSocket for ${wsConfig.name}: ${subError.message}`, { level: 'error', endpoint: wsConfig.name });
             return { wsName: wsConfig.name, error: subError };
         });
       });
 
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Initiating all RPC sends concurrently.` } });
-      state.config.rpcUrls.forEach(rpcConfig => {
+      const erroredRpcEndpoints = new Set(); // Endpoints whose sends failed, skipped by the 'only healthy endpoints' rebroadcast policy
+      if (watchSignature) {
+        // Endpoints don't necessarily notify about a transaction that was confirmed before the subscription, so look
+        // it up once: if it had already landed, the endpoints still get a short grace period to notify.
+        lookupSignatureStatus(connections.creation, watchSignature)
+          .then(landedStatus => {
+            if (!landedStatus || landedStatus.confirmationStatus === 'processed') {
+              logTxEvent('watch', landedStatus ? `Status lookup: processed in slot ${landedStatus.slot}, not confirmed yet.` : 'Status lookup: not landed yet.');
+              return;
+            }
+            dispatch({ type: 'SET_LANDED_BEFORE_WATCH', payload: { signature: watchSignature, ...landedStatus, checkedAt: Date.now() } });
+            logTxEvent('watch', `Status lookup: already ${landedStatus.confirmationStatus} in slot ${landedStatus.slot}${landedStatus.err ? ` with error ${JSON.stringify(landedStatus.err)}` : ''}. Endpoints that don't notify within ${WATCH_LANDED_GRACE_MS / 1000} s are marked as not notified.`);
+            watchGraceTimer = setTimeout(() => {
+              watchGraceExpired = true;
+              resolveWatchGrace();
+            }, WATCH_LANDED_GRACE_MS);
+          })
+          .catch(error => logTxEvent('watch', `Status lookup failed: ${error.message}`, { level: 'warn', endpoint: config.rpcUrls[0].name }));
+      } else if (sendIsolationMode === 'off') {
+        logTxEvent('send', 'Initiating all sends concurrently.');
+      } else {
+        logTxEvent('send', `Isolation mode: sending only through ${sendTargets[0].name}.`, { endpoint: sendTargets[0].name });
+      }
+      sendTargets.forEach((rpcConfig, rpcIndex) => {
         dispatch({
           type: 'UPDATE_RPC_SEND_RESULT',
           payload: {
+            signature: transactionSignatureB58,
             name: rpcConfig.name,
-            url: rpcConfig.url,
+            url: maskUrl(rpcConfig.url),
+            endpointType: rpcConfig.endpointType,
+            method: rpcConfig.endpointType === 'block-engine' ? (rpcConfig.method || 'sendTransaction') : 'sendRawTransaction',
             status: 'Sending...',
             sentAt: overallStartTime 
           }
         });
-        const rpcConnection = new Connection(rpcConfig.url, 'confirmed');
-        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Sending RPC to ${rpcConfig.name}...` } });
+        const sendDescription = rpcConfig.endpointType === 'block-engine' ? 'block engine' : 'RPC';
+        logTxEvent('send', `Sending ${sendDescription} to ${rpcConfig.name}...`, { endpoint: rpcConfig.name });
         
-        if (state.config.rpcUrls.indexOf(rpcConfig) === 0) {
-            dispatch({ type: 'SET_TRANSACTION_SENT_AT', payload: { timestamp: overallStartTime, endpointName: rpcConfig.name } });
+        if (rpcIndex === 0) {
+            dispatch({ type: 'SET_TRANSACTION_SENT_AT', payload: { signature: transactionSignatureB58, timestamp: overallStartTime, endpointName: rpcConfig.name } });
         }
 
-        sendTransactionToRpc(rpcConnection, serializedTransaction, rpcConfig.name)
+        sendToEndpoint(rpcConfig, { recordSlot: true })
           .then(rpcResult => {
-            // Handled by reducer
+            const sendError = rpcResult.rpcSignatureOrError instanceof Error ? rpcResult.rpcSignatureOrError : null;
+            if (sendError) erroredRpcEndpoints.add(rpcConfig.name);
+            dispatch({
+              type: 'UPDATE_RPC_SEND_RESULT',
+              payload: {
+                signature: transactionSignatureB58,
+                name: rpcConfig.name,
+                status: sendError ? `Send Error: ${sendError.message}` : 'Sent',
+                sentAt: rpcResult.sentAt,
+                sendDuration: rpcResult.sendDuration,
+                rpcSignatureOrError: sendError ? sendError.message : rpcResult.rpcSignatureOrError,
+                slotAtSend: rpcResult.slotAtSend,
+                error: sendError ? { message: sendError.message } : null,
+              }
+            });
           })
           .catch(error => {
-            console.error(`Tx ${txIndex + 1}/${totalTx}: Unhandled error from sendTransactionToRpc promise for ${rpcConfig.name}:`, error);
-            if (!state.isComplete) { 
-                dispatch({ 
-                  type: 'UPDATE_RPC_SEND_RESULT', 
-                  payload: { 
-                    name: rpcConfig.name, 
-                    url: rpcConfig.url, 
-                    status: `RPC Critical Error: ${error.message}`,
-                    error: { message: error.message }, 
-                    sentAt: overallStartTime 
-                  }
-                });
-            }
-            dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Critical unhandled error in RPC send for ${rpcConfig.name}: ${error.message}` } });
+            console.error(`${txLabel}: Unhandled error from the send promise for ${rpcConfig.name}:`, error);
+            dispatch({ 
+              type: 'UPDATE_RPC_SEND_RESULT', 
+              payload: { 
+                signature: transactionSignatureB58,
+                name: rpcConfig.name, 
+                url: maskUrl(rpcConfig.url), 
+                status: `RPC Critical Error: ${error.message}`,
+                error: { message: error.message }, 
+                sentAt: overallStartTime 
+              }
+            });
+            logTxEvent('send', `Critical unhandled error in RPC send for ${rpcConfig.name}: ${error.message}`, { level: 'error', endpoint: rpcConfig.name });
           });
       });
 
-      dispatch({ type: 'SET_GLOBAL_STATUS', payload: `Tx ${txIndex + 1}/${totalTx}: All RPC sends and WebSocket subscriptions initiated. Awaiting first WS confirmation...` });
-
-      await Promise.allSettled(wsPromises).then((results) => {
-        if (state.isLoading && !firstWsConfirmedRef.current && !state.isComplete) { 
-          console.log(`Tx ${txIndex + 1}/${totalTx}: All WS subscription attempts settled. No single WS confirmed first. Completing this transaction (fallback) (sig: ${transactionSignatureB58.substring(0,6)}...).`);
-          dispatch({ type: 'SET_GLOBAL_STATUS', payload: `Tx ${txIndex + 1}/${totalTx}: Complete (No immediate WS confirmation; check individual statuses).` });
-          dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE' }); 
-          
-          console.log(`Tx ${txIndex + 1}/${totalTx}: Cleaning up any remaining WebSocket subscriptions (fallback) (sig: ${transactionSignatureB58.substring(0,6)}...).`);
-          activeSubscriptions.current.forEach(({ connection: subConn, subId, name: subName }) => {
-            if (subConn && typeof subConn.removeSignatureListener === 'function') {
-              console.log(`Tx ${txIndex + 1}/${totalTx}: (Fallback Cleanup) Removing listener for ${subName}, Sub ID: ${subId}`);
-              subConn.removeSignatureListener(subId);
+      if (rebroadcastPolicy && !firstWsConfirmed) {
+        dispatch({ type: 'UPDATE_REBROADCAST', payload: { signature: transactionSignatureB58, ...rebroadcastPolicy, rounds: 1, stopReason: null } });
+        rebroadcaster = startRebroadcast(
+          sendTargets.map(endpoint => ({ name: endpoint.name, send: () => sendToEndpoint(endpoint) })),
+          rebroadcastPolicy,
+          {
+            blockhashExpiry,
+            erroredEndpoints: erroredRpcEndpoints,
+            startedAt: overallStartTime,
+            onAttempt: (attempt) => {
+              dispatch({
+                type: 'UPDATE_REBROADCAST',
+                payload: {
+                  signature: transactionSignatureB58,
+                  attempt: { ...attempt, error: attempt.error ? { message: attempt.error.message } : null },
+                }
+              });
+              const outcome = attempt.error ? `failed: ${attempt.error.message}` : 'sent';
+              logTxEvent('rebroadcast', `Rebroadcast round ${attempt.round} to ${attempt.name} ${outcome} (${attempt.sendDuration} ms).`, { level: attempt.error ? 'warn' : 'info', endpoint: attempt.name });
+            },
+            onStop: ({ reason, rounds, stoppedAt }) => {
+              dispatch({ type: 'UPDATE_REBROADCAST', payload: { signature: transactionSignatureB58, rounds, stopReason: reason, stoppedAt } });
+              logTxEvent('rebroadcast', `Rebroadcasting stopped after ${rounds} round(s): ${reason}.`, { timestamp: stoppedAt });
+            },
+          }
+        );
+      }
+
+      // Polling is a separate confirmation source: it is recorded per RPC endpoint but never completes the transaction
+      // by itself. The transaction is only finished once every poller has reported, so the results include them.
+      const pollWaitPromise = !pollIntervalMs ? Promise.resolve() : Promise.all(config.rpcUrls.map(rpcConfig => new Promise(resolvePoll => {
+        dispatch({
+          type: 'UPDATE_POLL_CONFIRMATION_RESULT',
+          payload: { signature: transactionSignatureB58, name: rpcConfig.name, url: maskUrl(rpcConfig.url), status: 'Polling...' }
+        });
+        signaturePollers.push(pollSignatureStatus(
+          connections.rpc[rpcConfig.name],
+          transactionSignatureB58,
+          rpcConfig.name,
+          overallStartTime,
+          (pollResult) => {
+            dispatch({
+              type: 'UPDATE_POLL_CONFIRMATION_RESULT',
+              payload: {
+                signature: transactionSignatureB58,
+                name: pollResult.endpointName,
+                status: pollResult.status,
+                detectedAt: pollResult.detectedAt,
+                pollDuration: pollResult.pollDuration,
+                pollCount: pollResult.pollCount,
+                failedPolls: pollResult.failedPolls,
+                slot: pollResult.slot,
+                error: pollResult.error ? { message: pollResult.error.message } : null,
+              }
+            });
+            if (pollResult.detectedAt) {
+              handleLanded();
             }
-          });
-          activeSubscriptions.current = [];
+            const outcome = pollResult.error ? `Error: ${pollResult.error.message}` : `Confirmed after ${pollResult.pollDuration} ms. Slot: ${pollResult.slot}.`;
+            logTxEvent('poll', `getSignatureStatuses polling of ${pollResult.endpointName} finished after ${pollResult.pollCount} poll(s). ${outcome}`, { level: pollResult.error ? 'warn' : 'info', endpoint: pollResult.endpointName, timestamp: pollResult.detectedAt || Date.now() });
+            resolvePoll();
+          },
+          { intervalMs: pollIntervalMs, blockhashExpiry }
+        ));
+      })));
+
+      dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: All RPC sends and WebSocket subscriptions initiated. Awaiting first WS confirmation...` });
+
+      await Promise.race([
+        Promise.all([Promise.allSettled(wsPromises), wsWaitPromise, milestonesWaitPromise, channelsWaitPromise, pollWaitPromise]),
+        stoppedPromise,
+        watchGracePromise,
+      ]);
+      if (stopped) {
+        dispatch({ type: 'PROCESS_TX_STOPPED', payload: { signature: transactionSignatureB58, stoppedAt: Date.now() } });
+        logTxEvent('tx-stopped', 'Stopped while in flight. Its subscriptions, pollers and rebroadcasts were ended.');
+        return;
+      }
+      if (watchGraceExpired) {
+        endConfirmationSources('finished');
+        dispatch({ type: 'MARK_NOT_NOTIFIED', payload: { signature: transactionSignatureB58 } });
+        logTxEvent('watch', `Stopped waiting: the transaction had landed before watching started. ${settledWsResults.length} of ${config.wsUrls.length} WS endpoint(s) notified.`);
+      }
+      stopRebroadcast('finished');
+      stopExpiryWatch();
+
+      if (firstWsConfirmed && keepAllWsSubscriptions) {
+        // The first callback to fire may have been delayed by its getTransaction retries,
+        // so pick the earliest WS signal now that every endpoint has reported.
+        const earliest = settledWsResults
+          .filter(result => result.confirmedAt && result.status !== 'WS Signature Error')
+          .reduce((first, result) => (!first || result.confirmedAt < first.confirmedAt ? result : first), null);
+        dispatch({
+          type: 'SET_FIRST_WS_CONFIRMED_AT',
+          payload: {
+            signature: transactionSignatureB58,
+            timestamp: earliest.confirmedAt,
+            endpointName: earliest.endpointName,
+            slot: earliest.slot,
+            blockTime: earliest.blockTime
+          }
+        });
+        console.log(`${txLabel}: All ${settledWsResults.length} WS endpoints reported (sig: ${transactionSignatureB58.substring(0,6)}...). First confirmation via ${earliest.endpointName}.`);
+        dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: Complete (All WS endpoints reported, first via ${earliest.endpointName})` });
+        dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE', payload: { signature: transactionSignatureB58 } });
+        removeTransactionSubscriptions('All reported');
+      } else if (firstWsConfirmed && trackCommitmentMilestones) {
+        console.log(`${txLabel}: All commitment milestones reported (sig: ${transactionSignatureB58.substring(0,6)}...).`);
+        dispatch({ type: 'SET_GLOBAL_STATUS', payload: `${txLabel}: Complete (All commitment milestones reported)` });
+        dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE', payload: { signature: transactionSignatureB58 } });
+      } else if (!firstWsConfirmed) {
+        console.log(`${txLabel}: All WS subscription attempts settled. No single WS confirmed first. Completing this transaction (fallback) (sig: ${transactionSignatureB58.substring(0,6)}...).`);
+        let completionStatus = `${txLabel}: Complete (No immediate WS confirmation; check individual statuses).`;
+        if (blockhashExpiry && blockhashExpiry.expired) {
+          completionStatus = `${txLabel}: Complete (Expired (dropped): the blockhash expired before the transaction landed).`;
+        } else if (watchGraceExpired) {
+          completionStatus = `${txLabel}: Complete (Landed before watching started; no WS endpoint notified).`;
         }
-      });
+        dispatch({ type: 'SET_GLOBAL_STATUS', payload: completionStatus });
+        dispatch({ type: 'PROCESS_SINGLE_TX_COMPLETE', payload: { signature: transactionSignatureB58 } }); 
+        
+        console.log(`${txLabel}: Cleaning up any remaining WebSocket subscriptions (fallback) (sig: ${transactionSignatureB58.substring(0,6)}...).`);
+        removeTransactionSubscriptions('Fallback Cleanup');
+      }
 
     } catch (error) {
-      console.error(`Tx ${txIndex + 1}/${totalTx}: Error during transaction processing setup:`, error);
-      if (state.isLoading && !state.isComplete) { 
-        dispatch({ type: 'PROCESS_ERROR', payload: { message: error.message } });
-      }
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Tx ${txIndex + 1}/${totalTx}: Critical error during transaction processing: ${error.message}` } });
+      console.error(`${txLabel}: Error during transaction processing setup:`, error);
+      dispatch({ type: 'PROCESS_ERROR', payload: { txIndex, signature: transactionSignatureB58, message: error.message } });
+      logTxEvent('tx-error', `Critical error during transaction processing: ${error.message}`, { level: 'error' });
+      removeTransactionSubscriptions('Error');
+      signaturePollers.forEach(poller => poller.stop());
+      stopRebroadcast('error');
+      stopExpiryWatch();
       throw error;
+    } finally {
+      clearTimeout(watchGraceTimer);
+      transactionStoppers.current.delete(stopTransaction);
     }
   };
 
-  const handleSendTransaction = async () => {
+  // Reports why the active config can't be used for a run, if it can't. Returns true if it can.
+  const checkConfigForRun = () => {
     if (!state.config || 
         !state.config.privateKey || 
         !state.config.rpcUrls || state.config.rpcUrls.length === 0 ||
         !state.config.wsUrls || state.config.wsUrls.length === 0
     ) {
-      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: 'Configuration is missing, invalid, or has no RPC/WS URLs. Please check src/config/appConfig.js.', type: 'config' } });
-      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: 'Error: Configuration missing, invalid, or no RPC/WS URLs.' } });
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: 'Configuration is missing, invalid, or has no enabled RPC/WS URLs. Check the active profile in Settings.', type: 'config' } });
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'error', eventType: 'config', message: 'Configuration missing, invalid, or no RPC/WS URLs.' } });
+      return false;
+    }
+    if (state.configProblems.length > 0) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: 'The active profile has configuration problems. Fix them in Settings before sending.', details: state.configProblems, type: 'config' } });
+      return false;
+    }
+    return true;
+  };
+
+  const handleSendTransaction = async () => {
+    if (!checkConfigForRun()) return;
+
+    const { unitLimit, unitPriceMicroLamports, sweepMicroLamports, tipLamports: tipInput } = state.computeBudgetSettings;
+    const computeUnitLimitValues = parseNonNegativeIntegerList(unitLimit);
+    const unitPriceValues = parseNonNegativeIntegerList(unitPriceMicroLamports);
+    const feeSweepLevels = parseNonNegativeIntegerList(sweepMicroLamports);
+    const tipValues = parseNonNegativeIntegerList(tipInput);
+    if (!computeUnitLimitValues || computeUnitLimitValues.length > 1 || !unitPriceValues || unitPriceValues.length > 1 || !feeSweepLevels || !tipValues || tipValues.length > 1) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: 'Invalid compute budget settings. Compute unit limit, price and tip must be single non-negative integers; the fee sweep must be a comma separated list of them.', type: 'config' } });
+      return;
+    }
+    const tipLamports = tipValues[0] || 0;
+    if (tipLamports > 0 && !state.config.tipAccount) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: 'A tip is set but no tip account is configured. Set tipAccount in the config file or the active profile.', type: 'config' } });
       return;
     }
+    const computeUnitLimit = computeUnitLimitValues[0] || null;
+    const defaultUnitPrice = unitPriceValues[0] || null;
+    // In sweep mode transactions cycle through the fee levels so every level sees similar network conditions.
+    const computeBudgetForTx = (txIndex) => ({
+      computeUnitLimit,
+      computeUnitPriceMicroLamports: feeSweepLevels.length > 0 ? feeSweepLevels[txIndex % feeSweepLevels.length] : defaultUnitPrice,
+    });
 
     const numTransactionsToRun = localNumberOfTransactionsRef.current;
+    let loadPlan;
+    try {
+      loadPlan = parseLoadSettings(state.loadSettings, numTransactionsToRun);
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: error.message, type: 'config' } });
+      return;
+    }
+
+    let rebroadcastPolicy;
+    let failurePolicy;
+    let pollIntervalMs;
+    try {
+      rebroadcastPolicy = parseRebroadcastSettings(state.rebroadcastSettings);
+      failurePolicy = loadPlan.mode === 'monitor' ? { mode: 'continue', retries: 0 } : parseFailurePolicy(state.failurePolicy);
+      pollIntervalMs = parsePollInterval(state.confirmationSourceSettings.pollIntervalMs);
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: error.message, type: 'config' } });
+      return;
+    }
+
+    if (feeSweepLevels.length > 0) {
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'run', message: `Priority fee sweep enabled. Cycling through ${feeSweepLevels.join(', ')} micro-lamports per CU.` } });
+    }
+
+    const confirmationChannels = state.confirmationSourceSettings.channels.filter(channel => isChannelAvailable(channel, loadPlan.mode));
+    if (confirmationChannels.length < state.confirmationSourceSettings.channels.length) {
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'warn', eventType: 'run', message: 'accountSubscribe is skipped: it can only tell transactions apart in sequential mode.' } });
+    }
+
+    const totalTx = loadPlan.totalTransactions;
     dispatch({ type: 'SET_NUMBER_OF_TRANSACTIONS', payload: numTransactionsToRun });
-    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), message: `Preparing to process ${numTransactionsToRun} transaction(s).` } });
-    dispatch({ type: 'PROCESS_START_ALL' });
+    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'run', message: `Preparing to process ${Number.isFinite(totalTx) ? totalTx : 'an open-ended number of'} transaction(s) (${loadPlan.description}).` } });
+    dispatch({
+      type: 'PROCESS_START_ALL',
+      payload: { startedAt: Date.now(), plannedTransactionCount: totalTx, runMode: loadPlan.mode, rollingWindowSize: loadPlan.rollingWindowSize }
+    });
+    stopRequestedRef.current = false;
 
-    let transactionsProcessed = 0; // Local transaction counter
+    // The state captured here is used for the whole run, even while the reducer state changes underneath.
+    const run = {
+      config: state.config,
+      connections: createRunConnections(state.config),
+      keepAllWsSubscriptions: state.keepAllWsSubscriptions,
+      trackCommitmentMilestones: state.trackCommitmentMilestones,
+      pollIntervalMs,
+      confirmationChannels,
+      rebroadcastPolicy,
+      sendIsolationMode: state.sendIsolationMode,
+      tip: tipLamports > 0 ? { account: state.config.tipAccount, lamports: tipLamports } : null,
+    };
+    let haltedAfterFailure = false; // Set by the 'halt' failure policy
+    const stopLaunching = () => haltedAfterFailure || stopRequestedRef.current;
+    // Sleeps in short steps until `until` (epoch ms), so Stop takes effect without waiting for a long pause.
+    const waitUnlessStopped = async (until) => {
+      while (!stopLaunching() && Date.now() < until) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(250, until - Date.now())));
+      }
+    };
 
-    while (transactionsProcessed < numTransactionsToRun) {
-      // Ensure we're using the right transaction index for UI purposes
-      const currentTxIndex = transactionsProcessed;
-      
-      dispatch({ type: 'LOG_EVENT', payload: { 
-        timestamp: Date.now(), 
-        message: `Starting transaction ${currentTxIndex + 1}/${numTransactionsToRun} (local counter: ${transactionsProcessed + 1})` 
-      }});
-      
-      try {
-        // Wait for this transaction to complete, regardless of state updates
-        await executeSingleTransaction(currentTxIndex, numTransactionsToRun);
-        
-        // Log completion of this specific transaction
-        dispatch({ type: 'LOG_EVENT', payload: { 
-          timestamp: Date.now(), 
-          message: `Completed transaction ${currentTxIndex + 1}/${numTransactionsToRun}` 
-        }});
-        
-        // Increment our local counter
-        transactionsProcessed++;
-        
-        // Check if we've actually processed all transactions
-        if (transactionsProcessed >= numTransactionsToRun) {
-          console.log(`All ${numTransactionsToRun} transactions processed successfully.`);
-          break;
-        }
-      } catch (error) {
-        console.error(`Transaction ${currentTxIndex + 1}/${numTransactionsToRun}: Critical error: ${error.message}`);
-        dispatch({ type: 'LOG_EVENT', payload: { 
-          timestamp: Date.now(), 
-          message: `Transaction ${currentTxIndex + 1}/${numTransactionsToRun} failed with error: ${error.message}` 
-        }});
-        
-        // Instead of immediately stopping, ask if we should continue
-        const shouldContinue = window.confirm(`Transaction ${currentTxIndex + 1} failed. Continue with remaining transactions?`);
-        if (!shouldContinue) {
+    // Runs one transaction (retrying it if the failure policy says so) and never throws, so concurrent workers keep
+    // going after a failure.
+    const runTransaction = async (txIndex) => {
+      for (let attempt = 1; ; attempt++) {
+        const attemptNote = attempt > 1 ? ` (retry ${attempt - 1}/${failurePolicy.retries})` : '';
+        dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'tx-start', txIndex, message: `Starting transaction ${formatTxNumber(txIndex, totalTx)}${attemptNote}` } });
+        try {
+          await executeSingleTransaction(txIndex, totalTx, computeBudgetForTx(txIndex), run);
+          dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'tx-complete', txIndex, message: `Completed transaction ${formatTxNumber(txIndex, totalTx)}` } });
+          if (attempt > 1) dispatch({ type: 'PROCESS_RETRY_SUCCEEDED', payload: { txIndex } });
+          return;
+        } catch (error) {
+          console.error(`Transaction ${formatTxNumber(txIndex, totalTx)}: Critical error: ${error.message}`);
           dispatch({ type: 'LOG_EVENT', payload: { 
             timestamp: Date.now(), 
-            message: `User chose to cancel remaining transactions after failure of transaction ${currentTxIndex + 1}/${numTransactionsToRun}` 
+            level: 'error',
+            eventType: 'tx-failed',
+            txIndex,
+            message: `Transaction ${formatTxNumber(txIndex, totalTx)} failed with error: ${error.message}` 
           }});
-          break;
+          // A monitor keeps probing: failures are what it watches for.
+          if (loadPlan.mode === 'monitor' || stopLaunching()) return;
+          if (failurePolicy.mode === 'retry' && attempt <= failurePolicy.retries) {
+            // Only the last attempt is reported, so a transaction that succeeds on a retry doesn't count as failed.
+            dispatch({ type: 'DISCARD_FAILED_ATTEMPT', payload: { txIndex } });
+            continue;
+          }
+          if (failurePolicy.mode === 'halt' && txIndex < totalTx - 1) {
+            haltedAfterFailure = true;
+            dispatch({ type: 'LOG_EVENT', payload: { 
+              timestamp: Date.now(), 
+              level: 'warn',
+              eventType: 'run',
+              message: `Halting the run after the failure of transaction ${formatTxNumber(txIndex, totalTx)} (failure policy).` 
+            }});
+          }
+          return;
         }
-        
-        // If continuing, increment our counter to move to next transaction
-        transactionsProcessed++;
       }
+    };
 
-      // Only sleep between transactions if we have more to process
-      if (transactionsProcessed < numTransactionsToRun) {
-        dispatch({ type: 'LOG_EVENT', payload: { 
-          timestamp: Date.now(), 
-          message: `Waiting 2 seconds before processing next transaction...` 
-        }});
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    if (loadPlan.mode === 'monitor') {
+      // Open loop like the fixed-rate mode, but without an end: probes continue until the monitor is stopped.
+      const inFlightProbes = new Set();
+      for (let txIndex = 0; !stopRequestedRef.current; txIndex++) {
+        const probe = runTransaction(txIndex).finally(() => inFlightProbes.delete(probe));
+        inFlightProbes.add(probe);
+        await waitUnlessStopped(Date.now() + loadPlan.intervalMs);
       }
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'run', message: `Monitor stopped. Waiting for ${inFlightProbes.size} in-flight probe(s) to shut down...` } });
+      await Promise.all(inFlightProbes);
+    } else if (loadPlan.mode === 'rate') {
+      // Open loop: launches follow the schedule no matter how many transactions are still in flight.
+      const intervalMs = 1000 / loadPlan.ratePerSecond;
+      const runStart = Date.now();
+      const launched = [];
+      for (let txIndex = 0; txIndex < totalTx && !stopLaunching(); txIndex++) {
+        await waitUnlessStopped(runStart + txIndex * intervalMs);
+        if (stopLaunching()) break;
+        launched.push(runTransaction(txIndex));
+      }
+      await Promise.all(launched);
+    } else {
+      // Sequential mode is a single worker with a pause between transactions.
+      let nextTxIndex = 0;
+      const worker = async () => {
+        while (!stopLaunching() && nextTxIndex < totalTx) {
+          const txIndex = nextTxIndex++;
+          await runTransaction(txIndex);
+          if (loadPlan.mode === 'sequential' && nextTxIndex < totalTx && !stopLaunching()) {
+            dispatch({ type: 'LOG_EVENT', payload: { 
+              timestamp: Date.now(), 
+              eventType: 'run',
+              message: `Waiting ${SEQUENTIAL_DELAY_MS / 1000} seconds before processing next transaction...` 
+            }});
+            await waitUnlessStopped(Date.now() + SEQUENTIAL_DELAY_MS);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: loadPlan.concurrency }, () => worker()));
     }
-    
-    // If we've reached here, all requested transactions have been attempted
-    if (!state.allProcessesComplete) {
-      dispatch({ type: 'PROCESS_ALL_COMPLETE' });
+
+    if (loadPlan.mode === 'monitor') {
+      console.log('Monitor stopped.');
+      dispatch({ type: 'PROCESS_ALL_COMPLETE', payload: { message: 'Monitor stopped.' } });
+      return;
+    }
+    if (stopRequestedRef.current) {
+      console.log('Run stopped by the user.');
+      dispatch({ type: 'PROCESS_ALL_COMPLETE', payload: { message: 'Run stopped. The results so far have been kept.', stopped: true } });
+      return;
+    }
+    console.log(haltedAfterFailure ? 'Run halted after a failure.' : `All ${totalTx} transactions processed.`);
+    dispatch({ type: 'PROCESS_ALL_COMPLETE', payload: haltedAfterFailure ? { message: 'Run halted after a failed transaction.' } : undefined });
+  };
+
+  // Tracks a transaction sent elsewhere (e.g. by a bot): subscribes on every WS endpoint, and polls if polling is
+  // enabled, without creating or sending anything. The result shows up in the usual reports as a one-transaction run.
+  const handleWatchSignature = async () => {
+    const signature = state.watchSignatureInput.trim();
+    if (!isTransactionSignature(signature)) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `'${signature}' is not a transaction signature (base58, 64 bytes).`, type: 'config' } });
+      return;
+    }
+    if (!checkConfigForRun()) return;
+    let pollIntervalMs;
+    try {
+      pollIntervalMs = parsePollInterval(state.confirmationSourceSettings.pollIntervalMs);
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: error.message, type: 'config' } });
+      return;
+    }
+
+    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'run', message: `Watching signature ${signature} on ${state.config.wsUrls.length} WS endpoint(s).` } });
+    dispatch({ type: 'PROCESS_START_ALL', payload: { startedAt: Date.now(), plannedTransactionCount: 1, runMode: 'watch' } });
+    stopRequestedRef.current = false;
+
+    // Sending options don't apply. The alternative channels need the fee payer, which isn't known for a watched transaction.
+    const run = {
+      config: state.config,
+      connections: createRunConnections(state.config),
+      keepAllWsSubscriptions: state.keepAllWsSubscriptions,
+      trackCommitmentMilestones: state.trackCommitmentMilestones,
+      pollIntervalMs,
+      confirmationChannels: [],
+      rebroadcastPolicy: null,
+      sendIsolationMode: 'off',
+      tip: null,
+      watchSignature: signature,
+    };
+    try {
+      await executeSingleTransaction(0, 1, {}, run);
+    } catch (error) {
+      console.error(`Watching ${signature} failed: ${error.message}`);
+    }
+    dispatch({
+      type: 'PROCESS_ALL_COMPLETE',
+      payload: stopRequestedRef.current ? { message: 'Watch stopped. The results so far have been kept.', stopped: true } : { message: 'Watch complete.' },
+    });
+  };
+
+  // Sends a transaction that was signed elsewhere (pasted or uploaded) to every send endpoint and tracks it like a
+  // generated one, as a one-transaction run. A transaction can only land once, so it is refused if it already landed.
+  const handleSendSignedTransaction = async () => {
+    let signedTransaction;
+    try {
+      signedTransaction = parseSignedTransaction(state.signedTransactionInput);
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `Invalid signed transaction: ${error.message}`, type: 'config' } });
+      return;
+    }
+    if (!checkConfigForRun()) return;
+    let rebroadcastPolicy;
+    let pollIntervalMs;
+    try {
+      rebroadcastPolicy = parseRebroadcastSettings(state.rebroadcastSettings);
+      pollIntervalMs = parsePollInterval(state.confirmationSourceSettings.pollIntervalMs);
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: error.message, type: 'config' } });
+      return;
+    }
+
+    const { signature } = signedTransaction;
+    const connections = createRunConnections(state.config);
+    try {
+      const landedStatus = await lookupSignatureStatus(connections.creation, signature);
+      if (landedStatus) {
+        dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `Transaction ${signature} already landed in slot ${landedStatus.slot} (${landedStatus.confirmationStatus}). A transaction can only land once; use Watch Signature to track it, or sign a new one.`, type: 'config' } });
+        return;
+      }
+    } catch (error) {
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'warn', eventType: 'run', message: `Could not check whether ${signature} already landed: ${error.message}. Sending it anyway.` } });
+    }
+
+    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'run', message: `Sending pre-signed transaction ${signature} (${signedTransaction.encoding}).` } });
+    dispatch({ type: 'PROCESS_START_ALL', payload: { startedAt: Date.now(), plannedTransactionCount: 1, runMode: 'signed' } });
+    stopRequestedRef.current = false;
+
+    // The transaction is sent to every endpoint as is: isolation modes would leave all but one endpoint out of a single
+    // transaction, and a tip can't be added to a signed transaction.
+    const run = {
+      config: state.config,
+      connections,
+      keepAllWsSubscriptions: state.keepAllWsSubscriptions,
+      trackCommitmentMilestones: state.trackCommitmentMilestones,
+      pollIntervalMs,
+      confirmationChannels: state.confirmationSourceSettings.channels,
+      rebroadcastPolicy,
+      sendIsolationMode: 'off',
+      tip: null,
+      signedTransaction,
+    };
+    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'tx-start', txIndex: 0, message: `Starting transaction ${formatTxNumber(0, 1)}` } });
+    try {
+      await executeSingleTransaction(0, 1, {}, run);
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'tx-complete', txIndex: 0, message: `Completed transaction ${formatTxNumber(0, 1)}` } });
+    } catch (error) {
+      console.error(`Transaction ${formatTxNumber(0, 1)}: Critical error: ${error.message}`);
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'error', eventType: 'tx-failed', txIndex: 0, message: `Transaction ${formatTxNumber(0, 1)} failed with error: ${error.message}` } });
+    }
+    dispatch({
+      type: 'PROCESS_ALL_COMPLETE',
+      payload: stopRequestedRef.current ? { message: 'Run stopped. The results so far have been kept.', stopped: true } : { message: 'Pre-signed transaction complete.' },
+    });
+  };
+
+  // Loads a file with a base64 or base58 encoded signed transaction into the Signed Transaction input.
+  const handleOpenSignedTransactionFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow re-opening the same file
+    if (!file) return;
+    dispatch({ type: 'SET_SIGNED_TRANSACTION_INPUT', payload: (await file.text()).trim() });
+  };
+
+  // Stops launching transactions and ends the ones in flight. Their results so far are kept and the run is saved.
+  const handleStopRun = () => {
+    stopRequestedRef.current = true;
+    dispatch({ type: 'SET_GLOBAL_STATUS', payload: state.runMode === 'monitor' ? 'Stopping monitor...' : 'Stopping run...' });
+    dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), level: 'warn', eventType: 'run', message: `Stop requested. Ending ${transactionStoppers.current.size} transaction(s) in flight.` } });
+    transactionStoppers.current.forEach(stopTransaction => stopTransaction());
+    // Listeners kept alive by transactions that have already finished are removed too.
+    activeSubscriptions.current.forEach(({ stop }) => stop());
+    activeSubscriptions.current = [];
+  };
+
+  const handleOpenResultsFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow re-opening the same file
+    if (!file) return;
+    try {
+      const results = parseResultsJson(await file.text());
+      dispatch({ type: 'LOAD_RESULTS', payload: { ...results, sourceName: file.name } });
+      dispatch({ type: 'LOG_EVENT', payload: { timestamp: Date.now(), eventType: 'results', message: `Loaded ${results.transactions.length} transaction result(s) from ${file.name}.` } });
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `Could not open ${file.name}: ${error.message}` } });
+    }
+  };
+
+  const handleOpenSavedRun = async (id) => {
+    try {
+      const run = await getRun(id);
+      if (!run) {
+        throw new Error(`Run ${id} no longer exists.`);
+      }
+      dispatch({
+        type: 'LOAD_RESULTS',
+        payload: {
+          transactions: run.transactions,
+          network: run.network,
+          configPath: run.configSnapshot ? run.configSnapshot.loadedPath : null,
+          startedAt: new Date(run.startedAt).toISOString(),
+          eventLog: run.eventLog,
+          sourceName: `saved run "${run.label || new Date(run.savedAt).toISOString()}"`,
+        }
+      });
+    } catch (error) {
+      dispatch({ type: 'SET_GLOBAL_ERROR', payload: { message: `Could not open saved run: ${error.message}` } });
     }
   };
 
@@ -450,6 +1283,18 @@ function App() {
     localNumberOfTransactionsRef.current = isNaN(value) ? 1 : Math.max(1, value); 
   };
 
+  // Loaded results files carry the network they were recorded on (used for explorer links).
+  const reportNetwork = state.loadedResults ? state.loadedResults.network : (state.config ? state.config.network : 'devnet');
+
+  // Clicking the selected row again closes its details.
+  const handleSelectTransaction = (txData) => {
+    const alreadySelected = state.selectedTransaction && state.selectedTransaction.txIndex === txData.txIndex;
+    dispatch({ type: 'SELECT_TRANSACTION', payload: alreadySelected ? null : { txIndex: txData.txIndex } });
+  };
+  const selectedTxPosition = state.selectedTransaction
+    ? state.allTransactionResults.findIndex(txData => txData.txIndex === state.selectedTransaction.txIndex)
+    : -1;
+
   return (
     <div className="app-container">
       <header>
@@ -458,6 +1303,17 @@ function App() {
       
       <GlobalAlert error={state.globalError} onDismiss={() => dispatch({ type: 'CLEAR_GLOBAL_ERROR' })} />
 
+      <ConfigDisplay configStatus={state.configStatus} problems={state.configProblems} warnings={state.configWarnings} />
+
+      <ProfileEditor
+        profiles={state.profiles}
+        activeProfileId={state.activeProfileId}
+        onSelectProfile={(id) => dispatch({ type: 'SET_ACTIVE_PROFILE', payload: id })}
+        onSaveProfile={(profile) => dispatch({ type: 'SAVE_PROFILE', payload: profile })}
+        onDeleteProfile={(id) => dispatch({ type: 'DELETE_PROFILE', payload: id })}
+        disabled={state.isLoading}
+      />
+
       <div className="controls-area" style={{ marginBottom: '20px' }}>
         <label htmlFor="numTransactions" style={{ marginRight: '10px' }}>Number of Transactions:</label>
         <input 
@@ -472,30 +1328,411 @@ function App() {
           disabled={state.isLoading} 
           style={{ marginRight: '20px', width: '60px' }}
         />
+        <label htmlFor="keepAllWsSubscriptions" style={{ marginRight: '20px' }}>
+          <input
+            type="checkbox"
+            id="keepAllWsSubscriptions"
+            checked={state.keepAllWsSubscriptions}
+            onChange={(e) => dispatch({ type: 'SET_KEEP_ALL_WS_SUBSCRIPTIONS', payload: e.target.checked })}
+            disabled={state.isLoading}
+            style={{ marginRight: '5px' }}
+          />
+          Wait for all WS endpoints (measure lag)
+        </label>
+        <label htmlFor="trackCommitmentMilestones" style={{ marginRight: '20px' }}>
+          <input
+            type="checkbox"
+            id="trackCommitmentMilestones"
+            checked={state.trackCommitmentMilestones}
+            onChange={(e) => dispatch({ type: 'SET_TRACK_COMMITMENT_MILESTONES', payload: e.target.checked })}
+            disabled={state.isLoading}
+            style={{ marginRight: '5px' }}
+          />
+          Track processed/confirmed/finalized
+        </label>
+        <label htmlFor="runLabel" style={{ marginRight: '10px' }}>Run Label:</label>
+        <input
+          type="text"
+          id="runLabel"
+          value={state.runLabel}
+          onChange={(e) => dispatch({ type: 'SET_RUN_LABEL', payload: e.target.value })}
+          placeholder="optional"
+          disabled={state.isLoading}
+          style={{ marginRight: '20px', width: '140px' }}
+        />
         <button onClick={handleSendTransaction} disabled={state.isLoading || !state.config}>
-          {state.isLoading ? `Processing Tx ${state.currentTransactionIndex + 1} of ${state.numberOfTransactions}...` : 'Send Transaction(s)'}
+          {state.isLoading
+            ? (state.runMode === 'monitor'
+              ? `Monitoring: ${state.launchedTransactionCount} probe(s) sent, ${Object.keys(state.inFlightTransactions).length} in flight...`
+              : `Processing: ${state.allTransactionResults.length}/${state.plannedTransactionCount} done, ${Object.keys(state.inFlightTransactions).length} in flight...`)
+            : 'Send Transaction(s)'}
         </button>
+        {state.isLoading && (
+          <button onClick={handleStopRun} style={{ marginLeft: '10px' }}>
+            {state.runMode === 'monitor' ? 'Stop Monitor' : 'Stop'}
+          </button>
+        )}
         {state.isLoading && <span className="spinner"></span>}
+        <label htmlFor="openResultsFile" style={{ marginLeft: '10px' }}>Open Results File:</label>
+        <input
+          type="file"
+          id="openResultsFile"
+          accept=".json,application/json"
+          onChange={handleOpenResultsFile}
+          disabled={state.isLoading}
+          style={{ marginLeft: '10px' }}
+        />
+      </div>
+
+      <div className="controls-area watch-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="watchSignature" style={{ marginRight: '10px' }}>Watch Signature:</label>
+        <input
+          type="text"
+          id="watchSignature"
+          value={state.watchSignatureInput}
+          onChange={(e) => dispatch({ type: 'SET_WATCH_SIGNATURE_INPUT', payload: e.target.value })}
+          placeholder="signature of a transaction sent elsewhere"
+          disabled={state.isLoading}
+          style={{ marginRight: '10px', width: '420px', fontFamily: 'monospace' }}
+        />
+        <button onClick={handleWatchSignature} disabled={state.isLoading || !state.config || state.watchSignatureInput.trim() === ''}>
+          Watch
+        </button>
+      </div>
+
+      <div className="controls-area signed-transaction-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="signedTransaction" style={{ display: 'block', marginBottom: '5px' }}>Signed Transaction (base64 or base58, legacy or versioned):</label>
+        <textarea
+          id="signedTransaction"
+          value={state.signedTransactionInput}
+          onChange={(e) => dispatch({ type: 'SET_SIGNED_TRANSACTION_INPUT', payload: e.target.value })}
+          placeholder="serialized, fully signed transaction"
+          disabled={state.isLoading}
+          rows={3}
+          style={{ width: '100%', maxWidth: '700px', fontFamily: 'monospace', wordBreak: 'break-all' }}
+        />
+        <p style={{ color: '#b35c00', fontSize: '0.9em', margin: '5px 0' }}>
+          A transaction can only land once: it is sent to every endpoint as is, and it can't be sent again after it landed.
+          Sign a new transaction (with a fresh blockhash) for every measurement.
+        </p>
+        <input
+          type="file"
+          id="signedTransactionFile"
+          accept=".txt,.b64,.b58,text/plain"
+          onChange={handleOpenSignedTransactionFile}
+          disabled={state.isLoading}
+          style={{ marginRight: '10px' }}
+          aria-label="Open signed transaction file"
+        />
+        <button onClick={handleSendSignedTransaction} disabled={state.isLoading || !state.config || state.signedTransactionInput.trim() === ''}>
+          Send Signed Transaction
+        </button>
+      </div>
+
+      <div className="controls-area load-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="loadMode" style={{ marginRight: '10px' }}>Send Mode:</label>
+        <select
+          id="loadMode"
+          value={state.loadSettings.mode}
+          onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { mode: e.target.value } })}
+          disabled={state.isLoading}
+          style={{ marginRight: '20px' }}
+        >
+          {LOAD_MODES.map(loadMode => <option key={loadMode.value} value={loadMode.value}>{loadMode.label}</option>)}
+        </select>
+        {state.loadSettings.mode === 'concurrent' && (
+          <>
+            <label htmlFor="concurrency" style={{ marginRight: '10px' }}>In Flight (K):</label>
+            <input
+              type="number"
+              id="concurrency"
+              value={state.loadSettings.concurrency}
+              onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { concurrency: e.target.value } })}
+              min="1"
+              disabled={state.isLoading}
+              style={{ width: '60px' }}
+            />
+          </>
+        )}
+        {state.loadSettings.mode === 'rate' && (
+          <>
+            <label htmlFor="ratePerSecond" style={{ marginRight: '10px' }}>Rate (tx/s):</label>
+            <input
+              type="number"
+              id="ratePerSecond"
+              value={state.loadSettings.ratePerSecond}
+              onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { ratePerSecond: e.target.value } })}
+              min="0"
+              step="0.1"
+              disabled={state.isLoading}
+              style={{ marginRight: '20px', width: '60px' }}
+            />
+            <label htmlFor="durationSeconds" style={{ marginRight: '10px' }}>Duration (s):</label>
+            <input
+              type="number"
+              id="durationSeconds"
+              value={state.loadSettings.durationSeconds}
+              onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { durationSeconds: e.target.value } })}
+              min="1"
+              disabled={state.isLoading}
+              style={{ marginRight: '10px', width: '60px' }}
+            />
+            <span>(Number of Transactions is ignored)</span>
+          </>
+        )}
+        {state.loadSettings.mode === 'monitor' && (
+          <>
+            <label htmlFor="intervalSeconds" style={{ marginRight: '10px' }}>Probe Every (s):</label>
+            <input
+              type="number"
+              id="intervalSeconds"
+              value={state.loadSettings.intervalSeconds}
+              onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { intervalSeconds: e.target.value } })}
+              min="1"
+              disabled={state.isLoading}
+              style={{ marginRight: '20px', width: '60px' }}
+            />
+            <label htmlFor="windowSize" style={{ marginRight: '10px' }}>Keep Last:</label>
+            <input
+              type="number"
+              id="windowSize"
+              value={state.loadSettings.windowSize}
+              onChange={(e) => dispatch({ type: 'SET_LOAD_SETTINGS', payload: { windowSize: e.target.value } })}
+              min="1"
+              disabled={state.isLoading}
+              style={{ marginRight: '10px', width: '70px' }}
+            />
+            <span>probes</span>
+          </>
+        )}
+        {state.loadSettings.mode !== 'monitor' && (
+          <>
+            <label htmlFor="failurePolicy" style={{ marginLeft: '20px', marginRight: '10px' }}>On Failure:</label>
+            <select
+              id="failurePolicy"
+              value={state.failurePolicy.mode}
+              onChange={(e) => dispatch({ type: 'SET_FAILURE_POLICY', payload: { mode: e.target.value } })}
+              disabled={state.isLoading}
+              style={{ marginRight: '10px' }}
+            >
+              {FAILURE_POLICY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            {state.failurePolicy.mode === 'retry' && (
+              <>
+                <label htmlFor="failureRetries" style={{ marginRight: '10px' }}>N:</label>
+                <input
+                  type="number"
+                  id="failureRetries"
+                  value={state.failurePolicy.retries}
+                  onChange={(e) => dispatch({ type: 'SET_FAILURE_POLICY', payload: { retries: e.target.value } })}
+                  min="1"
+                  max={MAX_FAILURE_RETRIES}
+                  disabled={state.isLoading}
+                  style={{ width: '50px' }}
+                />
+              </>
+            )}
+          </>
+        )}
       </div>
 
+      <div className="controls-area confirmation-source-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="pollIntervalMs" style={{ marginRight: '10px' }}>Poll getSignatureStatuses Every (ms):</label>
+        <input
+          type="number"
+          id="pollIntervalMs"
+          value={state.confirmationSourceSettings.pollIntervalMs}
+          onChange={(e) => dispatch({ type: 'SET_CONFIRMATION_SOURCE_SETTINGS', payload: { pollIntervalMs: e.target.value } })}
+          min={MIN_POLL_INTERVAL_MS}
+          placeholder="off"
+          disabled={state.isLoading}
+          style={{ marginRight: '10px', width: '80px' }}
+        />
+        <span style={{ marginRight: '20px' }}>(polls every RPC endpoint alongside the WebSocket subscriptions)</span>
+        <span style={{ marginRight: '10px' }}>Also confirm via:</span>
+        {CONFIRMATION_CHANNELS.map(channel => (
+          <label
+            key={channel}
+            htmlFor={`channel-${channel}`}
+            title={isChannelAvailable(channel, state.loadSettings.mode) ? undefined : "Only available in sequential mode: account notifications don't identify the transaction."}
+            style={{ marginRight: '15px' }}
+          >
+            <input
+              type="checkbox"
+              id={`channel-${channel}`}
+              checked={state.confirmationSourceSettings.channels.includes(channel) && isChannelAvailable(channel, state.loadSettings.mode)}
+              onChange={(e) => dispatch({
+                type: 'SET_CONFIRMATION_SOURCE_SETTINGS',
+                payload: {
+                  channels: e.target.checked
+                    ? [...state.confirmationSourceSettings.channels, channel]
+                    : state.confirmationSourceSettings.channels.filter(enabled => enabled !== channel)
+                }
+              })}
+              disabled={state.isLoading || !isChannelAvailable(channel, state.loadSettings.mode)}
+              style={{ marginRight: '5px' }}
+            />
+            {channel}Subscribe
+          </label>
+        ))}
+      </div>
+
+      <div className="controls-area rebroadcast-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="sendIsolationMode" style={{ marginRight: '10px' }}>Send To:</label>
+        <select
+          id="sendIsolationMode"
+          value={state.sendIsolationMode}
+          onChange={(e) => dispatch({ type: 'SET_SEND_ISOLATION_MODE', payload: e.target.value })}
+          disabled={state.isLoading}
+          style={{ marginRight: '20px' }}
+        >
+          {SEND_ISOLATION_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <label htmlFor="rebroadcastMode" style={{ marginRight: '10px' }}>Rebroadcast:</label>
+        <select
+          id="rebroadcastMode"
+          value={state.rebroadcastSettings.mode}
+          onChange={(e) => dispatch({ type: 'SET_REBROADCAST_SETTINGS', payload: { mode: e.target.value } })}
+          disabled={state.isLoading}
+          style={{ marginRight: '20px' }}
+        >
+          {REBROADCAST_MODE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        {state.rebroadcastSettings.mode !== 'off' && (
+          <>
+            <label htmlFor="rebroadcastInterval" style={{ marginRight: '10px' }}>
+              {state.rebroadcastSettings.mode === 'backoff' ? 'First Delay (ms, doubles):' : 'Every (ms):'}
+            </label>
+            <input
+              type="number"
+              id="rebroadcastInterval"
+              value={state.rebroadcastSettings.intervalMs}
+              onChange={(e) => dispatch({ type: 'SET_REBROADCAST_SETTINGS', payload: { intervalMs: e.target.value } })}
+              min={MIN_REBROADCAST_INTERVAL_MS}
+              disabled={state.isLoading}
+              style={{ marginRight: '20px', width: '80px' }}
+            />
+            <label htmlFor="rebroadcastOnlyHealthy">
+              <input
+                type="checkbox"
+                id="rebroadcastOnlyHealthy"
+                checked={state.rebroadcastSettings.onlyHealthyEndpoints}
+                onChange={(e) => dispatch({ type: 'SET_REBROADCAST_SETTINGS', payload: { onlyHealthyEndpoints: e.target.checked } })}
+                disabled={state.isLoading}
+                style={{ marginRight: '5px' }}
+              />
+              Only to endpoints without errors
+            </label>
+          </>
+        )}
+      </div>
+
+      <div className="controls-area compute-budget-controls" style={{ marginBottom: '20px' }}>
+        <label htmlFor="computeUnitLimit" style={{ marginRight: '10px' }}>CU Limit:</label>
+        <input
+          type="number"
+          id="computeUnitLimit"
+          value={state.computeBudgetSettings.unitLimit}
+          onChange={(e) => dispatch({ type: 'SET_COMPUTE_BUDGET_SETTINGS', payload: { unitLimit: e.target.value } })}
+          min="0"
+          placeholder="default"
+          disabled={state.isLoading}
+          style={{ marginRight: '20px', width: '90px' }}
+        />
+        <label htmlFor="computeUnitPrice" style={{ marginRight: '10px' }}>CU Price (micro-lamports):</label>
+        <input
+          type="number"
+          id="computeUnitPrice"
+          value={state.computeBudgetSettings.unitPriceMicroLamports}
+          onChange={(e) => dispatch({ type: 'SET_COMPUTE_BUDGET_SETTINGS', payload: { unitPriceMicroLamports: e.target.value } })}
+          min="0"
+          placeholder="none"
+          disabled={state.isLoading || state.computeBudgetSettings.sweepMicroLamports.trim() !== ''}
+          style={{ marginRight: '20px', width: '90px' }}
+        />
+        <label htmlFor="priorityFeeSweep" style={{ marginRight: '10px' }}>Fee Sweep:</label>
+        <input
+          type="text"
+          id="priorityFeeSweep"
+          value={state.computeBudgetSettings.sweepMicroLamports}
+          onChange={(e) => dispatch({ type: 'SET_COMPUTE_BUDGET_SETTINGS', payload: { sweepMicroLamports: e.target.value } })}
+          placeholder="e.g. 0, 1000, 100000"
+          disabled={state.isLoading}
+          style={{ marginRight: '20px', width: '180px' }}
+        />
+        <label htmlFor="tipLamports" style={{ marginRight: '10px' }}>Tip (lamports):</label>
+        <input
+          type="number"
+          id="tipLamports"
+          value={state.computeBudgetSettings.tipLamports}
+          onChange={(e) => dispatch({ type: 'SET_COMPUTE_BUDGET_SETTINGS', payload: { tipLamports: e.target.value } })}
+          min="0"
+          placeholder="none"
+          disabled={state.isLoading}
+          title={state.config && state.config.tipAccount ? `Transferred to ${state.config.tipAccount}` : 'Requires a tip account in the config or profile'}
+          style={{ width: '90px' }}
+        />
+      </div>
+
+      {state.runMode === 'monitor' && (
+        <MonitorCharts
+          transactions={[...state.allTransactionResults, ...Object.values(state.inFlightTransactions)]}
+          windowSize={state.rollingWindowSize}
+          isRunning={state.isLoading}
+        />
+      )}
+
       {state.allProcessesComplete && state.allTransactionResults.length > 0 && (
         <div className="reports-section" style={{ marginTop: '20px', borderTop: '1px solid #ccc', paddingTop: '20px' }}>
           <h2 style={{textAlign: 'center'}}>Transaction Reports ({state.allTransactionResults.length} Processed)</h2>
+          {state.loadedResults && (
+            <p style={{ textAlign: 'center' }}>
+              Showing results from <strong>{state.loadedResults.sourceName}</strong>
+              {state.loadedResults.startedAt && ` (run started ${state.loadedResults.startedAt})`}
+            </p>
+          )}
+          <ResultsExportControls
+            allTransactionsData={state.allTransactionResults}
+            network={reportNetwork}
+            configPath={state.loadedResults ? state.loadedResults.configPath : (state.config && state.config.loadedPath)}
+            startedAt={state.loadedResults ? state.loadedResults.startedAt : state.runStartedAt}
+          />
           <TransactionTimingsTable
             allTransactionsData={state.allTransactionResults} 
-            network={state.config ? state.config.network : 'devnet'} // Pass network to component
+            network={reportNetwork} // Pass network to component
+            selectedTransaction={state.selectedTransaction}
+            onSelectTransaction={handleSelectTransaction}
           />
+          {selectedTxPosition !== -1 && (
+            <TransactionDetailPanel
+              txData={state.allTransactionResults[selectedTxPosition]}
+              position={state.allTransactionResults[selectedTxPosition].txIndex + 1}
+              eventLogStore={eventLogStore}
+              hasEventLog={state.runEventLogStartId !== null}
+              onClose={() => dispatch({ type: 'SELECT_TRANSACTION', payload: null })}
+            />
+          )}
+          <EndpointLeaderboard allTransactionsData={state.allTransactionResults} />
+          <WsConfirmationLagTable allTransactionsData={state.allTransactionResults} />
+          <SlotLatencyTable allTransactionsData={state.allTransactionResults} />
+          <DetectionLatencyComparison allTransactionsData={state.allTransactionResults} />
+          <SubscriptionChannelComparison allTransactionsData={state.allTransactionResults} />
+          <CommitmentTimeline allTransactionsData={state.allTransactionResults} />
+          <PriorityFeeReport allTransactionsData={state.allTransactionResults} />
+          <ReportCharts allTransactionsData={state.allTransactionResults} />
         </div>
       )}
 
       {/* {(state.isLoading || state.allProcessesComplete && state.allTransactionResults.length > 0) && (
         <TransactionInfo 
-          signature={state.transactionSignature || (state.allTransactionResults.length > 0 ? state.allTransactionResults[state.allTransactionResults.length -1].signature : null) }
-          createdAt={state.createdAt || (state.allTransactionResults.length > 0 ? state.allTransactionResults[state.allTransactionResults.length -1].createdAt : null)}
+          signature={state.allTransactionResults.length > 0 ? state.allTransactionResults[state.allTransactionResults.length -1].signature : null}
+          createdAt={state.allTransactionResults.length > 0 ? state.allTransactionResults[state.allTransactionResults.length -1].createdAt : null}
         />
       )} */}
       
-      <EventLog events={state.eventLog} />
+      <RunHistoryPanel refreshKey={state.lastSavedRunId} onOpenRun={handleOpenSavedRun} disabled={state.isLoading} />
+
+      <EventLog store={eventLogStore} />
       
     </div>
   );
@@ -0,0 +1,82 @@
+import React from 'react';
+import ChartFrame from './ChartFrame.jsx';
+import { CHART_WIDTH, chartColor, niceCeiling } from '../utils/chartUtils.js';
+import { summarizeBoxPlot } from '../utils/statsUtils.js';
+
+const ROW_HEIGHT = 30;
+const MARGIN = { top: 5, right: 80, bottom: 30, left: 210 };
+const PLOT_WIDTH = CHART_WIDTH - MARGIN.left - MARGIN.right;
+const TICK_COUNT = 4;
+const MAX_NAME_LENGTH = 32;
+
+const truncateName = (name) => (name.length > MAX_NAME_LENGTH ? `${name.slice(0, MAX_NAME_LENGTH - 1)}…` : name);
+
+/**
+ * Horizontal box plot per endpoint: whiskers span min to max, the box q1 to q3, the bar is the median.
+ * entries: [{ name, values: number[] }]
+ */
+const BoxPlotChart = ({ title, fileName, entries, unit = 'ms' }) => {
+  const rows = entries.map(entry => ({ name: entry.name, stats: summarizeBoxPlot(entry.values) }));
+  const withSamples = rows.filter(row => row.stats);
+  if (withSamples.length === 0) {
+    return (
+      <div className="chart" style={{ marginBottom: '20px' }}>
+        <h4>{title}</h4>
+        <p>No successful samples.</p>
+      </div>
+    );
+  }
+
+  const maxValue = niceCeiling(Math.max(1, ...withSamples.map(row => row.stats.max)));
+  const scaleX = (value) => MARGIN.left + (value / maxValue) * PLOT_WIDTH;
+  const axisBottom = MARGIN.top + rows.length * ROW_HEIGHT;
+  const ticks = Array.from({ length: TICK_COUNT + 1 }, (_, i) => i / TICK_COUNT);
+
+  return (
+    <ChartFrame title={title} fileName={fileName} contentHeight={axisBottom + MARGIN.bottom}>
+      {ticks.map(fraction => (
+        <g key={fraction}>
+          <line x1={scaleX(fraction * maxValue)} x2={scaleX(fraction * maxValue)} y1={MARGIN.top} y2={axisBottom} stroke="#eee" />
+          <text x={scaleX(fraction * maxValue)} y={axisBottom + 18} fontSize="11" textAnchor="middle" fill="#555">
+            {Math.round(fraction * maxValue)} {unit}
+          </text>
+        </g>
+      ))}
+      <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={axisBottom} y2={axisBottom} stroke="#999" />
+      {rows.map((row, rowIndex) => {
+        const centerY = MARGIN.top + rowIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const color = chartColor(rowIndex);
+        return (
+          <g key={row.name}>
+            <text x={MARGIN.left - 8} y={centerY + 4} fontSize="11" textAnchor="end" fill="#333">{truncateName(row.name)}</text>
+            {row.stats ? (
+              <g>
+                <title>{`${row.name}: n=${row.stats.count}, min ${row.stats.min}, q1 ${row.stats.q1}, median ${row.stats.median}, q3 ${row.stats.q3}, max ${row.stats.max} ${unit}`}</title>
+                <line x1={scaleX(row.stats.min)} x2={scaleX(row.stats.max)} y1={centerY} y2={centerY} stroke={color} />
+                <line x1={scaleX(row.stats.min)} x2={scaleX(row.stats.min)} y1={centerY - 6} y2={centerY + 6} stroke={color} />
+                <line x1={scaleX(row.stats.max)} x2={scaleX(row.stats.max)} y1={centerY - 6} y2={centerY + 6} stroke={color} />
+                <rect
+                  x={scaleX(row.stats.q1)}
+                  y={centerY - 9}
+                  width={Math.max(1, scaleX(row.stats.q3) - scaleX(row.stats.q1))}
+                  height="18"
+                  fill={color}
+                  fillOpacity="0.3"
+                  stroke={color}
+                />
+                <line x1={scaleX(row.stats.median)} x2={scaleX(row.stats.median)} y1={centerY - 9} y2={centerY + 9} stroke={color} strokeWidth="2.5" />
+                <text x={CHART_WIDTH - MARGIN.right + 8} y={centerY + 4} fontSize="11" fill="#555">
+                  p50 {row.stats.median} (n={row.stats.count})
+                </text>
+              </g>
+            ) : (
+              <text x={MARGIN.left + 5} y={centerY + 4} fontSize="11" fill="#999">no successful samples</text>
+            )}
+          </g>
+        );
+      })}
+    </ChartFrame>
+  );
+};
+
+export default BoxPlotChart;
@@ -0,0 +1,41 @@
+import React, { useRef } from 'react';
+import { downloadSvgElement, downloadSvgElementAsPng } from '../utils/exportUtils.js';
+import { CHART_WIDTH } from '../utils/chartUtils.js';
+
+const TITLE_HEIGHT = 28;
+
+// Renders a chart's SVG content below a title that is part of the SVG, so exported files are self-describing,
+// and offers SVG and PNG downloads of exactly what is shown.
+const ChartFrame = ({ title, fileName, contentHeight, children }) => {
+  const svgRef = useRef(null);
+  const height = contentHeight + TITLE_HEIGHT;
+
+  const handleExportPng = () => {
+    downloadSvgElementAsPng(svgRef.current, `${fileName}.png`)
+      .catch(error => console.error(`Could not export "${title}" as PNG:`, error));
+  };
+
+  return (
+    <div className="chart" style={{ width: '100%', marginBottom: '20px' }}>
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        width={CHART_WIDTH}
+        height={height}
+        viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+        fontFamily="sans-serif"
+        style={{ width: '100%', maxWidth: `${CHART_WIDTH}px`, height: 'auto' }}
+      >
+        <rect width={CHART_WIDTH} height={height} fill="#fff" />
+        <text x={CHART_WIDTH / 2} y={18} fontSize="15" fontWeight="bold" textAnchor="middle" fill="#222">{title}</text>
+        <g transform={`translate(0, ${TITLE_HEIGHT})`}>{children}</g>
+      </svg>
+      <div className="chart-export-controls">
+        <button onClick={() => downloadSvgElement(svgRef.current, `${fileName}.svg`)} style={{ marginRight: '10px' }}>Export SVG</button>
+        <button onClick={handleExportPng}>Export PNG</button>
+      </div>
+    </div>
+  );
+};
+
+export default ChartFrame;
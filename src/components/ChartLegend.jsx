@@ -0,0 +1,16 @@
+import React from 'react';
+import { chartColor, LEGEND_ROW_HEIGHT } from '../utils/chartUtils.js';
+
+// SVG legend; `layout` comes from layoutLegend so the chart can reserve its height.
+const ChartLegend = ({ layout, x, y }) => (
+  <g className="chart-legend" transform={`translate(${x}, ${y})`}>
+    {layout.items.map(item => (
+      <g key={item.index} transform={`translate(${item.x}, ${item.row * LEGEND_ROW_HEIGHT})`}>
+        <rect width="12" height="12" fill={chartColor(item.index)} />
+        <text x="17" y="10" fontSize="11" fill="#333">{item.label}</text>
+      </g>
+    ))}
+  </g>
+);
+
+export default ChartLegend;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { COMMITMENT_LEVELS } from '../utils/solanaUtils.js';
+
+const MILESTONE_COLORS = {
+  processed: '#f0ad4e',
+  confirmed: '#5bc0de',
+  finalized: '#5cb85c',
+};
+
+const shortenSignature = (sig) => {
+  if (!sig) return 'N/A';
+  return `${sig.substring(0, 4)}...${sig.substring(sig.length - 4)}`;
+};
+
+const formatMilestone = (milestone) => {
+  if (!milestone) return 'N/A';
+  if (milestone.error || typeof milestone.duration !== 'number') {
+    return <span style={{ color: 'red' }}>{milestone.status || 'Error'}</span>;
+  }
+  return `+${milestone.duration} ms (slot ${milestone.slot ?? 'N/A'})`;
+};
+
+// Draws each reached milestone as a marker on a track scaled to the slowest milestone of the transaction.
+const MilestoneTrack = ({ milestones, scaleMs }) => (
+  <div style={{ position: 'relative', height: '12px', minWidth: '200px', backgroundColor: '#eee', borderRadius: '6px' }}>
+    {COMMITMENT_LEVELS.map(commitment => {
+      const milestone = milestones[commitment];
+      if (!milestone || milestone.error || typeof milestone.duration !== 'number' || !scaleMs) return null;
+      return (
+        <div
+          key={commitment}
+          title={`${commitment}: +${milestone.duration} ms`}
+          style={{
+            position: 'absolute',
+            left: `calc(${(milestone.duration / scaleMs) * 100}% - 6px)`,
+            width: '12px',
+            height: '12px',
+            borderRadius: '50%',
+            backgroundColor: MILESTONE_COLORS[commitment],
+          }}
+        />
+      );
+    })}
+  </div>
+);
+
+const CommitmentTimeline = ({ allTransactionsData }) => {
+  const txWithMilestones = (allTransactionsData || [])
+    .map((txData, index) => ({ txData, index }))
+    .filter(({ txData }) => (txData.wsConfirmationResults || []).some(r => r.milestones));
+
+  if (txWithMilestones.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="commitment-timeline" style={{ marginBottom: '20px' }}>
+      <h3>Commitment Timeline (time from send)</h3>
+      <p>
+        {COMMITMENT_LEVELS.map(commitment => (
+          <span key={commitment} style={{ marginRight: '15px' }}>
+            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: MILESTONE_COLORS[commitment], marginRight: '5px' }} />
+            {commitment}
+          </span>
+        ))}
+      </p>
+      {txWithMilestones.map(({ txData, index }) => {
+        const endpoints = txData.wsConfirmationResults.filter(r => r.milestones);
+        const scaleMs = Math.max(0, ...endpoints.flatMap(r => Object.values(r.milestones))
+          .filter(m => !m.error && typeof m.duration === 'number')
+          .map(m => m.duration));
+
+        return (
+          <div key={txData.signature || index} style={{ marginBottom: '15px' }}>
+            <h4>Tx {index + 1}: {shortenSignature(txData.signature)}</h4>
+            <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Endpoint</th>
+                  {COMMITMENT_LEVELS.map(commitment => (
+                    <th key={commitment} style={{ textAlign: 'left' }}>{commitment}</th>
+                  ))}
+                  <th style={{ textAlign: 'left' }}>Timeline</th>
+                </tr>
+              </thead>
+              <tbody>
+                {endpoints.map(wsResult => (
+                  <tr key={wsResult.name}>
+                    <td>{wsResult.name}</td>
+                    {COMMITMENT_LEVELS.map(commitment => (
+                      <td key={commitment}>{formatMilestone(wsResult.milestones[commitment])}</td>
+                    ))}
+                    <td><MilestoneTrack milestones={wsResult.milestones} scaleMs={scaleMs} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CommitmentTimeline;
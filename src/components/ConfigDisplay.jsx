@@ -1,12 +1,22 @@
 import React from 'react';
 
-const ConfigDisplay = ({ configStatus, configPath }) => {
+const ConfigDisplay = ({ configStatus, configPath, problems, warnings }) => {
   return (
     <div className="config-display" style={{ marginBottom: '10px', padding: '8px', backgroundColor: '#f0f0f0' }}>
       <p>
         <strong>Config Status:</strong> {configStatus || 'Loading...'}
         {configPath && ` (Source: ${configPath})`}
       </p>
+      {problems && problems.length > 0 && (
+        <ul style={{ color: '#721c24', margin: '5px 0 0 0' }}>
+          {problems.map((problem, index) => <li key={index}>{problem}</li>)}
+        </ul>
+      )}
+      {warnings && warnings.length > 0 && (
+        <ul style={{ color: '#856404', margin: '5px 0 0 0' }}>
+          {warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+        </ul>
+      )}
     </div>
   );
 };
@@ -0,0 +1,58 @@
+import React from 'react';
+import { buildDetectionComparison } from '../utils/statsUtils.js';
+
+const formatMs = (value) => (value === null || typeof value === 'undefined' ? 'N/A' : `${value} ms`);
+
+const formatDetected = (source) => (source.attempts > 0 ? `${source.latency.count}/${source.attempts}` : '-');
+
+const formatDelta = (delta) => {
+  if (delta.count === 0) return 'N/A';
+  return `${delta.p50 > 0 ? '+' : ''}${delta.p50} ms (${delta.count} pair${delta.count === 1 ? '' : 's'})`;
+};
+
+const DetectionLatencyComparison = ({ allTransactionsData }) => {
+  if (!allTransactionsData || !allTransactionsData.some(txData => (txData.pollConfirmationResults || []).length > 0)) {
+    return null;
+  }
+
+  const rows = buildDetectionComparison(allTransactionsData);
+
+  return (
+    <div className="detection-latency-comparison" style={{ marginBottom: '20px' }}>
+      <h3>Confirmation Detection: Polling vs WebSocket</h3>
+      <p style={{ fontSize: '0.9em', color: '#555' }}>
+        Latencies are measured from send. Polling latency includes up to one poll interval. Providers are matched by endpoint name.
+      </p>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Provider</th>
+            <th style={{ textAlign: 'left' }}>Poll Detected</th>
+            <th style={{ textAlign: 'left' }}>Poll p50</th>
+            <th style={{ textAlign: 'left' }}>Poll p90</th>
+            <th style={{ textAlign: 'left' }}>WS Detected</th>
+            <th style={{ textAlign: 'left' }}>WS p50</th>
+            <th style={{ textAlign: 'left' }}>WS p90</th>
+            <th style={{ textAlign: 'left' }}>Median Poll − WS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name}>
+              <td>{row.name}</td>
+              <td>{formatDetected(row.poll)}</td>
+              <td>{formatMs(row.poll.latency.p50)}</td>
+              <td>{formatMs(row.poll.latency.p90)}</td>
+              <td>{formatDetected(row.ws)}</td>
+              <td>{formatMs(row.ws.latency.p50)}</td>
+              <td>{formatMs(row.ws.latency.p90)}</td>
+              <td>{formatDelta(row.delta)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DetectionLatencyComparison;
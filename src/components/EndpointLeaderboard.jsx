@@ -0,0 +1,126 @@
+import React from 'react';
+import { buildEndpointLeaderboard } from '../utils/statsUtils.js';
+
+const formatMs = (value) => (value === null || typeof value === 'undefined' ? 'N/A' : `${value} ms`);
+
+const formatRate = (rate) => (rate === null ? 'N/A' : `${(rate * 100).toFixed(1)}%`);
+
+// Endpoints with no successful samples sink to the bottom; the rest are ranked by median latency.
+const byMedianLatency = (a, b) => {
+  if (a.latency.p50 === null) return b.latency.p50 === null ? 0 : 1;
+  if (b.latency.p50 === null) return -1;
+  return a.latency.p50 - b.latency.p50;
+};
+
+const LeaderboardTable = ({ title, entries, winsLabel }) => (
+  <div style={{ marginBottom: '20px' }}>
+    <h4>{title}</h4>
+    {entries.length === 0 ? (
+      <p>No results recorded.</p>
+    ) : (
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Rank</th>
+            <th style={{ textAlign: 'left' }}>Endpoint</th>
+            <th style={{ textAlign: 'left' }}>Min</th>
+            <th style={{ textAlign: 'left' }}>Mean</th>
+            <th style={{ textAlign: 'left' }}>p50</th>
+            <th style={{ textAlign: 'left' }}>p90</th>
+            <th style={{ textAlign: 'left' }}>p99</th>
+            <th style={{ textAlign: 'left' }}>Success Rate</th>
+            <th style={{ textAlign: 'left' }}>Errors</th>
+            <th style={{ textAlign: 'left' }}>{winsLabel}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...entries].sort(byMedianLatency).map((entry, index) => (
+            <tr key={entry.name}>
+              <td>{index + 1}</td>
+              <td>{entry.name}{entry.endpointType === 'block-engine' && ' (block engine)'}</td>
+              <td>{formatMs(entry.latency.min)}</td>
+              <td>{formatMs(entry.latency.mean)}</td>
+              <td>{formatMs(entry.latency.p50)}</td>
+              <td>{formatMs(entry.latency.p90)}</td>
+              <td>{formatMs(entry.latency.p99)}</td>
+              <td>{formatRate(entry.successRate)} ({entry.successes}/{entry.attempts})</td>
+              <td style={{ color: entry.errors > 0 ? 'red' : 'inherit' }}>{entry.errors}</td>
+              <td>{entry.wins}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+// Ranked by landing rate, then by median landing latency.
+const byLandingRate = (a, b) => {
+  if (a.landingRate !== b.landingRate) return b.landingRate - a.landingRate;
+  if (a.landingLatency.p50 === null) return b.landingLatency.p50 === null ? 0 : 1;
+  if (b.landingLatency.p50 === null) return -1;
+  return a.landingLatency.p50 - b.landingLatency.p50;
+};
+
+// Only filled by isolation mode, where each transaction was sent through a single send endpoint.
+const LandingTable = ({ entries }) => (
+  <div style={{ marginBottom: '20px' }}>
+    <h4>Landing Rate (isolation mode, from send to first WS confirmation)</h4>
+    <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr>
+          <th style={{ textAlign: 'left' }}>Rank</th>
+          <th style={{ textAlign: 'left' }}>Endpoint</th>
+          <th style={{ textAlign: 'left' }}>Landing Rate</th>
+          <th style={{ textAlign: 'left' }}>Min</th>
+          <th style={{ textAlign: 'left' }}>p50</th>
+          <th style={{ textAlign: 'left' }}>p90</th>
+          <th style={{ textAlign: 'left' }}>p99</th>
+        </tr>
+      </thead>
+      <tbody>
+        {[...entries].sort(byLandingRate).map((entry, index) => (
+          <tr key={entry.name}>
+            <td>{index + 1}</td>
+            <td>{entry.name}{entry.endpointType === 'block-engine' && ' (block engine)'}</td>
+            <td>{formatRate(entry.landingRate)} ({entry.landed}/{entry.isolatedTransactions})</td>
+            <td>{formatMs(entry.landingLatency.min)}</td>
+            <td>{formatMs(entry.landingLatency.p50)}</td>
+            <td>{formatMs(entry.landingLatency.p90)}</td>
+            <td>{formatMs(entry.landingLatency.p99)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const EndpointLeaderboard = ({ allTransactionsData, title = 'Endpoint Leaderboard' }) => {
+  if (!allTransactionsData || allTransactionsData.length === 0) {
+    return null;
+  }
+
+  const { rpc, ws } = buildEndpointLeaderboard(allTransactionsData);
+  const isolatedEntries = rpc.filter(entry => entry.isolatedTransactions > 0);
+
+  return (
+    <div className="endpoint-leaderboard" style={{ marginBottom: '20px' }}>
+      <h3>{title}</h3>
+      <LeaderboardTable
+        title={rpc.some(entry => entry.endpointType === 'block-engine')
+          ? 'Send Latency (RPC sendRawTransaction and block engine round trips)'
+          : 'RPC Send Latency (sendRawTransaction round trip)'}
+        entries={rpc}
+        winsLabel="Fastest Send"
+      />
+      {isolatedEntries.length > 0 && <LandingTable entries={isolatedEntries} />}
+      <LeaderboardTable
+        title="WS Confirmation Latency (from send to WS signal)"
+        entries={ws}
+        winsLabel="First Confirmation"
+      />
+    </div>
+  );
+};
+
+export default EndpointLeaderboard;
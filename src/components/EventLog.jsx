@@ -1,8 +1,48 @@
-import React from 'react';
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { EVENT_LOG_LEVELS, createIncrementalEventLogFilter, buildEventLogNdjson } from '../utils/eventLogUtils.js';
+import { downloadTextFile } from '../utils/exportUtils.js';
 import './EventLog.css';
 
-function EventLog({ events }) {
-  if (!events || events.length === 0) {
+// Rows have a fixed height so only the visible ones (plus a few around them) need to be rendered.
+const ROW_HEIGHT = 24;
+const VIEWPORT_HEIGHT = 400;
+const OVERSCAN_ROWS = 10;
+
+const DEFAULT_FILTERS = { level: 'all', endpoint: 'all', txNumber: '', search: '' };
+
+const subscribeToNothing = () => () => {};
+const getNoSnapshot = () => null;
+
+// Shows either the live log of an event log store (`store`, see createEventLogStore) or a fixed list of entries
+// (`events`, e.g. one transaction's lines).
+function EventLog({ store, events, title = 'Event Log:', droppedCount = 0, exportFileName = 'event-log.ndjson' }) {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [pausedEvents, setPausedEvents] = useState(null); // Copy shown while paused; new entries are still recorded
+  const [autoScroll, setAutoScroll] = useState(true);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [filterEvents] = useState(createIncrementalEventLogFilter);
+  const viewportRef = useRef(null);
+
+  const snapshot = useSyncExternalStore(store ? store.subscribe : subscribeToNothing, store ? store.getSnapshot : getNoSnapshot);
+  // The store's entries array grows in place; its snapshot version tells when it changed.
+  const liveEvents = snapshot ? snapshot.entries : events || [];
+  const version = snapshot ? snapshot.version : events;
+  const shownEvents = pausedEvents || liveEvents;
+  // Cheap to call on every render: only entries appended since the last call are filtered.
+  const filteredEvents = filterEvents(shownEvents, filters);
+  const filteredCount = filteredEvents.length;
+  const endpoints = useMemo(
+    () => (snapshot && !pausedEvents ? snapshot.endpoints : [...new Set(shownEvents.map(event => event.endpoint).filter(Boolean))].sort()),
+    [snapshot, pausedEvents, shownEvents]
+  );
+
+  useEffect(() => {
+    if (autoScroll && viewportRef.current) {
+      viewportRef.current.scrollTop = viewportRef.current.scrollHeight;
+    }
+  }, [filteredCount, version, autoScroll]);
+
+  if (liveEvents.length === 0) {
     return <p></p>;
   }
 
@@ -10,19 +50,76 @@ function EventLog({ events }) {
     return new Date(timestamp).toISOString(); // Format to ISO string with milliseconds
   };
 
+  const updateFilter = (field) => (e) => setFilters(current => ({ ...current, [field]: e.target.value }));
+
+  // Scrolling up stops following new entries; scrolling back to the bottom doesn't resume it (use the checkbox).
+  const handleScroll = (e) => {
+    const viewport = e.currentTarget;
+    setScrollTop(viewport.scrollTop);
+    if (autoScroll && viewport.scrollTop + viewport.clientHeight < viewport.scrollHeight - ROW_HEIGHT) {
+      setAutoScroll(false);
+    }
+  };
+
+  const newWhilePaused = pausedEvents && pausedEvents.length > 0
+    ? liveEvents[liveEvents.length - 1].id - pausedEvents[pausedEvents.length - 1].id
+    : 0;
+  const shownDroppedCount = snapshot ? snapshot.droppedCount : droppedCount;
+
+  const viewportHeight = Math.min(VIEWPORT_HEIGHT, Math.max(filteredEvents.length, 1) * ROW_HEIGHT);
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(filteredEvents.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const visibleEvents = filteredEvents.slice(firstRow, lastRow);
+
   return (
     <div className="event-log-container">
-      <h3>Event Log:</h3>
-      <ul className="event-list">
-        {events.map((event, index) => (
-          <li key={`${event.timestamp}-${index}`} className="event-item">
-            <span className="event-timestamp">{formatTimestamp(event.timestamp)}</span>
-            <span className="event-message">{event.message}</span>
-          </li>
-        ))}
-      </ul>
+      <h3>{title}</h3>
+      <div className="event-log-controls">
+        <select value={filters.level} onChange={updateFilter('level')} aria-label="Level">
+          <option value="all">All levels</option>
+          {EVENT_LOG_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+        </select>
+        <select value={filters.endpoint} onChange={updateFilter('endpoint')} aria-label="Endpoint">
+          <option value="all">All endpoints</option>
+          {endpoints.map(endpoint => <option key={endpoint} value={endpoint}>{endpoint}</option>)}
+        </select>
+        <input type="number" min="1" placeholder="Tx #" value={filters.txNumber} onChange={updateFilter('txNumber')} style={{ width: '70px' }} aria-label="Transaction number" />
+        <input type="search" placeholder="Search messages" value={filters.search} onChange={updateFilter('search')} aria-label="Search" />
+        <button onClick={() => setPausedEvents(pausedEvents ? null : liveEvents.slice())}>{pausedEvents ? 'Resume' : 'Pause'}</button>
+        <label>
+          <input type="checkbox" checked={autoScroll} onChange={(e) => setAutoScroll(e.target.checked)} /> Auto-scroll
+        </label>
+        <button
+          onClick={() => downloadTextFile(exportFileName, buildEventLogNdjson(filteredEvents), 'application/x-ndjson')}
+          disabled={filteredEvents.length === 0}
+        >
+          Export NDJSON
+        </button>
+      </div>
+      <p className="event-log-summary">
+        Showing {filteredEvents.length} of {shownEvents.length} entries.
+        {pausedEvents && ` Paused: ${newWhilePaused} new entries not shown.`}
+        {shownDroppedCount > 0 && ` ${shownDroppedCount} older entries were dropped to keep the log small.`}
+      </p>
+      {filteredEvents.length === 0 ? (
+        <p>No entries match the filters.</p>
+      ) : (
+        <div ref={viewportRef} className="event-log-viewport" style={{ height: `${viewportHeight}px` }} onScroll={handleScroll}>
+          <div style={{ position: 'relative', height: `${filteredEvents.length * ROW_HEIGHT}px` }}>
+            <ul className="event-list" style={{ position: 'absolute', top: `${firstRow * ROW_HEIGHT}px`, left: 0, right: 0 }}>
+              {visibleEvents.map((event, index) => (
+                <li key={event.id ?? firstRow + index} className={`event-item event-level-${event.level || 'info'}`} style={{ height: `${ROW_HEIGHT}px` }} title={event.message}>
+                  <span className="event-timestamp">{formatTimestamp(event.timestamp)}</span>
+                  <span className="event-type">{event.eventType || ''}</span>
+                  <span className="event-message">{event.message}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-export default EventLog; 
+export default EventLog;
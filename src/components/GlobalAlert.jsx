@@ -8,6 +8,11 @@ const GlobalAlert = ({ error, onDismiss }) => {
   return (
     <div className="global-alert" style={{ backgroundColor: '#f8d7da', color: '#721c24', padding: '10px', marginBottom: '15px', border: '1px solid #f5c6cb', borderRadius: '4px' }}>
       <span>{error.message}</span>
+      {Array.isArray(error.details) && error.details.length > 0 && (
+        <ul style={{ margin: '5px 0 0 0' }}>
+          {error.details.map((detail, index) => <li key={index}>{detail}</li>)}
+        </ul>
+      )}
       {typeof onDismiss === 'function' && (
         <button 
           onClick={onDismiss} 
@@ -0,0 +1,112 @@
+import React from 'react';
+import ChartFrame from './ChartFrame.jsx';
+import ChartLegend from './ChartLegend.jsx';
+import { CHART_WIDTH, chartColor, niceCeiling, layoutLegend } from '../utils/chartUtils.js';
+
+const PLOT_HEIGHT = 200;
+const MARGIN = { top: 10, right: 15, bottom: 30, left: 70 };
+const PLOT_WIDTH = CHART_WIDTH - MARGIN.left - MARGIN.right;
+const TICK_COUNT = 4;
+
+// Splits a series into runs of consecutive points with values, so failures show as gaps in the line.
+const toLineSegments = (points) => {
+  const segments = [];
+  let current = [];
+  points.forEach(point => {
+    if (point.value === null) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(point);
+    }
+  });
+  if (current.length > 0) segments.push(current);
+  return segments;
+};
+
+/**
+ * Line chart, one line per series. Points with a null value (failures) are drawn as crosses along the top edge
+ * and break the line.
+ * series: [{ name, points: [{ x, value }] }], points sorted by x. formatX labels the x axis (e.g. clock time).
+ */
+const LineChart = ({ title, fileName, series, formatX, unit = 'ms' }) => {
+  const allPoints = series.flatMap(s => s.points);
+  if (allPoints.length === 0) {
+    return (
+      <div className="chart" style={{ marginBottom: '20px' }}>
+        <h4>{title}</h4>
+        <p>No samples yet.</p>
+      </div>
+    );
+  }
+
+  const xs = allPoints.map(point => point.x);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs) > minX ? Math.max(...xs) : minX + 1;
+  const values = allPoints.map(point => point.value).filter(value => value !== null);
+  const maxValue = niceCeiling(Math.max(1, ...values));
+
+  const scaleX = (x) => MARGIN.left + ((x - minX) / (maxX - minX)) * PLOT_WIDTH;
+  const scaleY = (value) => MARGIN.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+  const ticks = Array.from({ length: TICK_COUNT + 1 }, (_, i) => i / TICK_COUNT);
+
+  const legendLabels = series.map(s => {
+    const failures = s.points.filter(point => point.value === null).length;
+    return failures > 0 ? `${s.name} (${failures} failed)` : s.name;
+  });
+  const legend = layoutLegend(legendLabels, PLOT_WIDTH);
+  const axisBottom = MARGIN.top + PLOT_HEIGHT;
+
+  return (
+    <ChartFrame title={title} fileName={fileName} contentHeight={axisBottom + MARGIN.bottom + legend.height}>
+      {ticks.map(fraction => (
+        <g key={`y-${fraction}`}>
+          <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={scaleY(fraction * maxValue)} y2={scaleY(fraction * maxValue)} stroke="#eee" />
+          <text x={MARGIN.left - 5} y={scaleY(fraction * maxValue) + 4} fontSize="11" textAnchor="end" fill="#555">
+            {Math.round(fraction * maxValue)} {unit}
+          </text>
+        </g>
+      ))}
+      {ticks.map(fraction => (
+        <text
+          key={`x-${fraction}`}
+          x={MARGIN.left + fraction * PLOT_WIDTH}
+          y={axisBottom + 18}
+          fontSize="11"
+          textAnchor={fraction === 0 ? 'start' : fraction === 1 ? 'end' : 'middle'}
+          fill="#555"
+        >
+          {formatX(minX + fraction * (maxX - minX))}
+        </text>
+      ))}
+      <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={axisBottom} stroke="#999" />
+      <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={axisBottom} y2={axisBottom} stroke="#999" />
+      {series.map((s, seriesIndex) => {
+        const color = chartColor(seriesIndex);
+        return (
+          <g key={s.name}>
+            {toLineSegments(s.points).map((segment, segmentIndex) => (
+              <polyline
+                key={segmentIndex}
+                fill="none"
+                stroke={color}
+                strokeWidth="1.5"
+                points={segment.map(point => `${scaleX(point.x)},${scaleY(point.value)}`).join(' ')}
+              />
+            ))}
+            {s.points.map((point, pointIndex) => (point.value === null ? (
+              <text key={pointIndex} x={scaleX(point.x)} y={MARGIN.top + 8} fontSize="12" textAnchor="middle" fill={color}>×</text>
+            ) : (
+              <circle key={pointIndex} cx={scaleX(point.x)} cy={scaleY(point.value)} r="2" fill={color}>
+                <title>{`${s.name}: ${point.value} ${unit} at ${formatX(point.x)}`}</title>
+              </circle>
+            )))}
+          </g>
+        );
+      })}
+      <ChartLegend layout={legend} x={MARGIN.left} y={axisBottom + MARGIN.bottom} />
+    </ChartFrame>
+  );
+};
+
+export default LineChart;
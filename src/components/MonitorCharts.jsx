@@ -0,0 +1,26 @@
+import React from 'react';
+import LineChart from './LineChart.jsx';
+import { buildLatencyTimeSeries } from '../utils/statsUtils.js';
+import { formatClockTime } from '../utils/chartUtils.js';
+
+// Monitor samples are plotted against the time they were sent.
+const toTimeAxis = (series) => series.map(s => ({ ...s, points: s.points.map(point => ({ x: point.time, value: point.value })) }));
+
+const MonitorCharts = ({ transactions, windowSize, isRunning }) => {
+  const { send, confirm } = buildLatencyTimeSeries(transactions);
+  const lastSentAt = transactions.reduce((latest, txData) => Math.max(latest, txData.sentAt || 0), 0);
+
+  return (
+    <div className="monitor-charts" style={{ width: '100%', marginBottom: '20px' }}>
+      <h3>Monitor {isRunning ? '(live)' : '(stopped)'}</h3>
+      <p>
+        Showing the last {transactions.length} probe(s) (window: {windowSize})
+        {lastSentAt > 0 && `, latest sent at ${new Date(lastSentAt).toISOString()}`}.
+      </p>
+      <LineChart title="RPC Send Latency" fileName="monitor-rpc-send-latency" series={toTimeAxis(send)} formatX={formatClockTime} />
+      <LineChart title="WS Confirmation Latency (from send)" fileName="monitor-ws-confirmation-latency" series={toTimeAxis(confirm)} formatX={formatClockTime} />
+    </div>
+  );
+};
+
+export default MonitorCharts;
@@ -0,0 +1,73 @@
+import React from 'react';
+import EndpointLeaderboard from './EndpointLeaderboard.jsx';
+import { summarizeLatencies } from '../utils/statsUtils.js';
+
+const formatMs = (value) => (value === null || typeof value === 'undefined' ? 'N/A' : `${value} ms`);
+
+const formatFeeLevel = (microLamports) => (microLamports ? `${microLamports} micro-lamports/CU` : 'No priority fee');
+
+const PriorityFeeReport = ({ allTransactionsData }) => {
+  if (!allTransactionsData || allTransactionsData.length === 0) {
+    return null;
+  }
+
+  // Group transactions by the priority fee they were sent with, keeping the order levels were first used in.
+  const groups = new Map();
+  allTransactionsData.forEach(txData => {
+    const level = txData.computeUnitPriceMicroLamports || 0;
+    if (!groups.has(level)) groups.set(level, []);
+    groups.get(level).push(txData);
+  });
+
+  // A single unpriced group is the default run; there is nothing to compare.
+  if (groups.size === 1 && groups.has(0)) {
+    return null;
+  }
+
+  const rows = Array.from(groups.entries()).map(([level, txs]) => {
+    const confirmed = txs.filter(txData => txData.firstWsConfirmedAt && !txData.error);
+    const durations = confirmed.map(txData => txData.firstWsConfirmedAt - txData.createdAt);
+    return { level, txs, confirmedCount: confirmed.length, latency: summarizeLatencies(durations) };
+  });
+
+  return (
+    <div className="priority-fee-report" style={{ marginBottom: '20px' }}>
+      <h3>Priority Fee Comparison</h3>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Fee Level</th>
+            <th style={{ textAlign: 'left' }}>Txs</th>
+            <th style={{ textAlign: 'left' }}>Confirmed</th>
+            <th style={{ textAlign: 'left' }}>Min</th>
+            <th style={{ textAlign: 'left' }}>Mean</th>
+            <th style={{ textAlign: 'left' }}>p50</th>
+            <th style={{ textAlign: 'left' }}>p90</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.level}>
+              <td>{formatFeeLevel(row.level)}</td>
+              <td>{row.txs.length}</td>
+              <td>{row.confirmedCount}</td>
+              <td>{formatMs(row.latency.min)}</td>
+              <td>{formatMs(row.latency.mean)}</td>
+              <td>{formatMs(row.latency.p50)}</td>
+              <td>{formatMs(row.latency.p90)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.9em', color: '#555' }}>Latency is measured from transaction creation to the first WS confirmation.</p>
+      {rows.map(row => (
+        <details key={row.level} style={{ marginBottom: '10px' }}>
+          <summary>Endpoints at {formatFeeLevel(row.level)}</summary>
+          <EndpointLeaderboard allTransactionsData={row.txs} title={`Endpoint Leaderboard (${formatFeeLevel(row.level)})`} />
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default PriorityFeeReport;
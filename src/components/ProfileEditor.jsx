@@ -0,0 +1,361 @@
+import React, { useState } from 'react';
+import { PROFILE_NETWORKS, createProfile } from '../utils/profileStore.js';
+import { maskUrl } from '../utils/configUtils.js';
+import { BLOCK_ENGINE_METHODS } from '../utils/solanaUtils.js';
+
+let nextHeaderRowId = 0;
+const toHeaderRows = (headers) => Object.entries(headers || {}).map(([name, value]) => ({ id: nextHeaderRowId++, name, value }));
+
+// Names that are empty or used by an earlier row (HTTP header names are case-insensitive).
+const findHeaderNameProblems = (rows) => {
+  const seen = new Set();
+  return rows.map(({ name }) => {
+    const normalized = name.trim().toLowerCase();
+    if (!normalized) return 'Enter a header name.';
+    if (seen.has(normalized)) return `Duplicate header "${name.trim()}".`;
+    seen.add(normalized);
+    return null;
+  });
+};
+
+// Edits the custom HTTP headers of one endpoint. Header values are treated as secrets.
+// The rows are edited locally and only saved (as an object) while every name is set and unique, so typing a name
+// that another row already has doesn't overwrite that row.
+const HeadersEditor = ({ headers, onChange, showSecrets, disabled }) => {
+  const [rows, setRows] = useState(() => toHeaderRows(headers));
+  const [savedHeaders, setSavedHeaders] = useState(headers);
+
+  // The headers changed from outside (another profile, or the endpoint was moved): start over from them.
+  if (headers !== savedHeaders) {
+    setSavedHeaders(headers);
+    setRows(toHeaderRows(headers));
+  }
+
+  const problems = findHeaderNameProblems(rows);
+
+  const updateRows = (updatedRows) => {
+    setRows(updatedRows);
+    if (findHeaderNameProblems(updatedRows).some(Boolean)) return;
+    const updatedHeaders = updatedRows.length > 0
+      ? Object.fromEntries(updatedRows.map(({ name, value }) => [name.trim(), value]))
+      : undefined;
+    setSavedHeaders(updatedHeaders);
+    onChange(updatedHeaders);
+  };
+
+  const updateRow = (id, changes) => {
+    updateRows(rows.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const addHeader = () => {
+    updateRows([...rows, { id: nextHeaderRowId++, name: '', value: '' }]);
+  };
+
+  return (
+    <div>
+      {rows.map((row, index) => (
+        <div key={row.id} style={{ marginBottom: '3px' }}>
+          <input
+            type="text"
+            value={row.name}
+            onChange={(e) => updateRow(row.id, { name: e.target.value })}
+            placeholder="Header name"
+            disabled={disabled}
+            style={{ width: '35%', marginRight: '5px' }}
+          />
+          <input
+            type={showSecrets ? 'text' : 'password'}
+            value={row.value}
+            onChange={(e) => updateRow(row.id, { value: e.target.value })}
+            placeholder="Value"
+            disabled={disabled}
+            autoComplete="off"
+            style={{ width: '40%', marginRight: '5px' }}
+          />
+          <button onClick={() => updateRows(rows.filter(other => other.id !== row.id))} disabled={disabled}>✕</button>
+          {problems[index] && <div style={{ color: 'red', fontSize: '0.9em' }}>{problems[index]} Headers are not saved until this is fixed.</div>}
+        </div>
+      ))}
+      <button onClick={addHeader} disabled={disabled}>Add Header</button>
+    </div>
+  );
+};
+
+const EndpointListEditor = ({ title, endpoints, urlPlaceholder, onChange, allowHeaders, allowMethod, showSecrets, disabled }) => {
+  const updateEndpoint = (index, changes) => {
+    onChange(endpoints.map((endpoint, i) => {
+      if (i !== index) return endpoint;
+      const updated = { ...endpoint, ...changes };
+      if (updated.headers === undefined) delete updated.headers;
+      return updated;
+    }));
+  };
+
+  const moveEndpoint = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= endpoints.length) return;
+    const reordered = [...endpoints];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const removeEndpoint = (index) => {
+    onChange(endpoints.filter((_, i) => i !== index));
+  };
+
+  const addEndpoint = () => {
+    onChange([...endpoints, { name: `Endpoint ${endpoints.length + 1}`, url: '', enabled: true }]);
+  };
+
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      <h4>{title}</h4>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>On</th>
+            <th style={{ textAlign: 'left' }}>Name</th>
+            <th style={{ textAlign: 'left' }}>URL</th>
+            {allowMethod && <th style={{ textAlign: 'left' }}>Method</th>}
+            {allowHeaders && <th style={{ textAlign: 'left' }}>Headers</th>}
+            <th style={{ textAlign: 'left' }}>Order</th>
+            <th style={{ textAlign: 'left' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {endpoints.map((endpoint, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={endpoint.enabled}
+                  onChange={(e) => updateEndpoint(index, { enabled: e.target.checked })}
+                  disabled={disabled}
+                />
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={endpoint.name}
+                  onChange={(e) => updateEndpoint(index, { name: e.target.value })}
+                  disabled={disabled}
+                  style={{ width: '95%' }}
+                />
+              </td>
+              <td>
+                {/* URLs with tokens are shown masked and read-only until secrets are revealed. */}
+                {!showSecrets && maskUrl(endpoint.url) !== endpoint.url ? (
+                  <input type="text" value={maskUrl(endpoint.url)} readOnly disabled title="Check 'Show secrets' to edit" style={{ width: '95%' }} />
+                ) : (
+                  <input
+                    type="text"
+                    value={endpoint.url}
+                    onChange={(e) => updateEndpoint(index, { url: e.target.value })}
+                    placeholder={urlPlaceholder}
+                    disabled={disabled}
+                    style={{ width: '95%' }}
+                  />
+                )}
+              </td>
+              {allowMethod && (
+                <td>
+                  <select
+                    value={endpoint.method || BLOCK_ENGINE_METHODS[0]}
+                    onChange={(e) => updateEndpoint(index, { method: e.target.value })}
+                    disabled={disabled}
+                  >
+                    {BLOCK_ENGINE_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+                  </select>
+                </td>
+              )}
+              {allowHeaders && (
+                <td>
+                  <HeadersEditor
+                    headers={endpoint.headers}
+                    onChange={(headers) => updateEndpoint(index, { headers })}
+                    showSecrets={showSecrets}
+                    disabled={disabled}
+                  />
+                </td>
+              )}
+              <td>
+                <button onClick={() => moveEndpoint(index, -1)} disabled={disabled || index === 0} style={{ marginRight: '5px' }}>↑</button>
+                <button onClick={() => moveEndpoint(index, 1)} disabled={disabled || index === endpoints.length - 1}>↓</button>
+              </td>
+              <td>
+                <button onClick={() => removeEndpoint(index)} disabled={disabled}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={addEndpoint} disabled={disabled} style={{ marginTop: '5px' }}>Add Endpoint</button>
+    </div>
+  );
+};
+
+const ProfileEditor = ({ profiles, activeProfileId, onSelectProfile, onSaveProfile, onDeleteProfile, disabled }) => {
+  const [newProfileName, setNewProfileName] = useState('');
+  const [newProfileNetwork, setNewProfileNetwork] = useState('custom');
+  const [showSecrets, setShowSecrets] = useState(false);
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  const handleCreateProfile = () => {
+    const name = newProfileName.trim() || `${newProfileNetwork} profile`;
+    const profile = createProfile(name, newProfileNetwork);
+    onSaveProfile(profile);
+    onSelectProfile(profile.id);
+    setNewProfileName('');
+  };
+
+  const handleDeleteProfile = () => {
+    if (activeProfile && window.confirm(`Delete profile "${activeProfile.name}"?`)) {
+      onDeleteProfile(activeProfile.id);
+    }
+  };
+
+  const updateActiveProfile = (changes) => onSaveProfile({ ...activeProfile, ...changes });
+
+  return (
+    <details className="profile-editor" style={{ width: '100%', marginBottom: '20px', textAlign: 'left' }}>
+      <summary><strong>Settings: Profiles &amp; Endpoints</strong></summary>
+      <p style={{ color: '#856404', fontSize: '0.9em' }}>
+        Profiles are stored unencrypted in this browser's localStorage, including private keys, URL tokens and header values.
+      </p>
+
+      <div style={{ margin: '10px 0' }}>
+        <label htmlFor="activeProfile" style={{ marginRight: '10px' }}>Active Profile:</label>
+        <select
+          id="activeProfile"
+          value={activeProfileId || ''}
+          onChange={(e) => onSelectProfile(e.target.value)}
+          disabled={disabled || profiles.length === 0}
+          style={{ marginRight: '10px' }}
+        >
+          {profiles.length === 0 && <option value="">(no profiles)</option>}
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name} ({profile.network})</option>
+          ))}
+        </select>
+        <button onClick={handleDeleteProfile} disabled={disabled || !activeProfile}>Delete Profile</button>
+      </div>
+
+      <div style={{ margin: '10px 0' }}>
+        <input
+          type="text"
+          value={newProfileName}
+          onChange={(e) => setNewProfileName(e.target.value)}
+          placeholder="New profile name"
+          disabled={disabled}
+          style={{ marginRight: '10px' }}
+        />
+        <select value={newProfileNetwork} onChange={(e) => setNewProfileNetwork(e.target.value)} disabled={disabled} style={{ marginRight: '10px' }}>
+          {PROFILE_NETWORKS.map(network => <option key={network} value={network}>{network}</option>)}
+        </select>
+        <button onClick={handleCreateProfile} disabled={disabled}>Create Profile</button>
+      </div>
+
+      {activeProfile && (
+        <div>
+          <div style={{ margin: '10px 0' }}>
+            <label htmlFor="profileName" style={{ marginRight: '10px' }}>Name:</label>
+            <input
+              type="text"
+              id="profileName"
+              value={activeProfile.name}
+              onChange={(e) => updateActiveProfile({ name: e.target.value })}
+              disabled={disabled}
+              style={{ marginRight: '20px' }}
+            />
+            <label htmlFor="profileNetwork" style={{ marginRight: '10px' }}>Network:</label>
+            <select
+              id="profileNetwork"
+              value={activeProfile.network}
+              onChange={(e) => updateActiveProfile({ network: e.target.value })}
+              disabled={disabled}
+            >
+              {PROFILE_NETWORKS.map(network => <option key={network} value={network}>{network}</option>)}
+            </select>
+          </div>
+          <div style={{ margin: '10px 0' }}>
+            <label htmlFor="profilePrivateKey" style={{ marginRight: '10px' }}>Private Key:</label>
+            <input
+              type="password"
+              id="profilePrivateKey"
+              value={activeProfile.privateKey}
+              onChange={(e) => updateActiveProfile({ privateKey: e.target.value })}
+              placeholder={`Leave empty to use config/${activeProfile.network}.appConfig.js`}
+              disabled={disabled}
+              autoComplete="off"
+              style={{ width: '360px' }}
+            />
+            {activeProfile.privateKey && (
+              <p style={{ color: '#856404', fontSize: '0.9em' }}>
+                Warning: a key entered here is stored unencrypted in this browser's localStorage. Only use throwaway test keys.
+              </p>
+            )}
+          </div>
+          <div style={{ margin: '10px 0' }}>
+            <input
+              type="checkbox"
+              id="showSecrets"
+              checked={showSecrets}
+              onChange={(e) => setShowSecrets(e.target.checked)}
+              style={{ marginRight: '5px' }}
+            />
+            <label htmlFor="showSecrets">Show secrets (URL tokens and header values)</label>
+          </div>
+          <EndpointListEditor
+            title="RPC Endpoints"
+            endpoints={activeProfile.rpcUrls}
+            urlPlaceholder="https://..."
+            onChange={(rpcUrls) => updateActiveProfile({ rpcUrls })}
+            allowHeaders
+            showSecrets={showSecrets}
+            disabled={disabled}
+          />
+          <EndpointListEditor
+            title="WebSocket Endpoints"
+            endpoints={activeProfile.wsUrls}
+            urlPlaceholder="wss://..."
+            onChange={(wsUrls) => updateActiveProfile({ wsUrls })}
+            showSecrets={showSecrets}
+            disabled={disabled}
+          />
+          <EndpointListEditor
+            title="Block Engine Endpoints (optional)"
+            endpoints={activeProfile.blockEngineUrls || []}
+            urlPlaceholder="https://.../api/v1/transactions"
+            onChange={(blockEngineUrls) => updateActiveProfile({ blockEngineUrls })}
+            allowHeaders
+            allowMethod
+            showSecrets={showSecrets}
+            disabled={disabled}
+          />
+          <div style={{ margin: '10px 0' }}>
+            <label htmlFor="profileTipAccount" style={{ marginRight: '10px' }}>Tip Account:</label>
+            <input
+              type="text"
+              id="profileTipAccount"
+              value={activeProfile.tipAccount || ''}
+              onChange={(e) => updateActiveProfile({ tipAccount: e.target.value.trim() })}
+              placeholder={`Leave empty to use config/${activeProfile.network}.appConfig.js`}
+              disabled={disabled}
+              style={{ width: '360px' }}
+            />
+          </div>
+          <p style={{ fontSize: '0.9em', color: '#555' }}>
+            The first enabled RPC endpoint is used to fetch the blockhash and for the getTransaction lookups after a WebSocket
+            notification, so its headers are sent with those requests too. WebSocket connections cannot send custom headers:
+            put WebSocket tokens in the URL. Block engine endpoints only receive sends (sendTransaction or a single-transaction
+            sendBundle); bundles usually need a tip, set in the compute budget controls. Changes are saved in this browser
+            automatically.
+          </p>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,64 @@
+import React from 'react';
+import LineChart from './LineChart.jsx';
+import BoxPlotChart from './BoxPlotChart.jsx';
+import StackedBarChart from './StackedBarChart.jsx';
+import { collectEndpointLatencies, computeTransactionPhases } from '../utils/statsUtils.js';
+
+const PHASE_NAMES = ['Create', 'Send', 'Confirm'];
+
+const formatTxNumber = (value) => `Tx ${Math.round(value)}`;
+
+// Confirmation duration (from send) per transaction: the first confirmation plus one line per WS endpoint.
+// Failed or unconfirmed samples are null so they show up as failures.
+const buildConfirmationSeries = (allTransactionsData) => {
+  const firstConfirmation = { name: 'First confirmation', points: [] };
+  const wsSeries = new Map();
+  allTransactionsData.forEach((txData, index) => {
+    const x = index + 1;
+    firstConfirmation.points.push({
+      x,
+      value: txData.firstWsConfirmedAt && txData.sentAt ? txData.firstWsConfirmedAt - txData.sentAt : null,
+    });
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      if (!wsResult.name) return;
+      if (!wsSeries.has(wsResult.name)) wsSeries.set(wsResult.name, { name: wsResult.name, points: [] });
+      const confirmed = wsResult.confirmedAt && wsResult.status !== 'WS Signature Error' && typeof wsResult.wsDuration === 'number';
+      wsSeries.get(wsResult.name).points.push({ x, value: confirmed ? wsResult.wsDuration : null });
+    });
+  });
+  return [firstConfirmation, ...wsSeries.values()];
+};
+
+const ReportCharts = ({ allTransactionsData }) => {
+  if (!allTransactionsData || allTransactionsData.length === 0) {
+    return null;
+  }
+
+  const latencies = collectEndpointLatencies(allTransactionsData);
+  const phaseBars = allTransactionsData.map((txData, index) => {
+    const { create, send, confirm } = computeTransactionPhases(txData);
+    return { label: `${index + 1}`, segments: [create, send, confirm] };
+  });
+
+  return (
+    <div className="report-charts" style={{ width: '100%', marginTop: '20px' }}>
+      <h3>Charts</h3>
+      <LineChart
+        title="Confirmation Duration per Transaction (from send)"
+        fileName="confirmation-duration"
+        series={buildConfirmationSeries(allTransactionsData)}
+        formatX={formatTxNumber}
+      />
+      <BoxPlotChart title="RPC Send Latency per Endpoint" fileName="rpc-send-latency" entries={latencies.rpc} />
+      <BoxPlotChart title="WS Confirmation Latency per Endpoint (from send)" fileName="ws-confirmation-latency" entries={latencies.ws} />
+      <StackedBarChart
+        title="Transaction Phases (create / send / confirm)"
+        fileName="transaction-phases"
+        bars={phaseBars}
+        segmentNames={PHASE_NAMES}
+      />
+    </div>
+  );
+};
+
+export default ReportCharts;
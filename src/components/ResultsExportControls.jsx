@@ -0,0 +1,36 @@
+import React from 'react';
+import { buildResultsCsv, buildResultsJson, downloadTextFile } from '../utils/exportUtils.js';
+import { buildEndpointLeaderboard } from '../utils/statsUtils.js';
+
+const ResultsExportControls = ({ allTransactionsData, network, configPath, startedAt }) => {
+  if (!allTransactionsData || allTransactionsData.length === 0) {
+    return null;
+  }
+
+  // e.g. tx-tracker-devnet-2025-01-31T12-00-00
+  const baseFileName = `tx-tracker-${network || 'unknown'}-${new Date(startedAt || Date.now()).toISOString().replace(/[:.]/g, '-').replace(/-\d{3}Z$/, '')}`;
+
+  const handleDownloadCsv = () => {
+    downloadTextFile(`${baseFileName}.csv`, buildResultsCsv(allTransactionsData), 'text/csv');
+  };
+
+  const handleDownloadJson = () => {
+    const json = buildResultsJson(allTransactionsData, {
+      network,
+      configPath,
+      startedAt,
+      finishedAt: Date.now(),
+      leaderboard: buildEndpointLeaderboard(allTransactionsData),
+    });
+    downloadTextFile(`${baseFileName}.json`, json, 'application/json');
+  };
+
+  return (
+    <div className="results-export-controls" style={{ marginBottom: '15px', textAlign: 'right' }}>
+      <button onClick={handleDownloadCsv} style={{ marginRight: '10px' }}>Download CSV</button>
+      <button onClick={handleDownloadJson}>Download JSON</button>
+    </div>
+  );
+};
+
+export default ResultsExportControls;
@@ -1,37 +1,53 @@
 import React from 'react';
+import { STOPPED_STATUS, NOT_NOTIFIED_STATUS } from '../utils/solanaUtils.js';
 
-const ResultsTable = ({ results }) => {
-  if (!results || results.length === 0) {
-    return <p>No results yet. Click "Send Transaction" to gather data.</p>;
+// One row per endpoint of a transaction: how its send went and how its WS subscription confirmed.
+// Send-only (block engine) endpoints and WS-only endpoints leave the other half empty.
+const ResultsTable = ({ rpcSendResults, wsConfirmationResults }) => {
+  const sends = rpcSendResults || [];
+  const confirmations = wsConfirmationResults || [];
+  const names = [...sends, ...confirmations].map(result => result.name).filter((name, index, all) => all.indexOf(name) === index);
+  if (names.length === 0) {
+    return <p>No endpoint results recorded for this transaction.</p>;
   }
 
+  const renderStatus = (result, fallback) => {
+    if (!result) return 'N/A';
+    if (result.status === STOPPED_STATUS || result.status === NOT_NOTIFIED_STATUS) return <span style={{ color: '#666' }}>{result.status}</span>;
+    if (result.error) return <span style={{ color: 'red' }}>{result.status || `Error: ${result.error.message}`}</span>;
+    return <span style={{ color: 'green' }}>{result.status || fallback}</span>;
+  };
+
   return (
     <div className="results-section">
-      <h3>Results:</h3>
       <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
         <thead>
           <tr>
-            <th>Endpoint</th>
-            <th>RPC Send Latency (ms)</th>
-            <th>Conf. Duration (from send, ms)</th>
-            <th>Status</th>
+            <th style={{ textAlign: 'left' }}>Endpoint</th>
+            <th style={{ textAlign: 'left' }}>Send Latency (ms)</th>
+            <th style={{ textAlign: 'left' }}>Send Status</th>
+            <th style={{ textAlign: 'left' }}>Conf. Duration (from send, ms)</th>
+            <th style={{ textAlign: 'left' }}>Confirmation Status</th>
           </tr>
         </thead>
         <tbody>
-          {results.map((result, index) => (
-            <tr key={result.name || index}>
-              <td>{result.name}</td>
-              <td>{result.sendDuration ?? 'N/A'}</td>
-              <td>{result.confirmationDuration ?? 'N/A'}</td>
-              <td style={{ color: result.error ? 'red' : 'green' }}>
-                {result.error ? `Error: ${result.error.message}` : (result.status || 'Confirmed')}
-              </td>
-            </tr>
-          ))}
+          {names.map(name => {
+            const send = sends.find(result => result.name === name);
+            const confirmation = confirmations.find(result => result.name === name);
+            return (
+              <tr key={name}>
+                <td>{name}{send && send.endpointType === 'block-engine' ? ' (block engine)' : ''}</td>
+                <td>{send ? send.sendDuration ?? 'N/A' : 'N/A'}</td>
+                <td>{renderStatus(send, 'Sent')}</td>
+                <td>{confirmation ? confirmation.wsDuration ?? 'N/A' : 'N/A'}</td>
+                <td>{renderStatus(confirmation, 'Pending')}</td>
+              </tr>
+            );
+          })}
         </tbody>
       </table>
     </div>
   );
 };
 
-export default ResultsTable; 
\ No newline at end of file
+export default ResultsTable;
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import { listRuns, renameRun, deleteRun } from '../utils/runHistoryDb.js';
+
+const RunHistoryPanel = ({ refreshKey, onOpenRun, disabled }) => {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editingLabel, setEditingLabel] = useState('');
+  const [reloadCounter, setReloadCounter] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRuns()
+      .then(savedRuns => {
+        if (!cancelled) {
+          setRuns(savedRuns);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [refreshKey, reloadCounter]);
+
+  const reload = () => setReloadCounter(counter => counter + 1);
+
+  const handleSaveLabel = async (id) => {
+    try {
+      await renameRun(id, editingLabel.trim());
+      setEditingId(null);
+      reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`Delete saved run "${run.label || new Date(run.savedAt).toISOString()}"?`)) {
+      return;
+    }
+    try {
+      await deleteRun(run.id);
+      reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="run-history-panel" style={{ width: '100%', marginBottom: '20px', textAlign: 'left' }}>
+      <h3>Run History</h3>
+      {error && <p style={{ color: 'red' }}>Run history unavailable: {error}</p>}
+      {!error && runs.length === 0 && <p>No saved runs yet. Completed runs are saved automatically.</p>}
+      {runs.length > 0 && (
+        <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>Saved At</th>
+              <th style={{ textAlign: 'left' }}>Label</th>
+              <th style={{ textAlign: 'left' }}>Network</th>
+              <th style={{ textAlign: 'left' }}>Endpoints</th>
+              <th style={{ textAlign: 'left' }}>Txs (Failed)</th>
+              <th style={{ textAlign: 'left' }}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.id}>
+                <td>{new Date(run.savedAt).toISOString()}</td>
+                <td>
+                  {editingId === run.id ? (
+                    <input
+                      type="text"
+                      value={editingLabel}
+                      onChange={(e) => setEditingLabel(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') handleSaveLabel(run.id); }}
+                      autoFocus
+                    />
+                  ) : (run.label || <em>(none)</em>)}
+                </td>
+                <td>{run.network}</td>
+                <td>{run.endpointCount}</td>
+                <td>{run.transactionCount} ({run.failedCount}){run.stopped && ', stopped'}</td>
+                <td>
+                  {editingId === run.id ? (
+                    <>
+                      <button onClick={() => handleSaveLabel(run.id)} style={{ marginRight: '5px' }}>Save</button>
+                      <button onClick={() => setEditingId(null)}>Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => onOpenRun(run.id)} disabled={disabled} style={{ marginRight: '5px' }}>Open</button>
+                      <button onClick={() => { setEditingId(run.id); setEditingLabel(run.label || ''); }} style={{ marginRight: '5px' }}>Rename</button>
+                      <button onClick={() => handleDelete(run)}>Delete</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RunHistoryPanel;
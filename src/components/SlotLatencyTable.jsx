@@ -0,0 +1,103 @@
+import React from 'react';
+import { computeSlotsToLand, summarizeLatencies } from '../utils/statsUtils.js';
+
+const collectNames = (slotsPerTx, key) => {
+  const names = [];
+  slotsPerTx.forEach(slots => {
+    Object.keys(slots[key]).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+};
+
+const formatSlots = (slots) => (slots === null || typeof slots === 'undefined' ? 'N/A' : `${slots}`);
+
+const formatSummary = (values, prefix = '') => {
+  const summary = summarizeLatencies(values);
+  return summary.count > 0 ? `${prefix}${summary.p50} / ${prefix}${summary.p90}` : 'N/A';
+};
+
+const SlotLatencyTable = ({ allTransactionsData }) => {
+  // Slots at send time are only recorded by newer runs.
+  if (!allTransactionsData || !allTransactionsData.some(txData => (txData.rpcSendResults || []).some(rpcResult => typeof rpcResult.slotAtSend === 'number'))) {
+    return null;
+  }
+
+  const slotsPerTx = allTransactionsData.map(txData => computeSlotsToLand(txData));
+  const rpcNames = collectNames(slotsPerTx, 'rpc');
+  const wsNames = collectNames(slotsPerTx, 'ws');
+
+  const shortenSignature = (sig) => {
+    if (!sig) return 'N/A';
+    return `${sig.substring(0, 4)}...${sig.substring(sig.length - 4)}`;
+  };
+
+  const formatNotification = (slots, name) => {
+    const lag = slots.ws[name];
+    if (lag === null || typeof lag === 'undefined') return 'N/A';
+    return `${slots.landedSlot + lag} (+${lag})`;
+  };
+
+  return (
+    <div className="slot-latency-table" style={{ marginBottom: '20px' }}>
+      <h3>Slots to Land</h3>
+      <p style={{ fontSize: '0.9em', color: '#555' }}>
+        Slot counts don't depend on browser or network timing. Slots to land is the landed slot (from getTransaction) minus
+        the highest slot any RPC endpoint reported when the transaction was sent; the RPC columns count from each endpoint's own
+        slot. WS columns show the slot each endpoint was at when it notified, and how many slots after landing that was.
+      </p>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>#</th>
+            <th style={{ textAlign: 'left' }}>TxSig</th>
+            <th style={{ textAlign: 'left' }}>Landed Slot</th>
+            <th style={{ textAlign: 'left' }}>Slot at Send</th>
+            <th style={{ textAlign: 'left' }}>Slots to Land</th>
+            {rpcNames.map(name => (
+              <th key={`rpc-${name}`} style={{ textAlign: 'left' }}>From RPC {name}</th>
+            ))}
+            {wsNames.map(name => (
+              <th key={`ws-${name}`} style={{ textAlign: 'left' }}>WS {name} Notified</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {allTransactionsData.map((txData, index) => {
+            const slots = slotsPerTx[index];
+            return (
+              <tr key={txData.signature || index}>
+                <td>{index + 1}</td>
+                <td>{shortenSignature(txData.signature)}</td>
+                <td>{formatSlots(slots.landedSlot)}</td>
+                <td>{formatSlots(slots.slotAtSend)}</td>
+                <td>{formatSlots(slots.slotsToLand)}</td>
+                {rpcNames.map(name => (
+                  <td key={`rpc-${name}`}>{formatSlots(slots.rpc[name])}</td>
+                ))}
+                {wsNames.map(name => (
+                  <td key={`ws-${name}`}>{formatNotification(slots, name)}</td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colSpan={4} style={{ textAlign: 'left' }}>Median / p90 slots</th>
+            <th style={{ textAlign: 'left' }}>{formatSummary(slotsPerTx.map(slots => slots.slotsToLand))}</th>
+            {rpcNames.map(name => (
+              <th key={`rpc-${name}`} style={{ textAlign: 'left' }}>{formatSummary(slotsPerTx.map(slots => slots.rpc[name]))}</th>
+            ))}
+            {wsNames.map(name => (
+              <th key={`ws-${name}`} style={{ textAlign: 'left' }}>{formatSummary(slotsPerTx.map(slots => slots.ws[name]), '+')}</th>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+export default SlotLatencyTable;
@@ -0,0 +1,71 @@
+import React from 'react';
+import ChartFrame from './ChartFrame.jsx';
+import ChartLegend from './ChartLegend.jsx';
+import { CHART_WIDTH, chartColor, niceCeiling, layoutLegend } from '../utils/chartUtils.js';
+
+const PLOT_HEIGHT = 200;
+const MARGIN = { top: 10, right: 15, bottom: 30, left: 70 };
+const PLOT_WIDTH = CHART_WIDTH - MARGIN.left - MARGIN.right;
+const TICK_COUNT = 4;
+const MAX_X_LABELS = 20;
+
+/**
+ * Vertical stacked bars. bars: [{ label, segments: (number|null)[] }], where segments follow segmentNames.
+ * Null segments (unknown durations) are left out of the stack.
+ */
+const StackedBarChart = ({ title, fileName, bars, segmentNames, unit = 'ms' }) => {
+  if (bars.length === 0) {
+    return (
+      <div className="chart" style={{ marginBottom: '20px' }}>
+        <h4>{title}</h4>
+        <p>No data.</p>
+      </div>
+    );
+  }
+
+  const totals = bars.map(bar => bar.segments.reduce((sum, value) => sum + (value || 0), 0));
+  const maxValue = niceCeiling(Math.max(1, ...totals));
+  const slotWidth = PLOT_WIDTH / bars.length;
+  const barWidth = Math.max(1, slotWidth * 0.7);
+  const scaleHeight = (value) => (value / maxValue) * PLOT_HEIGHT;
+  const axisBottom = MARGIN.top + PLOT_HEIGHT;
+  const ticks = Array.from({ length: TICK_COUNT + 1 }, (_, i) => i / TICK_COUNT);
+  const labelEvery = Math.ceil(bars.length / MAX_X_LABELS);
+  const legend = layoutLegend(segmentNames, PLOT_WIDTH);
+
+  return (
+    <ChartFrame title={title} fileName={fileName} contentHeight={axisBottom + MARGIN.bottom + legend.height}>
+      {ticks.map(fraction => (
+        <g key={fraction}>
+          <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={axisBottom - fraction * PLOT_HEIGHT} y2={axisBottom - fraction * PLOT_HEIGHT} stroke="#eee" />
+          <text x={MARGIN.left - 5} y={axisBottom - fraction * PLOT_HEIGHT + 4} fontSize="11" textAnchor="end" fill="#555">
+            {Math.round(fraction * maxValue)} {unit}
+          </text>
+        </g>
+      ))}
+      {bars.map((bar, barIndex) => {
+        const x = MARGIN.left + barIndex * slotWidth + (slotWidth - barWidth) / 2;
+        let stackTop = axisBottom;
+        return (
+          <g key={barIndex}>
+            <title>{`${bar.label}: ${bar.segments.map((value, i) => `${segmentNames[i]} ${value === null ? 'N/A' : `${value} ${unit}`}`).join(', ')}`}</title>
+            {bar.segments.map((value, segmentIndex) => {
+              if (value === null || value <= 0) return null;
+              const segmentHeight = scaleHeight(value);
+              stackTop -= segmentHeight;
+              return <rect key={segmentIndex} x={x} y={stackTop} width={barWidth} height={segmentHeight} fill={chartColor(segmentIndex)} />;
+            })}
+            {barIndex % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={axisBottom + 18} fontSize="11" textAnchor="middle" fill="#555">{bar.label}</text>
+            )}
+          </g>
+        );
+      })}
+      <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={axisBottom} stroke="#999" />
+      <line x1={MARGIN.left} x2={CHART_WIDTH - MARGIN.right} y1={axisBottom} y2={axisBottom} stroke="#999" />
+      <ChartLegend layout={legend} x={MARGIN.left} y={axisBottom + MARGIN.bottom} />
+    </ChartFrame>
+  );
+};
+
+export default StackedBarChart;
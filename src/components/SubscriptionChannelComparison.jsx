@@ -0,0 +1,57 @@
+import React from 'react';
+import { buildChannelComparison } from '../utils/statsUtils.js';
+import { CONFIRMATION_CHANNELS } from '../utils/solanaUtils.js';
+
+const CHANNEL_COLUMNS = ['signature', ...CONFIRMATION_CHANNELS];
+
+const formatChannel = (summary) => {
+  if (!summary) return '-';
+  if (summary.unsupported === summary.attempts) return 'Unsupported';
+  const detected = `${summary.latency.count}/${summary.attempts}`;
+  return summary.latency.count > 0 ? `${summary.latency.p50} ms p50 (${detected})` : `N/A (${detected})`;
+};
+
+const SubscriptionChannelComparison = ({ allTransactionsData }) => {
+  const hasChannelData = (allTransactionsData || []).some(txData => (
+    (txData.wsConfirmationResults || []).some(wsResult => wsResult.channels && Object.keys(wsResult.channels).length > 0)
+  ));
+  if (!hasChannelData) {
+    return null;
+  }
+
+  const rows = buildChannelComparison(allTransactionsData);
+
+  return (
+    <div className="subscription-channel-comparison" style={{ marginBottom: '20px' }}>
+      <h3>WS Confirmation Channels per Provider</h3>
+      <p style={{ fontSize: '0.9em', color: '#555' }}>
+        Median latency from send (detected/attempts). accountSubscribe fires on any change of the fee payer, so it is only
+        reliable with one transaction in flight.
+      </p>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>WS Endpoint</th>
+            {CHANNEL_COLUMNS.map(channel => <th key={channel} style={{ textAlign: 'left' }}>{channel}Subscribe</th>)}
+            <th style={{ textAlign: 'left' }}>Fastest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name}>
+              <td>{row.name}</td>
+              {CHANNEL_COLUMNS.map(channel => (
+                <td key={channel} style={{ fontWeight: channel === row.fastestChannel ? 'bold' : 'normal' }}>
+                  {formatChannel(row.channels[channel])}
+                </td>
+              ))}
+              <td>{row.fastestChannel ? `${row.fastestChannel}Subscribe` : 'N/A'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SubscriptionChannelComparison;
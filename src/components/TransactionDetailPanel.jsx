@@ -0,0 +1,155 @@
+import React, { useMemo, useSyncExternalStore } from 'react';
+import ResultsTable from './ResultsTable.jsx';
+import EventLog from './EventLog.jsx';
+import { selectTransactionEventLog } from '../utils/eventLogUtils.js';
+
+const formatOptTimestamp = (ts) => (ts ? new Date(ts).toISOString() : 'N/A');
+
+const formatValue = (value) => (value === null || typeof value === 'undefined' ? 'N/A' : `${value}`);
+
+// Raw errors can be Error instances (live runs and saved runs) or plain objects (notification errors, results files).
+const formatRaw = (value) => {
+  if (value === null || typeof value === 'undefined') return 'N/A';
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  return JSON.stringify(value, null, 2);
+};
+
+const rawStyle = { margin: 0, maxHeight: '200px', maxWidth: '400px', overflow: 'auto', fontSize: '0.85em', whiteSpace: 'pre-wrap', wordBreak: 'break-all' };
+
+// Everything recorded about one transaction of the reports: its send and confirmation results per endpoint, the raw
+// WS notifications and errors, and the event log lines it produced (from the event log store, see
+// createEventLogStore). hasEventLog is false if the results have no log.
+const TransactionDetailPanel = ({ txData, position, eventLogStore, hasEventLog, onClose }) => {
+  const eventLogSnapshot = useSyncExternalStore(eventLogStore.subscribe, eventLogStore.getSnapshot);
+  const eventLogLines = useMemo(
+    () => (hasEventLog && txData ? selectTransactionEventLog(eventLogSnapshot.entries, txData) : []),
+    [hasEventLog, txData, eventLogSnapshot]
+  );
+  if (!txData) return null;
+
+  const rpcSendResults = txData.rpcSendResults || [];
+  const wsConfirmationResults = txData.wsConfirmationResults || [];
+
+  return (
+    <div className="transaction-detail-panel" style={{ marginBottom: '20px', padding: '15px', border: '1px solid #999', borderRadius: '5px', backgroundColor: '#fdfdfd' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>Transaction #{position} Details</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <table style={{ marginTop: '10px', borderCollapse: 'collapse' }}>
+        <tbody>
+          <tr><th style={{ textAlign: 'left', paddingRight: '15px' }}>Signature</th><td style={{ fontFamily: 'monospace' }}>{formatValue(txData.signature)}</td></tr>
+          {(txData.watched || txData.preSigned) && (
+            <tr>
+              <th style={{ textAlign: 'left', paddingRight: '15px' }}>Origin</th>
+              <td>{txData.watched ? 'Watched (sent elsewhere)' : 'Pre-signed (pasted or uploaded)'}</td>
+            </tr>
+          )}
+          <tr><th style={{ textAlign: 'left', paddingRight: '15px' }}>Slot</th><td>{formatValue(txData.slot)}</td></tr>
+          <tr>
+            <th style={{ textAlign: 'left', paddingRight: '15px' }}>BlockTime</th>
+            <td>{txData.blockTime ? `${txData.blockTime} (${formatOptTimestamp(txData.blockTime * 1000)})` : 'N/A'}</td>
+          </tr>
+          <tr><th style={{ textAlign: 'left', paddingRight: '15px' }}>Created At</th><td>{formatOptTimestamp(txData.createdAt)}</td></tr>
+          <tr>
+            <th style={{ textAlign: 'left', paddingRight: '15px' }}>First Sent At</th>
+            <td>{formatOptTimestamp(txData.sentAt)}{txData.firstSentToEndpointName ? ` (${txData.firstSentToEndpointName})` : ''}</td>
+          </tr>
+          <tr>
+            <th style={{ textAlign: 'left', paddingRight: '15px' }}>First WS Confirmed At</th>
+            <td>{formatOptTimestamp(txData.firstWsConfirmedAt)}{txData.firstConfirmedByEndpointName ? ` (${txData.firstConfirmedByEndpointName})` : ''}</td>
+          </tr>
+          {txData.error && <tr><th style={{ textAlign: 'left', paddingRight: '15px' }}>Error</th><td style={{ color: 'red' }}>{txData.error}</td></tr>}
+          {txData.expiredAt && (
+            <tr>
+              <th style={{ textAlign: 'left', paddingRight: '15px' }}>Expired At</th>
+              <td>{formatOptTimestamp(txData.expiredAt)} (block height {formatValue(txData.expiredAtBlockHeight)}, last valid {formatValue(txData.lastValidBlockHeight)})</td>
+            </tr>
+          )}
+          {txData.stoppedAt && <tr><th style={{ textAlign: 'left', paddingRight: '15px' }}>Stopped At</th><td>{formatOptTimestamp(txData.stoppedAt)}</td></tr>}
+        </tbody>
+      </table>
+
+      <h4>Endpoint Breakdown</h4>
+      <ResultsTable rpcSendResults={rpcSendResults} wsConfirmationResults={wsConfirmationResults} />
+
+      <h4>Send Results ({rpcSendResults.length})</h4>
+      {rpcSendResults.length === 0 ? <p>No sends recorded.</p> : (
+        <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>Endpoint</th>
+              <th style={{ textAlign: 'left' }}>Type / Method</th>
+              <th style={{ textAlign: 'left' }}>Sent At</th>
+              <th style={{ textAlign: 'left' }}>Duration (ms)</th>
+              <th style={{ textAlign: 'left' }}>Slot at Send</th>
+              <th style={{ textAlign: 'left' }}>Status</th>
+              <th style={{ textAlign: 'left' }}>Signature / Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rpcSendResults.map(rpcResult => (
+              <tr key={rpcResult.name}>
+                <td>{rpcResult.name}</td>
+                <td>{rpcResult.endpointType || 'rpc'}{rpcResult.method ? ` / ${rpcResult.method}` : ''}</td>
+                <td>{formatOptTimestamp(rpcResult.sentAt)}</td>
+                <td>{formatValue(rpcResult.sendDuration)}</td>
+                <td>{formatValue(rpcResult.slotAtSend)}</td>
+                <td style={{ color: rpcResult.error ? 'red' : 'inherit' }}>{formatValue(rpcResult.status)}</td>
+                <td style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{formatValue(rpcResult.rpcSignatureOrError)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4>WebSocket Confirmation Results ({wsConfirmationResults.length})</h4>
+      {wsConfirmationResults.length === 0 ? <p>No WebSocket results recorded.</p> : (
+        <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>Endpoint</th>
+              <th style={{ textAlign: 'left' }}>Status</th>
+              <th style={{ textAlign: 'left' }}>Confirmed At</th>
+              <th style={{ textAlign: 'left' }}>Duration from Send (ms)</th>
+              <th style={{ textAlign: 'left' }}>Slot / Notification Slot</th>
+              <th style={{ textAlign: 'left' }}>BlockTime</th>
+              <th style={{ textAlign: 'left' }}>Error</th>
+              <th style={{ textAlign: 'left' }}>Raw Notification</th>
+              <th style={{ textAlign: 'left' }}>Raw Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            {wsConfirmationResults.map(wsResult => (
+              <tr key={wsResult.name}>
+                <td>{wsResult.name}</td>
+                <td style={{ color: wsResult.error ? 'red' : 'inherit' }}>{formatValue(wsResult.status)}</td>
+                <td>{formatOptTimestamp(wsResult.confirmedAt)}</td>
+                <td>{formatValue(wsResult.wsDuration)}</td>
+                <td>{formatValue(wsResult.slot)} / {formatValue(wsResult.notificationSlot)}</td>
+                <td>{formatValue(wsResult.blockTime)}</td>
+                <td style={{ color: wsResult.error ? 'red' : 'inherit' }}>{wsResult.error ? formatValue(wsResult.error.message) : 'None'}</td>
+                <td><pre style={rawStyle}>{formatRaw(wsResult.rawNotification)}</pre></td>
+                <td><pre style={rawStyle}>{formatRaw(wsResult.rawError)}</pre></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {!hasEventLog ? (
+        <p>No event log was saved with these results.</p>
+      ) : eventLogLines.length === 0 ? (
+        <p>No event log lines recorded for this transaction.</p>
+      ) : (
+        <EventLog
+          events={eventLogLines}
+          title={`Event Log for Transaction #${position} (${eventLogLines.length} lines):`}
+          exportFileName={`transaction-${position}-event-log.ndjson`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TransactionDetailPanel;
@@ -1,6 +1,12 @@
 import React from 'react';
+import { countSendsToLand } from '../utils/statsUtils.js';
+import { EXPIRED_STATUS, STOPPED_STATUS } from '../utils/solanaUtils.js';
 
-const TransactionTimingsTable = ({ allTransactionsData, network }) => {
+// Status of a transaction no WS endpoint confirmed before its subscriptions timed out, without a known blockhash expiry.
+const UNCONFIRMED_STATUS = 'Unconfirmed (timed out)';
+
+// Clicking a row selects the transaction (onSelectTransaction(txData)) to show its details.
+const TransactionTimingsTable = ({ allTransactionsData, network, selectedTransaction, onSelectTransaction }) => {
   const formatOptTimestamp = (ts) => {
     if (!ts) return 'N/A';
     const date = new Date(ts);
@@ -22,8 +28,9 @@ const TransactionTimingsTable = ({ allTransactionsData, network }) => {
 
   // Generate the correct URL based on network
   const getSolscanUrl = (signature) => {
-    return network === 'mainnet' 
-      ? `https://solscan.io/tx/${signature}`
+    if (network === 'mainnet') return `https://solscan.io/tx/${signature}`;
+    return network === 'testnet'
+      ? `https://solscan.io/tx/${signature}?cluster=testnet`
       : `https://solscan.io/tx/${signature}?cluster=devnet`;
   };
 
@@ -33,6 +40,44 @@ const TransactionTimingsTable = ({ allTransactionsData, network }) => {
     return formatOptTimestamp(unixTimestamp * 1000)
   };
 
+  const formatPriorityFee = (txData) => {
+    if (!txData.computeUnitPriceMicroLamports) return 'None';
+    return `${txData.computeUnitPriceMicroLamports} µL/CU${txData.computeUnitLimit ? ` (limit ${txData.computeUnitLimit})` : ''}`;
+  };
+
+  const formatSendsToLand = (txData) => {
+    const needed = countSendsToLand(txData);
+    const landed = needed ? `${needed.rounds} round(s), ${needed.sends} send(s)` : 'Not landed';
+    const stopped = txData.rebroadcast.stopReason ? ` (stopped: ${txData.rebroadcast.stopReason})` : '';
+    return `${landed}${stopped}`;
+  };
+
+  // A dropped transaction is not an error of an endpoint: its blockhash expired before any of them saw it land.
+  const renderStatus = (txData) => {
+    if (txData.error) return <span style={{ color: 'red' }}>Error: {txData.error}</span>;
+    if (txData.expiredAt) {
+      return (
+        <span style={{ color: '#b35c00' }} title={`Block height ${txData.expiredAtBlockHeight} passed the last valid block height ${txData.lastValidBlockHeight}`}>
+          {EXPIRED_STATUS}
+        </span>
+      );
+    }
+    if (txData.stoppedAt && !txData.firstWsConfirmedAt) {
+      return <span style={{ color: '#666' }} title="The run was stopped before a WS endpoint confirmed the transaction">{STOPPED_STATUS}</span>;
+    }
+    if (txData.landedBeforeWatch && !txData.firstWsConfirmedAt) {
+      return (
+        <span style={{ color: 'green' }} title={`Status lookup: ${txData.landedBeforeWatch.confirmationStatus}. No WS endpoint notified.`}>
+          Landed before watching (slot {txData.landedBeforeWatch.slot})
+        </span>
+      );
+    }
+    if (!txData.firstWsConfirmedAt) {
+      return <span style={{ color: '#b35c00' }} title="No WS endpoint confirmed the transaction before the subscriptions timed out">{UNCONFIRMED_STATUS}</span>;
+    }
+    return <span style={{ color: 'green'}}>Success</span>;
+  };
+
   if (!allTransactionsData || allTransactionsData.length === 0) {
     return (
       <div className="transaction-timings-table" style={{ marginBottom: '20px' }}>
@@ -42,9 +87,15 @@ const TransactionTimingsTable = ({ allTransactionsData, network }) => {
     );
   }
 
+  const isSelected = (txData) => Boolean(selectedTransaction) && selectedTransaction.txIndex === txData.txIndex;
+
+  const showPriorityFee = allTransactionsData.some(txData => txData.computeUnitPriceMicroLamports || txData.computeUnitLimit);
+  const showRebroadcast = allTransactionsData.some(txData => txData.rebroadcast);
+
   return (
     <div className="transaction-timings-table" style={{ marginBottom: '20px' }}>
       <h3>Transaction Timings</h3>
+      {onSelectTransaction && <p style={{ fontSize: '0.9em', color: '#555' }}>Click a row to see the transaction's details.</p>}
       <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
         <thead>
           <tr>
@@ -55,13 +106,22 @@ const TransactionTimingsTable = ({ allTransactionsData, network }) => {
             <th style={{ textAlign: 'left' }}>TxFirstConfirmedAt</th>
             <th style={{ textAlign: 'left' }}>BlockTime</th>
             <th style={{ textAlign: 'left' }}>Confirmation Duration (Create to First WS Confirm)</th>
+            {showPriorityFee && <th style={{ textAlign: 'left' }}>Priority Fee</th>}
+            {showRebroadcast && <th style={{ textAlign: 'left' }}>Sends to Land</th>}
             <th style={{ textAlign: 'left' }}>Status</th>
           </tr>
         </thead>
         <tbody>
-          {allTransactionsData.map((txData, index) => (
-            <tr key={txData.signature || index}>
-              <td>{index + 1}</td>
+          {allTransactionsData.map(txData => (
+            <tr
+              key={txData.txIndex}
+              onClick={onSelectTransaction ? () => onSelectTransaction(txData) : undefined}
+              style={{
+                cursor: onSelectTransaction ? 'pointer' : 'default',
+                backgroundColor: isSelected(txData) ? '#e8f0fe' : 'transparent',
+              }}
+            >
+              <td>{txData.txIndex + 1}</td>
               <td>
                 {txData.signature && !txData.error ? (
                   <a 
@@ -80,7 +140,9 @@ const TransactionTimingsTable = ({ allTransactionsData, network }) => {
               <td>{formatOptTimestamp(txData.firstWsConfirmedAt)} <br /> {txData.firstConfirmedByEndpointName ? `(${txData.firstConfirmedByEndpointName})` : ''}</td>
               <td>{formatBlockTimestamp(txData.blockTime)}</td>
               <td>{calculateDuration(txData.createdAt, txData.firstWsConfirmedAt)}</td>
-              <td>{txData.error ? <span style={{ color: 'red' }}>Error: {txData.error}</span> : <span style={{ color: 'green'}}>Success</span>}</td>
+              {showPriorityFee && <td>{formatPriorityFee(txData)}</td>}
+              {showRebroadcast && <td>{txData.rebroadcast ? formatSendsToLand(txData) : 'N/A'}</td>}
+              <td>{renderStatus(txData)}</td>
             </tr>
           ))}
         </tbody>
@@ -0,0 +1,74 @@
+import React from 'react';
+import { computeWsConfirmationLags, summarizeLatencies } from '../utils/statsUtils.js';
+
+const WsConfirmationLagTable = ({ allTransactionsData }) => {
+  if (!allTransactionsData || allTransactionsData.length === 0) {
+    return null;
+  }
+
+  const lagsPerTx = allTransactionsData.map(txData => computeWsConfirmationLags(txData));
+  const endpointNames = [];
+  lagsPerTx.forEach(lags => {
+    Object.keys(lags).forEach(name => {
+      if (!endpointNames.includes(name)) endpointNames.push(name);
+    });
+  });
+
+  // Only one endpoint ever confirms when the other subscriptions are torn down early, so there is nothing to compare.
+  const hasComparableData = lagsPerTx.some(lags => Object.values(lags).filter(lag => lag !== null).length > 1);
+  if (!hasComparableData) {
+    return null;
+  }
+
+  const shortenSignature = (sig) => {
+    if (!sig) return 'N/A';
+    return `${sig.substring(0, 4)}...${sig.substring(sig.length - 4)}`;
+  };
+
+  const formatLag = (lag) => {
+    if (lag === null || typeof lag === 'undefined') return 'N/A';
+    return lag === 0 ? 'First' : `+${lag} ms`;
+  };
+
+  const summaries = endpointNames.map(name => summarizeLatencies(lagsPerTx.map(lags => lags[name])));
+
+  return (
+    <div className="ws-confirmation-lag-table" style={{ marginBottom: '20px' }}>
+      <h3>WS Confirmation Lag Behind First Confirmation</h3>
+      <table border="1" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>#</th>
+            <th style={{ textAlign: 'left' }}>TxSig</th>
+            {endpointNames.map(name => (
+              <th key={name} style={{ textAlign: 'left' }}>{name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {allTransactionsData.map((txData, index) => (
+            <tr key={txData.signature || index}>
+              <td>{index + 1}</td>
+              <td>{shortenSignature(txData.signature)}</td>
+              {endpointNames.map(name => (
+                <td key={name}>{formatLag(lagsPerTx[index][name])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colSpan={2} style={{ textAlign: 'left' }}>Median / p90 lag</th>
+            {summaries.map((summary, i) => (
+              <th key={endpointNames[i]} style={{ textAlign: 'left' }}>
+                {summary.count > 0 ? `${summary.p50} ms / ${summary.p90} ms` : 'N/A'}
+              </th>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+export default WsConfirmationLagTable;
@@ -2,12 +2,27 @@
 // IMPORTANT: COPY THIS FILE to appConfig.js (which is gitignored) and fill in your actual details.
 
 export const appConfig = {
+  // Config schema version (optional, defaults to 1).
+  version: 1,
+
   // Replace with your actual private key. 
   // It can be a Base58 encoded string or a Uint8Array/number[] representation of the secret key bytes.
   // Example Base58 string: "YourBase58PrivateKeyString..."
   // Example Byte Array: [1, 2, 3, ..., 64] (must be 64 bytes for a Solana secret key)
   privateKey: "YOUR_SOLANA_PRIVATE_KEY_IN_BASE58_OR_BYTE_ARRAY_FORMAT",
 
+  // Optional compute budget defaults for generated transactions (can be changed in the UI before each run).
+  // computeUnitLimit: 1000,
+  // computeUnitPriceMicroLamports: 10000, // Priority fee in micro-lamports per compute unit
+  // priorityFeeSweepMicroLamports: [0, 1000, 10000, 100000], // Transactions cycle through these fee levels
+
+  // Optional tip added to every generated transaction as a transfer to tipAccount (block engines require one for bundles).
+  // tipAccount: "A_TIP_ACCOUNT_ADDRESS_IN_BASE58",
+  // tipLamports: 1000,
+
+  // Endpoints: one entry per provider with an rpcUrl and/or wsUrl. Names must be unique.
+  // Alternatively, list them separately as 'rpc-urls': [{ name, url }] and 'ws-urls': [{ name, url }].
+  // RPC URLs must use http(s)://, WS URLs ws(s)://. Every problem in the file is reported at startup.
   endpoints: [
     {
       name: "Solana Mainnet (Public - api.mainnet-beta.solana.com)",
@@ -19,11 +34,30 @@ export const appConfig = {
       rpcUrl: "https://api.devnet.solana.com",
       wsUrl: "wss://api.devnet.solana.com/"
     },
+    // Paid providers: API keys can go in the URL or (for the RPC URL) in custom HTTP headers, e.g.
+    // {
+    //   name: "My Provider",
+    //   rpcUrl: "https://rpc.example.com",
+    //   wsUrl: "wss://rpc.example.com/?api-key=YOUR_KEY",
+    //   headers: { "x-api-key": "YOUR_KEY" }
+    // },
     // Add more custom endpoints here if needed, for example a local test validator:
     // {
     //   name: "Local Test Validator",
     //   rpcUrl: "http://127.0.0.1:8899",
     //   wsUrl: "ws://127.0.0.1:9000/"
     // },
-  ]
+  ],
+
+  // Optional block engine endpoints (e.g. Jito). Transactions are also sent here, via a plain JSON-RPC POST, and the
+  // results are reported next to the RPC endpoints. Names must differ from the RPC endpoint names.
+  // method: 'sendTransaction' (default) or 'sendBundle' (the transaction is sent as a one-transaction bundle).
+  // 'block-engine-urls': [
+  //   {
+  //     name: "Block Engine (sendBundle)",
+  //     url: "https://block-engine.example.com/api/v1/bundles",
+  //     method: "sendBundle",
+  //     headers: { "x-jito-auth": "YOUR_UUID" }
+  //   },
+  // ],
 }; 
\ No newline at end of file
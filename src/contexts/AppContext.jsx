@@ -1,4 +1,8 @@
-import React, { createContext, useReducer, useContext } from 'react';
+import React, { createContext, useReducer, useContext, useCallback, useState } from 'react';
+import { resolveProfileConfig } from '../utils/profileStore.js';
+import { validateRuntimeConfig, getConfigWarnings, collectEndpointSecrets } from '../utils/configUtils.js';
+import { STOPPED_STATUS, NOT_NOTIFIED_STATUS } from '../utils/solanaUtils.js';
+import { createEventLogStore } from '../utils/eventLogStore.js';
 
 const AppContext = createContext();
 
@@ -6,27 +10,154 @@ const initialState = {
   config: null, // Will store { privateKey, rpcUrls, wsUrls, loadedPath, ...otherConfig }
   configStatus: 'Loading configuration...', // User-facing status message
   // configPath is effectively replaced by state.config.loadedPath after successful load
+
+  // --- Profiles (persisted in localStorage; config is resolved from the active profile) ---
+  profilesLoaded: false, // True once stored profiles and seed file configs have been loaded
+  profiles: [], // [{ id, name, network, privateKey, rpcUrls: [{ name, url, enabled }], wsUrls: [...] }]
+  activeProfileId: null,
+  seededNetworks: [], // Networks whose config file has already been turned into a profile
+  fileConfigs: {}, // Normalized config/<network>.appConfig.js contents keyed by network (seeds and private key fallback)
+  configProblems: [], // Every validation problem of the active config; runs are blocked while this is non-empty
+  configWarnings: [], // Settings of the active config that are ignored (see getConfigWarnings); runs are not blocked
+  logSecrets: [], // API keys and URL tokens of all profiles, redacted from event log messages
+
   isLoading: false,
-  isComplete: false, // New: To track if the entire transaction process is complete for UI conditional rendering
   globalStatus: 'Idle', // Overall status of the transaction process
-  transactionSignature: null,
-  createdAt: null,
-  transactionSentAt: null, // New: Timestamp when all RPCs are about to be sent
-  firstWsConfirmedAt: null, // New: Timestamp of the first WS confirmation
-  firstSentToEndpointName: null, // New: Name of the RPC endpoint that first sent the transaction
-  firstConfirmedByEndpointName: null, // New: Name of the WS endpoint that first confirmed it
-  rpcSendResults: [], // New: Array of { name, url, status, sendDuration, rpcSignatureOrError, sentAt }
-  wsConfirmationResults: [], // New: Array of { name, url, status, confirmationContextSlot, wsDurationMs, error, overallSentAtForDurCalc, confirmedAt }
-  globalError: null, // { message: string, type: 'config' | 'critical' }
-  eventLog: [], // To store timestamped event messages
+  globalError: null, // { message: string, type: 'config' | 'critical', txIndex?: number (set for errors of a transaction) }
 
   // --- New state for multiple transactions ---
-  numberOfTransactions: 1,
-  currentTransactionIndex: 0,
-  allTransactionResults: [], // Stores results for each transaction: { signature, createdAt, sentAt, firstWsConfirmedAt, rpcResults, wsResults, eventLogSliceStart, eventLogSliceEnd }
+  numberOfTransactions: 1, // Value of the "Number of Transactions" input
+  plannedTransactionCount: 0, // Transactions the current/last run will send (differs from numberOfTransactions in fixed-rate mode, Infinity in monitor mode)
+  runMode: null, // Send mode of the current/last live run ('sequential' | 'concurrent' | 'rate' | 'monitor', 'watch' when watching a signature, or 'signed' when sending a pre-signed transaction)
+  rollingWindowSize: null, // In monitor mode, only the most recent results are kept
+  launchedTransactionCount: 0, // Transactions of the current run that have started
+  // Transactions that have been created but not completed yet, keyed by signature. Each entry has the shape of an
+  // allTransactionResults entry: { txIndex, signature, createdAt, sentAt, firstSentToEndpointName, firstWsConfirmedAt,
+  // firstConfirmedByEndpointName, slot, blockTime,
+  // rpcSendResults: [{ name, url, endpointType ('rpc' | 'block-engine'), method, status, sendDuration, rpcSignatureOrError, sentAt, slotAtSend }],
+  // wsConfirmationResults: [{ name, url, status, wsDuration, error, overallSentAtForDurCalc, confirmedAt, slot, notificationSlot, milestones, channels }],
+  // pollConfirmationResults: [{ name, url, status, detectedAt, pollDuration, pollCount, failedPolls, slot, error }],
+  // isolatedSendEndpointName (the only endpoint it was sent to in isolation mode, else null), lastValidBlockHeight,
+  // expiredAt, expiredAtBlockHeight (set when the blockhash expired before the transaction landed),
+  // stoppedAt (set when the run was stopped while the transaction was in flight),
+  // rebroadcast: { mode, intervalMs, onlyHealthyEndpoints, rounds, stopReason, stoppedAt,
+  // attempts: [{ round, name, sentAt, sendDuration, error }] } (null without rebroadcasting), computeUnitLimit, computeUnitPriceMicroLamports,
+  // tipLamports (tip transferred to the tip account, null without a tip),
+  // watched (true if the transaction was sent elsewhere and only watched; createdAt is then when watching started),
+  // preSigned (true if the transaction was pasted or uploaded already signed instead of created; createdAt is then when
+  // sending it started),
+  // landedBeforeWatch: { slot, confirmationStatus, err, blockTime, checkedAt } (set when a watched transaction had
+  // already landed when watching started, else null),
+  // eventLogSliceStart, eventLogSliceEnd (range of event log entry ids in which the transaction logged; see
+  // selectTransactionEventLog in eventLogUtils) }
+  inFlightTransactions: {},
+  allTransactionResults: [], // Completed (or failed) transactions, ordered by txIndex
   allProcessesComplete: false, // True when all 'n' transactions are done
+  loadSettings: { mode: 'sequential', concurrency: '4', ratePerSecond: '2', durationSeconds: '10', intervalSeconds: '10', windowSize: '200' }, // Raw input values, see LOAD_MODES in App.jsx
+  runStartedAt: null, // Timestamp when the current/last run started
+  runStopped: false, // True when the current/last run was ended with the Stop button
+  failurePolicy: { mode: 'continue', retries: '2' }, // Raw input values, see FAILURE_POLICY_OPTIONS in App.jsx
+  selectedTransaction: null, // { txIndex } of the report row whose details are shown
+  loadedResults: null, // { sourceName, network, configPath, startedAt } when the reports show a results file or saved run instead of a live run
+  runLabel: '', // Optional label saved with the next run
+  runEventLogStartId: 0, // id of the first event log entry belonging to the current/last run (null for loaded results without a log)
+  eventLogSliceStarts: {}, // Event log entry id at which each in-flight transaction of the current run started, keyed by txIndex
+  lastSavedRunId: null, // Id of the most recently saved run in the history database
+  keepAllWsSubscriptions: false, // When true, every WS subscription runs until it confirms or times out (measures lag behind the first)
+  trackCommitmentMilestones: false, // When true, each WS endpoint is also subscribed at processed/confirmed/finalized
+  // Raw input values; an empty poll interval disables getSignatureStatuses polling.
+  // channels lists the enabled alternative WS confirmation channels (see CONFIRMATION_CHANNELS in solanaUtils).
+  confirmationSourceSettings: { pollIntervalMs: '', channels: [] },
+  rebroadcastSettings: { mode: 'off', intervalMs: '2000', onlyHealthyEndpoints: false }, // Raw input values, see REBROADCAST_MODES in solanaUtils
+  sendIsolationMode: 'off', // 'off' sends every transaction to all RPC endpoints, see SEND_ISOLATION_MODES in solanaUtils
+  watchSignatureInput: '', // Raw value of the "Watch Signature" input
+  signedTransactionInput: '', // Raw value of the "Signed Transaction" input (base64 or base58), see parseSignedTransaction in solanaUtils
+
+  // --- Compute budget / priority fees ---
+  computeBudgetSettings: { unitLimit: '', unitPriceMicroLamports: '', sweepMicroLamports: '', tipLamports: '' }, // Raw input values; empty means unset
 };
 
+// Re-resolves state.config after the profiles or the active profile changed.
+function withActiveProfileConfig(state) {
+  const activeProfile = state.profiles.find(profile => profile.id === state.activeProfileId);
+  const config = resolveProfileConfig(activeProfile, state.fileConfigs);
+  return {
+    ...state,
+    config,
+    configStatus: config ? `Using ${config.loadedPath} (${config.network})` : 'No profile configured. Create one in the settings panel.',
+    configProblems: config ? validateRuntimeConfig(config) : [],
+    configWarnings: config ? getConfigWarnings(config) : [],
+    logSecrets: collectEndpointSecrets([
+      ...state.profiles.flatMap(profile => [...profile.rpcUrls, ...profile.wsUrls, ...(profile.blockEngineUrls || [])]),
+      ...Object.values(state.fileConfigs).flatMap(fileConfig => [...fileConfig.rpcUrls, ...fileConfig.wsUrls, ...fileConfig.blockEngineUrls]),
+    ]),
+  };
+}
+
+// Replaces the entry with the same `name` in a per-endpoint result list, or appends it.
+function upsertResultByName(results, name, updater) {
+  const existingIndex = results.findIndex(r => r.name === name);
+  if (existingIndex === -1) {
+    return [...results, updater({ name })];
+  }
+  const updatedResults = [...results];
+  updatedResults[existingIndex] = updater(updatedResults[existingIndex]);
+  return updatedResults;
+}
+
+// Applies `updater` to the transaction with `signature`, wherever it currently is. Results that arrive after a
+// transaction completed (e.g. a slow RPC send) are merged into its entry in allTransactionResults.
+function updateTransaction(state, signature, updater) {
+  if (state.inFlightTransactions[signature]) {
+    return {
+      ...state,
+      inFlightTransactions: { ...state.inFlightTransactions, [signature]: updater(state.inFlightTransactions[signature]) },
+    };
+  }
+  const completedIndex = state.allTransactionResults.findIndex(txData => txData.signature === signature);
+  if (completedIndex === -1) {
+    return state;
+  }
+  const allTransactionResults = [...state.allTransactionResults];
+  allTransactionResults[completedIndex] = updater(allTransactionResults[completedIndex]);
+  return { ...state, allTransactionResults };
+}
+
+// Gives the WS and polling results of a transaction that never reported the status `status`.
+const withUnreportedResultsMarked = (txData, status) => ({
+  ...txData,
+  wsConfirmationResults: txData.wsConfirmationResults.map(wsResult => (wsResult.confirmedAt || wsResult.error ? wsResult : { ...wsResult, status })),
+  pollConfirmationResults: txData.pollConfirmationResults.map(pollResult => (pollResult.detectedAt || pollResult.error ? pollResult : { ...pollResult, status })),
+});
+
+// "Tx 3/10", or "Tx 3" for open-ended (monitor) runs.
+const formatTxPosition = (txIndex, plannedTransactionCount) => (
+  Number.isFinite(plannedTransactionCount) ? `Tx ${txIndex + 1}/${plannedTransactionCount}` : `Tx ${txIndex + 1}`
+);
+
+// Inserts a finished transaction into allTransactionResults, keeping the list ordered by txIndex.
+// With a rolling window only the most recent rollingWindowSize transactions are kept.
+// The transaction's event log slice ends at eventLogId, the id of the next log entry, so it covers untagged (console)
+// messages logged until now; later messages tagged with its signature are still found (see selectTransactionEventLog).
+function withSettledTransaction(state, settledTx, eventLogId) {
+  const txResult = {
+    ...settledTx,
+    eventLogSliceStart: settledTx.eventLogSliceStart ?? state.eventLogSliceStarts[settledTx.txIndex] ?? null,
+    eventLogSliceEnd: Math.max(settledTx.eventLogSliceEnd ?? 0, eventLogId),
+  };
+  const eventLogSliceStarts = { ...state.eventLogSliceStarts };
+  delete eventLogSliceStarts[txResult.txIndex];
+  const insertAt = state.allTransactionResults.findIndex(txData => txData.txIndex > txResult.txIndex);
+  let allTransactionResults = [...state.allTransactionResults];
+  allTransactionResults.splice(insertAt === -1 ? allTransactionResults.length : insertAt, 0, txResult);
+  if (state.rollingWindowSize && allTransactionResults.length > state.rollingWindowSize) {
+    allTransactionResults = allTransactionResults.slice(-state.rollingWindowSize);
+  }
+  const inFlightTransactions = { ...state.inFlightTransactions };
+  delete inFlightTransactions[txResult.signature];
+  return { ...state, allTransactionResults, inFlightTransactions, eventLogSliceStarts };
+}
+
 function appReducer(state, action) {
   switch (action.type) {
     case 'LOAD_CONFIG_SUCCESS':
@@ -34,8 +165,41 @@ function appReducer(state, action) {
         ...state, 
         config: action.payload, 
         configStatus: `Successfully loaded configuration from: ${action.payload.loadedPath}`,
-        globalError: null
+        globalError: null,
+        // Optional compute budget values in the config file seed the inputs
+        computeBudgetSettings: {
+          unitLimit: action.payload.computeUnitLimit != null ? String(action.payload.computeUnitLimit) : state.computeBudgetSettings.unitLimit,
+          unitPriceMicroLamports: action.payload.computeUnitPriceMicroLamports != null ? String(action.payload.computeUnitPriceMicroLamports) : state.computeBudgetSettings.unitPriceMicroLamports,
+          sweepMicroLamports: Array.isArray(action.payload.priorityFeeSweepMicroLamports) ? action.payload.priorityFeeSweepMicroLamports.join(', ') : state.computeBudgetSettings.sweepMicroLamports,
+          tipLamports: action.payload.tipLamports != null ? String(action.payload.tipLamports) : state.computeBudgetSettings.tipLamports,
+        },
       };
+    case 'INIT_PROFILES': {
+      const nextState = withActiveProfileConfig({
+        ...state,
+        profilesLoaded: true,
+        profiles: action.payload.profiles,
+        activeProfileId: action.payload.activeProfileId,
+        seededNetworks: action.payload.seededNetworks,
+        fileConfigs: action.payload.fileConfigs,
+      });
+      // Run the resolved config through LOAD_CONFIG_SUCCESS so its optional settings seed the inputs.
+      return nextState.config ? appReducer(nextState, { type: 'LOAD_CONFIG_SUCCESS', payload: nextState.config }) : nextState;
+    }
+    case 'SET_ACTIVE_PROFILE':
+      return withActiveProfileConfig({ ...state, activeProfileId: action.payload });
+    case 'SAVE_PROFILE': { // Adds the profile or replaces the one with the same id
+      const exists = state.profiles.some(profile => profile.id === action.payload.id);
+      const profiles = exists
+        ? state.profiles.map(profile => (profile.id === action.payload.id ? action.payload : profile))
+        : [...state.profiles, action.payload];
+      return withActiveProfileConfig({ ...state, profiles });
+    }
+    case 'DELETE_PROFILE': {
+      const profiles = state.profiles.filter(profile => profile.id !== action.payload);
+      const activeProfileId = state.activeProfileId === action.payload ? (profiles[0] ? profiles[0].id : null) : state.activeProfileId;
+      return withActiveProfileConfig({ ...state, profiles, activeProfileId });
+    }
     case 'LOAD_CONFIG_ERROR':
       return { 
         ...state, 
@@ -48,181 +212,288 @@ function appReducer(state, action) {
         ...state,
         numberOfTransactions: Math.max(1, parseInt(action.payload, 10) || 1), // Ensure it's at least 1
       };
+    case 'SET_KEEP_ALL_WS_SUBSCRIPTIONS':
+      return { ...state, keepAllWsSubscriptions: !!action.payload };
+    case 'SET_TRACK_COMMITMENT_MILESTONES':
+      return { ...state, trackCommitmentMilestones: !!action.payload };
+    case 'SET_COMPUTE_BUDGET_SETTINGS':
+      return { ...state, computeBudgetSettings: { ...state.computeBudgetSettings, ...action.payload } };
+    case 'SET_CONFIRMATION_SOURCE_SETTINGS':
+      return { ...state, confirmationSourceSettings: { ...state.confirmationSourceSettings, ...action.payload } };
+    case 'SET_SEND_ISOLATION_MODE':
+      return { ...state, sendIsolationMode: action.payload };
+    case 'SET_WATCH_SIGNATURE_INPUT':
+      return { ...state, watchSignatureInput: action.payload };
+    case 'SET_SIGNED_TRANSACTION_INPUT':
+      return { ...state, signedTransactionInput: action.payload };
+    case 'SET_REBROADCAST_SETTINGS':
+      return { ...state, rebroadcastSettings: { ...state.rebroadcastSettings, ...action.payload } };
+    case 'SET_FAILURE_POLICY':
+      return { ...state, failurePolicy: { ...state.failurePolicy, ...action.payload } };
+    case 'SET_LOAD_SETTINGS':
+      return { ...state, loadSettings: { ...state.loadSettings, ...action.payload } };
     case 'PROCESS_START_ALL': // Renamed from PROCESS_START to signify start of all N transactions
       return { 
         ...state, 
         isLoading: true, 
-        isComplete: false, // Individual transaction complete
         allProcessesComplete: false, // All N transactions complete
-        currentTransactionIndex: 0,
+        plannedTransactionCount: action.payload.plannedTransactionCount,
+        runMode: action.payload.runMode || null,
+        rollingWindowSize: action.payload.rollingWindowSize || null,
+        launchedTransactionCount: 0,
+        inFlightTransactions: {},
         allTransactionResults: [],
-        // Reset states for the first transaction
-        globalStatus: `Starting Transaction 1 of ${state.numberOfTransactions}... Initializing...`, 
-        transactionSignature: null, 
-        createdAt: null, 
-        transactionSentAt: null,
-        firstWsConfirmedAt: null,
-        firstSentToEndpointName: null, 
-        firstConfirmedByEndpointName: null,
-        rpcSendResults: [], 
-        wsConfirmationResults: [], 
+        runStartedAt: action.payload.startedAt || Date.now(),
+        runStopped: false,
+        runEventLogStartId: action.eventLogId,
+        eventLogSliceStarts: {},
+        selectedTransaction: null,
+        loadedResults: null,
+        globalStatus: Number.isFinite(action.payload.plannedTransactionCount)
+          ? `Starting ${action.payload.plannedTransactionCount} transaction(s)... Initializing...`
+          : 'Starting monitor... Initializing...',
         globalError: null,
-        // eventLog: [], // Optionally clear global event log or manage slices per transaction
       };
-    case 'PROCESS_START_SINGLE_TX': // New action to reset state for each new transaction in the loop
+    case 'PROCESS_START_SINGLE_TX': // A transaction of the run starts (before its signature is known)
       return {
         ...state,
-        isLoading: true, // Still loading overall
-        isComplete: false, // This specific transaction is not complete
-        globalStatus: `Starting Transaction ${state.currentTransactionIndex + 1} of ${state.numberOfTransactions}... Initializing...`,
-        transactionSignature: null,
-        createdAt: null,
-        transactionSentAt: null,
-        firstWsConfirmedAt: null,
-        firstSentToEndpointName: null,
-        firstConfirmedByEndpointName: null,
-        rpcSendResults: [],
-        wsConfirmationResults: [],
-        globalError: null, // Clear errors from previous transaction in the series
+        launchedTransactionCount: state.launchedTransactionCount + 1,
+        eventLogSliceStarts: { ...state.eventLogSliceStarts, [action.payload.txIndex]: action.eventLogId },
+        globalStatus: `Starting ${formatTxPosition(action.payload.txIndex, state.plannedTransactionCount)}... Initializing...`,
+      };
+    case 'SET_TX_INFO': // The transaction has been created and signed; from now on it is tracked by signature
+      return {
+        ...state,
+        inFlightTransactions: {
+          ...state.inFlightTransactions,
+          [action.payload.signature]: {
+            txIndex: action.payload.txIndex,
+            signature: action.payload.signature,
+            createdAt: action.payload.createdAt,
+            sentAt: null,
+            firstSentToEndpointName: null,
+            firstWsConfirmedAt: null,
+            firstConfirmedByEndpointName: null,
+            slot: null,
+            blockTime: null,
+            rpcSendResults: [],
+            wsConfirmationResults: [],
+            pollConfirmationResults: [],
+            isolatedSendEndpointName: action.payload.isolatedSendEndpointName ?? null,
+            lastValidBlockHeight: action.payload.lastValidBlockHeight ?? null,
+            expiredAt: null,
+            expiredAtBlockHeight: null,
+            rebroadcast: null,
+            computeUnitLimit: action.payload.computeUnitLimit ?? null,
+            computeUnitPriceMicroLamports: action.payload.computeUnitPriceMicroLamports ?? null,
+            tipLamports: action.payload.tipLamports ?? null,
+            watched: action.payload.watched ?? false,
+            preSigned: action.payload.preSigned ?? false,
+            landedBeforeWatch: null,
+            eventLogSliceStart: state.eventLogSliceStarts[action.payload.txIndex] ?? action.eventLogId,
+            eventLogSliceEnd: null,
+          },
+        },
+        globalStatus: `${formatTxPosition(action.payload.txIndex, state.plannedTransactionCount)}: Created. Sending/Subscribing...`
       };
-    case 'SET_TX_INFO':
-      return { ...state, transactionSignature: action.payload.signature, createdAt: action.payload.createdAt, globalStatus: `Tx ${state.currentTransactionIndex + 1}/${state.numberOfTransactions}: Created. Sending/Subscribing...` };
     case 'SET_GLOBAL_STATUS':
       return { ...state, globalStatus: action.payload };
     
-    case 'UPDATE_RPC_SEND_RESULT': {
-      const { name } = action.payload; // name is the unique identifier for an RPC endpoint config
-      const existingIndex = state.rpcSendResults.findIndex(r => r.name === name);
-      let newRpcSendResults;
-      if (existingIndex > -1) {
-        newRpcSendResults = [...state.rpcSendResults];
-        newRpcSendResults[existingIndex] = { ...newRpcSendResults[existingIndex], ...action.payload };
-      } else {
-        newRpcSendResults = [...state.rpcSendResults, action.payload];
-      }
-      return { ...state, rpcSendResults: newRpcSendResults };
+    case 'UPDATE_RPC_SEND_RESULT': { // name is the unique identifier for an RPC endpoint config
+      const { signature, ...result } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        rpcSendResults: upsertResultByName(txData.rpcSendResults, result.name, existing => ({ ...existing, ...result })),
+      }));
     }
 
-    case 'UPDATE_WS_CONFIRMATION_RESULT': {
-      const { name } = action.payload; // name is the unique identifier for a WS endpoint config
-      const existingIndex = state.wsConfirmationResults.findIndex(r => r.name === name);
-      let newWsConfirmationResults;
-      if (existingIndex > -1) {
-        newWsConfirmationResults = [...state.wsConfirmationResults];
-        newWsConfirmationResults[existingIndex] = { ...newWsConfirmationResults[existingIndex], ...action.payload };
-      } else {
-        newWsConfirmationResults = [...state.wsConfirmationResults, action.payload];
-      }
-      return { ...state, wsConfirmationResults: newWsConfirmationResults };
+    case 'UPDATE_WS_CONFIRMATION_RESULT': { // name is the unique identifier for a WS endpoint config
+      const { signature, ...result } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        wsConfirmationResults: upsertResultByName(txData.wsConfirmationResults, result.name, existing => ({ ...existing, ...result })),
+      }));
     }
 
-    case 'PROCESS_SINGLE_TX_COMPLETE': { // Renamed from PROCESS_COMPLETE
-      const newResult = {
-        signature: state.transactionSignature,
-        createdAt: state.createdAt,
-        sentAt: state.transactionSentAt,
-        firstSentToEndpointName: state.firstSentToEndpointName,
-        firstWsConfirmedAt: state.firstWsConfirmedAt,
-        firstConfirmedByEndpointName: state.firstConfirmedByEndpointName,
-        rpcSendResults: [...state.rpcSendResults],
-        wsConfirmationResults: [...state.wsConfirmationResults],
-        slot: state.slot,
-        blockTime: state.blockTime,
-        error: null, // Explicitly set error to null for successful completion
-      };
-      const updatedAllTransactionResults = [...state.allTransactionResults, newResult];
+    case 'UPDATE_WS_CHANNEL_RESULT': { // Stored next to the signatureSubscribe result of the same WS endpoint
+      const { signature, name, channel, ...channelResult } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        wsConfirmationResults: upsertResultByName(txData.wsConfirmationResults, name, existing => ({
+          ...existing,
+          channels: { ...existing.channels, [channel]: channelResult },
+        })),
+      }));
+    }
 
-      if (state.currentTransactionIndex < state.numberOfTransactions - 1) {
-        return {
-          ...state,
-          // isLoading: true, // Stays true as we move to the next
-          isComplete: true, // Current transaction is complete
-          allTransactionResults: updatedAllTransactionResults,
-          currentTransactionIndex: state.currentTransactionIndex + 1,
-          globalStatus: `Tx ${state.currentTransactionIndex + 1}/${state.numberOfTransactions} complete. Preparing next...`,
-          // State for next transaction will be reset by 'PROCESS_START_SINGLE_TX'
-        };
-      } else {
-        // All transactions are complete
-        return {
-          ...state,
-          isLoading: false,
-          isComplete: true, // Marks the current (last) tx as complete
-          allProcessesComplete: true, // Marks all N tx as complete
-          allTransactionResults: updatedAllTransactionResults,
-          globalStatus: `All ${state.numberOfTransactions} transactions complete.`,
-        };
-      }
+    case 'UPDATE_REBROADCAST': { // Merges rebroadcast fields and appends `attempt` when given
+      const { signature, attempt, ...fields } = action.payload;
+      return updateTransaction(state, signature, txData => {
+        const rebroadcast = { attempts: [], ...txData.rebroadcast, ...fields };
+        return { ...txData, rebroadcast: attempt ? { ...rebroadcast, attempts: [...rebroadcast.attempts, attempt] } : rebroadcast };
+      });
     }
-    case 'PROCESS_ERROR': // For errors during the main process after config load
-      const sigToFind = state.transactionSignature;
-      const existingTxIndex = sigToFind ? state.allTransactionResults.findIndex(tx => tx.signature === sigToFind) : -1;
-
-      let updatedErrorResults;
-      if (existingTxIndex > -1) {
-        updatedErrorResults = [...state.allTransactionResults];
-        updatedErrorResults[existingTxIndex] = {
-          ...updatedErrorResults[existingTxIndex],
-          error: action.payload.message, // Add/update error message
-        };
-      } else {
-        // No existing entry, or no signature to find by, create a new error entry
-        const errorResultEntry = {
-          signature: sigToFind || 'N/A',
-          error: action.payload.message,
-          createdAt: state.createdAt, 
-          sentAt: state.transactionSentAt,
-          firstSentToEndpointName: state.firstSentToEndpointName,
-          firstWsConfirmedAt: state.firstWsConfirmedAt,
-          firstConfirmedByEndpointName: state.firstConfirmedByEndpointName,
-          rpcSendResults: [...state.rpcSendResults],
-          wsConfirmationResults: [...state.wsConfirmationResults],
+
+    case 'UPDATE_POLL_CONFIRMATION_RESULT': { // name is the unique identifier for an RPC endpoint config
+      const { signature, ...result } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        pollConfirmationResults: upsertResultByName(txData.pollConfirmationResults || [], result.name, existing => ({ ...existing, ...result })),
+      }));
+    }
+
+    case 'UPDATE_WS_MILESTONE': {
+      const { signature, name, commitment, ...milestone } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        wsConfirmationResults: upsertResultByName(txData.wsConfirmationResults, name, existing => ({
+          ...existing,
+          milestones: { ...existing.milestones, [commitment]: milestone },
+        })),
+      }));
+    }
+
+    case 'PROCESS_SINGLE_TX_COMPLETE': { // Moves the transaction from inFlightTransactions to allTransactionResults
+      const txData = state.inFlightTransactions[action.payload.signature];
+      if (!txData) return state;
+      return {
+        ...withSettledTransaction(state, { ...txData, error: null }, action.eventLogId),
+        globalStatus: `${formatTxPosition(txData.txIndex, state.plannedTransactionCount)} complete.`,
+      };
+    }
+    case 'PROCESS_ERROR': { // A transaction failed; later transactions are still governed by the run loop
+      const { txIndex, signature, message } = action.payload;
+      const txData = signature && state.inFlightTransactions[signature];
+      if (!txData && signature && state.allTransactionResults.some(completed => completed.signature === signature)) {
+        return {
+          ...updateTransaction(state, signature, completed => ({ ...completed, error: message })),
+          globalError: { message, type: 'critical', txIndex },
         };
-        updatedErrorResults = [...state.allTransactionResults, errorResultEntry];
       }
-
-      return { 
-        ...state, 
-        isLoading: false, 
-        globalStatus: `Error on Tx ${state.currentTransactionIndex + 1}/${state.numberOfTransactions}: ${action.payload.message}. Halting further transactions.`, 
-        globalError: { message: action.payload.message, type: 'critical' }, 
-        isComplete: true, // Marks the current tx attempt as 'complete' (due to error)
-        allProcessesComplete: true, // No more transactions will be processed
-        allTransactionResults: updatedErrorResults, 
+      const errorResultEntry = txData
+        ? { ...txData, error: message }
+        : { txIndex, signature: signature || 'N/A', error: message, rpcSendResults: [], wsConfirmationResults: [], pollConfirmationResults: [] };
+      return {
+        ...withSettledTransaction(state, errorResultEntry, action.eventLogId),
+        globalStatus: `Error on ${formatTxPosition(txIndex, state.plannedTransactionCount)}: ${message}`,
+        globalError: { message, type: 'critical', txIndex },
       };
-    case 'SET_GLOBAL_ERROR':
-      return { ...state, globalError: { message: action.payload.message, type: action.payload.type || 'critical' } };
-    case 'CLEAR_GLOBAL_ERROR':
-      return { ...state, globalError: null };
-    case 'LOG_EVENT':
+    }
+    case 'DISCARD_FAILED_ATTEMPT': // A failed transaction is retried (failure policy); the retry replaces its result
       return {
         ...state,
-        eventLog: [...state.eventLog, { timestamp: action.payload.timestamp, message: action.payload.message }],
+        allTransactionResults: state.allTransactionResults.filter(txData => txData.txIndex !== action.payload.txIndex || !txData.error),
       };
-    case 'SET_TRANSACTION_SENT_AT':
+    case 'PROCESS_RETRY_SUCCEEDED': // The error banner of the transaction's failed attempts no longer applies
+      return state.globalError && state.globalError.txIndex === action.payload.txIndex ? { ...state, globalError: null } : state;
+    case 'PROCESS_TX_STOPPED': { // The run was stopped; results that never reported are marked as stopped
+      const { signature, stoppedAt } = action.payload;
+      const markStopped = (txData) => ({ ...withUnreportedResultsMarked(txData, STOPPED_STATUS), stoppedAt });
+      const txData = state.inFlightTransactions[signature];
+      if (!txData) return updateTransaction(state, signature, markStopped);
+      return withSettledTransaction(state, { ...markStopped(txData), error: null }, action.eventLogId);
+    }
+    case 'SET_LANDED_BEFORE_WATCH': { // The status lookup found that the watched transaction had already landed
+      const { signature, ...landedBeforeWatch } = action.payload;
+      return updateTransaction(state, signature, txData => ({
+        ...txData,
+        landedBeforeWatch,
+        slot: txData.slot ?? landedBeforeWatch.slot,
+        blockTime: txData.blockTime ?? landedBeforeWatch.blockTime,
+      }));
+    }
+    case 'MARK_NOT_NOTIFIED': // Watching a transaction that landed before it was watched ended; the silent endpoints are marked
+      return updateTransaction(state, action.payload.signature, txData => withUnreportedResultsMarked(txData, NOT_NOTIFIED_STATUS));
+    case 'PROCESS_ALL_COMPLETE': // The run loop finished (all transactions done, halted after a failure, or stopped)
       return {
         ...state,
-        transactionSentAt: action.payload.timestamp !== undefined ? action.payload.timestamp : action.payload,
-        firstSentToEndpointName: action.payload.endpointName !== undefined ? action.payload.endpointName : state.firstSentToEndpointName,
+        isLoading: false,
+        allProcessesComplete: true,
+        runStopped: Boolean(action.payload && action.payload.stopped),
+        globalStatus: action.payload && action.payload.message
+          ? action.payload.message
+          : `All ${state.allTransactionResults.length} transactions complete.`,
       };
-    case 'SET_FIRST_WS_CONFIRMED_AT':
+    case 'LOAD_RESULTS': { // Results from a file or the run history, shown in the reports instead of a live run
+      // A saved run's log has already replaced the event log (see AppProvider).
+      const loadedEventLog = action.payload.eventLog;
       return {
         ...state,
+        runEventLogStartId: loadedEventLog ? (loadedEventLog.length > 0 ? loadedEventLog[0].id : 0) : null,
+        selectedTransaction: null,
+        isLoading: false,
+        allProcessesComplete: true,
+        runMode: null,
+        rollingWindowSize: null,
+        inFlightTransactions: {},
+        allTransactionResults: action.payload.transactions,
+        loadedResults: {
+          sourceName: action.payload.sourceName,
+          network: action.payload.network,
+          configPath: action.payload.configPath,
+          startedAt: action.payload.startedAt,
+        },
+        globalStatus: `Loaded ${action.payload.transactions.length} transaction(s) from ${action.payload.sourceName}.`,
+        globalError: null,
+      };
+    }
+    case 'SELECT_TRANSACTION': // payload: { txIndex }, or null to close the details
+      return { ...state, selectedTransaction: action.payload };
+    case 'SET_RUN_LABEL':
+      return { ...state, runLabel: action.payload };
+    case 'RUN_SAVED':
+      return { ...state, lastSavedRunId: action.payload.id };
+    case 'SET_GLOBAL_ERROR':
+      return { ...state, globalError: { message: action.payload.message, details: action.payload.details, type: action.payload.type || 'critical' } };
+    case 'CLEAR_GLOBAL_ERROR':
+      return { ...state, globalError: null };
+    case 'SET_TRANSACTION_SENT_AT':
+      return updateTransaction(state, action.payload.signature, txData => ({
+        ...txData,
+        sentAt: action.payload.timestamp,
+        firstSentToEndpointName: action.payload.endpointName !== undefined ? action.payload.endpointName : txData.firstSentToEndpointName,
+      }));
+    case 'SET_TRANSACTION_EXPIRED': // The blockhash expired before the transaction landed, so it was dropped
+      return updateTransaction(state, action.payload.signature, txData => ({
+        ...txData,
+        expiredAt: action.payload.expiredAt,
+        expiredAtBlockHeight: action.payload.blockHeight,
+      }));
+    case 'SET_FIRST_WS_CONFIRMED_AT':
+      return updateTransaction(state, action.payload.signature, txData => ({
+        ...txData,
         firstWsConfirmedAt: action.payload.timestamp,
         firstConfirmedByEndpointName: action.payload.endpointName,
         slot: action.payload.slot,
         blockTime: action.payload.blockTime,
-      };
+      }));
     default:
       return state;
   }
 }
 
 export const AppProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(appReducer, initialState);
+  const [state, dispatchToReducer] = useReducer(appReducer, initialState);
+  const [eventLogStore] = useState(createEventLogStore);
+  // Set while rendering, so lines logged right after a profile change are redacted with its secrets.
+  eventLogStore.setSecrets(state.logSecrets);
+
+  // LOG_EVENT actions (payload: { timestamp, message, level, eventType, txIndex, signature, endpoint }; all but the
+  // first two are optional) go to the event log store instead of the reducer, so a log line doesn't re-render the app.
+  // Every other action gets the id of the next log entry as eventLogId, which bounds the transactions' log slices.
+  const dispatch = useCallback((action) => {
+    if (action.type === 'LOG_EVENT') {
+      eventLogStore.append(action.payload);
+      return;
+    }
+    const payload = action.type === 'LOAD_RESULTS' && action.payload.eventLog
+      ? { ...action.payload, eventLog: eventLogStore.replace(action.payload.eventLog) }
+      : action.payload;
+    dispatchToReducer({ ...action, payload, eventLogId: eventLogStore.getNextId() });
+  }, [eventLogStore]);
 
   return (
-    <AppContext.Provider value={{ state, dispatch }}>
+    <AppContext.Provider value={{ state, dispatch, eventLogStore }}>
       {children}
     </AppContext.Provider>
   );
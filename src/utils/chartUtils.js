@@ -0,0 +1,60 @@
+// Shared helpers for the SVG charts (LineChart, BoxPlotChart, StackedBarChart).
+
+export const CHART_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+// Width of every chart's viewBox; charts scale down to the available width.
+export const CHART_WIDTH = 800;
+
+export const LEGEND_ROW_HEIGHT = 18;
+
+/**
+ * Color for the n-th series of a chart.
+ * @param {number} index - Series index.
+ * @returns {string}
+ */
+export function chartColor(index) {
+  return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * Rounds up to 1, 2 or 5 times a power of ten so axis labels stay readable.
+ * @param {number} value - Largest value on the axis (> 0).
+ * @returns {number}
+ */
+export function niceCeiling(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(multiplier => multiplier * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Formats a timestamp as HH:MM:SS (UTC), for time axes.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string}
+ */
+export function formatClockTime(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[1].slice(0, 8);
+}
+
+/**
+ * Lays out legend entries in rows that fit the chart width. Label widths are estimated from their length,
+ * since SVG text cannot be measured before it is rendered.
+ * @param {string[]} labels - Legend labels in series order.
+ * @param {number} width - Available width.
+ * @returns {{items: {label: string, index: number, x: number, row: number}[], height: number}}
+ */
+export function layoutLegend(labels, width) {
+  const items = [];
+  let x = 0;
+  let row = 0;
+  labels.forEach((label, index) => {
+    const itemWidth = 25 + label.length * 6.5;
+    if (x > 0 && x + itemWidth > width) {
+      row++;
+      x = 0;
+    }
+    items.push({ label, index, x, row });
+    x += itemWidth;
+  });
+  return { items, height: labels.length > 0 ? (row + 1) * LEGEND_ROW_HEIGHT : 0 };
+}
@@ -0,0 +1,309 @@
+import { PublicKey } from '@solana/web3.js';
+import { parsePrivateKey, BLOCK_ENGINE_METHODS } from './solanaUtils.js';
+
+// Version of the config schema described below. Config files may declare `version`; files without one are treated as version 1.
+export const CONFIG_SCHEMA_VERSION = 1;
+
+// Config schema (version 1). Endpoints can be given in either or both of these shapes:
+//   'rpc-urls': [{ name, url }], 'ws-urls': [{ name, url }]   - RPC and WS endpoints listed separately
+//   endpoints: [{ name, rpcUrl?, wsUrl? }]                      - one entry per provider (as in appConfig.example.js)
+// RPC endpoints may set `headers: { 'x-api-key': '...' }`, sent with every HTTP request to that endpoint. WS endpoints
+// may set them too, but WebSocket connections can't send them: they are ignored with a warning (see getConfigWarnings).
+// Optional block engine endpoints (e.g. Jito) are listed as 'block-engine-urls': [{ name, url, method?, headers? }],
+// where method is 'sendTransaction' (default) or 'sendBundle'. Their names must differ from the RPC endpoint names.
+// plus `privateKey` (Base58 string or 64-byte array), optional compute budget settings and an optional tip
+// (`tipAccount`, a base58 address, and `tipLamports`, the default tip per transaction).
+
+/**
+ * Error thrown when a config fails validation. `problems` lists every problem that was found.
+ */
+export class ConfigValidationError extends Error {
+  constructor(problems) {
+    super(problems.join(' '));
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
+  }
+}
+
+const hasValidScheme = (url, allowedProtocols) => {
+  try {
+    return allowedProtocols.includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validateEndpointList = (endpoints, label, allowedProtocols, problems) => {
+  const seenNames = new Set();
+  endpoints.forEach(({ name, url, headers }) => {
+    if (seenNames.has(name)) {
+      problems.push(`Duplicate ${label} endpoint name '${name}'. Endpoint names must be unique.`);
+    }
+    seenNames.add(name);
+    if (!hasValidScheme(url, allowedProtocols)) {
+      problems.push(`${label} endpoint '${name}' has an invalid URL '${maskUrl(url)}'. Expected ${allowedProtocols.map(p => `${p}//`).join(' or ')}.`);
+    }
+    if (headers === undefined) return;
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+      problems.push(`${label} endpoint '${name}' has invalid headers. Expected an object mapping header names to string values.`);
+    } else if (Object.keys(headers).some(headerName => !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(headerName))) {
+      problems.push(`${label} endpoint '${name}' has an invalid header name. Header names may not be empty or contain spaces.`);
+    }
+  });
+};
+
+/**
+ * Checks a config that already has the runtime shape ({ privateKey, rpcUrls, wsUrls, blockEngineUrls? }).
+ * Used for file configs after normalization and for configs resolved from profiles.
+ * @param {object} config - Config with `privateKey`, `rpcUrls` and `wsUrls`, optionally `blockEngineUrls`, `tipAccount` and `tipLamports`.
+ * @returns {string[]} Every problem found; empty if the config is usable.
+ */
+export function validateRuntimeConfig(config) {
+  const problems = [];
+
+  if (!config.privateKey || (Array.isArray(config.privateKey) && config.privateKey.length === 0)) {
+    problems.push('Private key is missing.');
+  } else {
+    try {
+      const secretKey = parsePrivateKey(config.privateKey);
+      if (secretKey.length !== 64) {
+        problems.push(`Private key must decode to 64 bytes, got ${secretKey.length}.`);
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (config.rpcUrls.length === 0) problems.push('No RPC endpoints configured.');
+  if (config.wsUrls.length === 0) problems.push('No WS endpoints configured.');
+  validateEndpointList(config.rpcUrls, 'RPC', ['http:', 'https:'], problems);
+  validateEndpointList(config.wsUrls, 'WS', ['ws:', 'wss:'], problems);
+
+  const blockEngineUrls = config.blockEngineUrls || [];
+  validateEndpointList(blockEngineUrls, 'Block engine', ['http:', 'https:'], problems);
+  const rpcNames = new Set(config.rpcUrls.map(endpoint => endpoint.name));
+  blockEngineUrls.forEach(({ name, method }) => {
+    // Send results of RPC and block engine endpoints are stored together, keyed by name.
+    if (rpcNames.has(name)) {
+      problems.push(`Block engine endpoint '${name}' has the same name as an RPC endpoint. Endpoint names must be unique.`);
+    }
+    if (method !== undefined && !BLOCK_ENGINE_METHODS.includes(method)) {
+      problems.push(`Block engine endpoint '${name}' has an invalid method '${method}'. Expected ${BLOCK_ENGINE_METHODS.join(' or ')}.`);
+    }
+  });
+
+  if (config.tipAccount) {
+    try {
+      new PublicKey(config.tipAccount);
+    } catch {
+      problems.push(`Tip account '${config.tipAccount}' is not a valid base58 address.`);
+    }
+  }
+  if (config.tipLamports != null && !(Number.isInteger(config.tipLamports) && config.tipLamports >= 0)) {
+    problems.push(`tipLamports must be a non-negative integer, got ${JSON.stringify(config.tipLamports)}.`);
+  }
+
+  return problems;
+}
+
+/**
+ * Lists settings of a runtime config that are accepted but have no effect, for display next to its problems.
+ * @param {object} config - Config with `wsUrls`.
+ * @returns {string[]} Every warning; empty if there are none.
+ */
+export function getConfigWarnings(config) {
+  return config.wsUrls
+    .filter(endpoint => endpoint.headers !== undefined && Object.keys(endpoint.headers || {}).length > 0)
+    .map(({ name }) => `WS endpoint '${name}' sets headers, which are ignored: WebSocket connections cannot send custom headers. Put the token in the URL instead.`);
+}
+
+const isNamedUrlEntry = (item) => item && typeof item.name === 'string' && typeof item.url === 'string';
+
+/**
+ * Validates a raw appConfig object and converts it to the shape used throughout the app.
+ * Shared by the browser app and the headless CLI so both accept exactly the same config files.
+ * @param {object} rawConfig - The `appConfig` export of a config file.
+ * @param {object} meta - Extra fields describing where the config came from.
+ * @param {string} meta.network - Network name the config was loaded for (e.g. 'devnet').
+ * @param {string} meta.loadedPath - Path of the config file, for display purposes.
+ * @returns {object} The config with `rpcUrls`, `wsUrls`, `blockEngineUrls`, `network`, `loadedPath` and `schemaVersion`.
+ * @throws {ConfigValidationError} Listing every problem found, if any.
+ */
+export function normalizeAppConfig(rawConfig, { network, loadedPath }) {
+  const problems = [];
+  const {
+    'rpc-urls': rawRpcUrls,
+    'ws-urls': rawWsUrls,
+    'block-engine-urls': rawBlockEngineUrls,
+    endpoints: rawEndpoints,
+    version = CONFIG_SCHEMA_VERSION,
+    ...restOfConfig
+  } = rawConfig;
+
+  if (version !== CONFIG_SCHEMA_VERSION) {
+    problems.push(`Unsupported config version ${JSON.stringify(version)}. This build understands version ${CONFIG_SCHEMA_VERSION}.`);
+  }
+  if (rawRpcUrls === undefined && rawWsUrls === undefined && rawEndpoints === undefined) {
+    problems.push("Configuration must define endpoints, either as 'endpoints' or as 'rpc-urls' and 'ws-urls' arrays.");
+  }
+
+  const rpcUrls = [];
+  const wsUrls = [];
+  const blockEngineUrls = [];
+
+  [['rpc-urls', rawRpcUrls, rpcUrls], ['ws-urls', rawWsUrls, wsUrls], ['block-engine-urls', rawBlockEngineUrls, blockEngineUrls]].forEach(([key, rawList, target]) => {
+    if (rawList === undefined) return;
+    if (!Array.isArray(rawList)) {
+      problems.push(`'${key}' must be an array.`);
+      return;
+    }
+    rawList.forEach((item, index) => {
+      if (!isNamedUrlEntry(item)) {
+        problems.push(`Invalid entry in '${key}' at index ${index}. Each entry must be an object with 'name' and 'url' strings.`);
+        return;
+      }
+      target.push({ ...item });
+    });
+  });
+
+  if (rawEndpoints !== undefined) {
+    if (!Array.isArray(rawEndpoints)) {
+      problems.push("'endpoints' must be an array.");
+    } else {
+      rawEndpoints.forEach((item, index) => {
+        if (!item || typeof item.name !== 'string' || (typeof item.rpcUrl !== 'string' && typeof item.wsUrl !== 'string')) {
+          problems.push(`Invalid entry in 'endpoints' at index ${index}. Each entry must have a 'name' and an 'rpcUrl' and/or 'wsUrl' string.`);
+          return;
+        }
+        // Headers only apply to the RPC URL: WebSocket connections cannot send them (getConfigWarnings reports them on WS-only entries).
+        const { name, rpcUrl, wsUrl, headers, ...endpointOptions } = item;
+        const headerOptions = headers !== undefined ? { headers } : {};
+        if (typeof rpcUrl === 'string') rpcUrls.push({ ...endpointOptions, ...headerOptions, name, url: rpcUrl });
+        if (typeof wsUrl === 'string') wsUrls.push({ ...endpointOptions, ...(typeof rpcUrl === 'string' ? {} : headerOptions), name, url: wsUrl });
+      });
+    }
+  }
+
+  problems.push(...validateRuntimeConfig({ ...restOfConfig, rpcUrls, wsUrls, blockEngineUrls }));
+
+  if (problems.length > 0) {
+    throw new ConfigValidationError(problems);
+  }
+
+  return {
+    ...restOfConfig,
+    rpcUrls: rpcUrls,
+    wsUrls: wsUrls,
+    blockEngineUrls: blockEngineUrls,
+    network: network,
+    loadedPath: loadedPath,
+    schemaVersion: CONFIG_SCHEMA_VERSION
+  };
+}
+
+const SECRET_MASK = '***';
+
+// Path segments that look like API tokens (e.g. https://example.quiknode.pro/<token>/).
+const looksLikeToken = (segment) => segment.length >= 16 && /^[A-Za-z0-9_-]+$/.test(segment) && /\d/.test(segment);
+
+// Names of query parameters and headers that carry credentials (api-key, apiKey, token, auth, x-api-key, ...).
+const CREDENTIAL_NAME_PATTERN = /key|token|auth|secret|pass|credential|session/i;
+
+// Other query parameters (e.g. ?cluster=devnet) are only secret if their value looks like a token, so common words
+// aren't redacted from every log message.
+const isSecretParam = (name, value) => CREDENTIAL_NAME_PATTERN.test(name) || looksLikeToken(value);
+
+// Returns the secret parts of a URL: credentials, credential query parameter values and token-like path segments.
+const getUrlSecrets = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [];
+  }
+  return [
+    decodeURIComponent(parsed.username),
+    decodeURIComponent(parsed.password),
+    ...[...parsed.searchParams].filter(([name, value]) => isSecretParam(name, value)).map(([, value]) => value),
+    ...parsed.pathname.split('/').filter(looksLikeToken),
+  ].filter(secret => secret.length >= 4);
+};
+
+/**
+ * Masks API keys in a URL for display: credentials, credential query parameter values and token-like path segments.
+ * @param {string} url - The endpoint URL.
+ * @returns {string} The URL with secrets replaced by '***' (unchanged if it contains none).
+ */
+export function maskUrl(url) {
+  if (typeof url !== 'string' || getUrlSecrets(url).length === 0) return url;
+  const parsed = new URL(url);
+  const auth = parsed.username || parsed.password ? `${SECRET_MASK}@` : '';
+  const path = parsed.pathname.split('/').map(segment => (looksLikeToken(segment) ? SECRET_MASK : segment)).join('/');
+  const query = [...parsed.searchParams]
+    .map(([name, value]) => `${name}=${isSecretParam(name, value) ? SECRET_MASK : encodeURIComponent(value)}`)
+    .join('&');
+  return `${parsed.protocol}//${auth}${parsed.host}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Copies an endpoint entry with its URL and header values masked, for display, exports and saved runs.
+ * @param {{name: string, url: string, headers?: Object<string, string>}} endpoint
+ * @returns {object}
+ */
+export function maskEndpoint(endpoint) {
+  const masked = { ...endpoint, url: maskUrl(endpoint.url) };
+  if (endpoint.headers && typeof endpoint.headers === 'object') {
+    masked.headers = Object.fromEntries(Object.keys(endpoint.headers).map(headerName => [headerName, SECRET_MASK]));
+  }
+  return masked;
+}
+
+/**
+ * Copies a runtime config without its private key and with every endpoint masked.
+ * @param {object} config - Runtime config ({ privateKey, rpcUrls, wsUrls, blockEngineUrls, ... }).
+ * @returns {object}
+ */
+export function maskConfigSecrets(config) {
+  const masked = {
+    ...config,
+    rpcUrls: (config.rpcUrls || []).map(maskEndpoint),
+    wsUrls: (config.wsUrls || []).map(maskEndpoint),
+    blockEngineUrls: (config.blockEngineUrls || []).map(maskEndpoint),
+  };
+  delete masked.privateKey;
+  return masked;
+}
+
+/**
+ * Collects the secret strings (credential header values and URL tokens) of a list of endpoints.
+ * @param {object[]} endpoints - Endpoint entries ({ url, headers? }).
+ * @returns {string[]} Unique secrets, longest first so overlapping secrets are fully redacted.
+ */
+export function collectEndpointSecrets(endpoints) {
+  const secrets = new Set();
+  endpoints.forEach(endpoint => {
+    getUrlSecrets(endpoint.url).forEach(secret => secrets.add(secret));
+    if (endpoint.headers && typeof endpoint.headers === 'object') {
+      Object.entries(endpoint.headers)
+        .filter(([headerName, value]) => typeof value === 'string' && value.length >= 4 && isSecretParam(headerName, value))
+        .forEach(([, value]) => {
+          secrets.add(value);
+          // Also catch the bare token of 'Bearer <token>' style values.
+          const token = value.split(' ').pop();
+          if (token.length >= 4) secrets.add(token);
+        });
+    }
+  });
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replaces every occurrence of the given secrets in a text with '***'.
+ * @param {string} text - E.g. an event log message.
+ * @param {string[]} secrets - From collectEndpointSecrets.
+ * @returns {string}
+ */
+export function redactSecrets(text, secrets) {
+  if (typeof text !== 'string' || secrets.length === 0) return text;
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(SECRET_MASK), text);
+}
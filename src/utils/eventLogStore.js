@@ -0,0 +1,87 @@
+import { EVENT_LOG_CAPACITY } from './eventLogUtils.js';
+import { redactSecrets } from './configUtils.js';
+
+// Subscribers are notified at most this often, so a burst of log lines re-renders the log views once.
+const NOTIFY_INTERVAL_MS = 100;
+// Once the log is over capacity the oldest entries are dropped this many at a time, so appending stays cheap.
+const TRIM_CHUNK_SIZE = 1000;
+
+/**
+ * Creates the store holding the event log (entries as described in eventLogUtils). It lives outside the app reducer
+ * so that a log line doesn't re-render the whole app: only the log views subscribe to it (useSyncExternalStore).
+ * Entries are appended in place and get their id right away; subscribers are notified at most every
+ * NOTIFY_INTERVAL_MS with a new snapshot { entries, version, droppedCount, endpoints }. `entries` is the live array
+ * (it keeps growing after the snapshot was taken), so views key their memos on `version`.
+ * @returns {object} The store.
+ */
+export function createEventLogStore() {
+  let entries = [];
+  let nextId = 0;
+  let droppedCount = 0;
+  let endpoints = new Set();
+  let secrets = [];
+  let snapshot = { entries, version: 0, droppedCount, endpoints: [] };
+  let notifyTimer = null;
+  const listeners = new Set();
+
+  const notify = () => {
+    clearTimeout(notifyTimer);
+    notifyTimer = null;
+    snapshot = { entries, version: snapshot.version + 1, droppedCount, endpoints: [...endpoints].sort() };
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    /**
+     * Appends an entry. Its message is redacted with the secrets given to setSecrets.
+     * @param {{timestamp: number, message: string, level?: string, eventType?: string, txIndex?: number,
+     *   signature?: string, endpoint?: string}} event
+     */
+    append({ timestamp, message, level = 'info', eventType = 'event', txIndex = null, signature = null, endpoint = null }) {
+      entries.push({ id: nextId++, timestamp, level, eventType, txIndex, signature: signature || null, endpoint, message: redactSecrets(message, secrets) });
+      if (endpoint) endpoints.add(endpoint);
+      if (entries.length > EVENT_LOG_CAPACITY + TRIM_CHUNK_SIZE) {
+        const overflow = entries.length - EVENT_LOG_CAPACITY;
+        entries.splice(0, overflow);
+        droppedCount += overflow;
+      }
+      if (notifyTimer === null) notifyTimer = setTimeout(notify, NOTIFY_INTERVAL_MS);
+    },
+
+    /**
+     * Replaces the log with a saved run's log. Entries saved before entries had ids get their position as id, which
+     * is what the transaction slices of those runs refer to.
+     * @param {Array<object>} savedEntries
+     * @returns {Array<object>} The entries now in the log.
+     */
+    replace(savedEntries) {
+      entries = savedEntries.map((entry, index) => ({ id: index, level: 'info', eventType: 'event', txIndex: null, signature: null, endpoint: null, ...entry }));
+      nextId = entries.length > 0 ? Math.max(nextId, entries[entries.length - 1].id + 1) : nextId;
+      droppedCount = 0;
+      endpoints = new Set(entries.map(entry => entry.endpoint).filter(Boolean));
+      notify();
+      return entries;
+    },
+
+    /** @returns {number} The id the next entry will get. */
+    getNextId: () => nextId,
+
+    /**
+     * @param {number} id
+     * @returns {Array<object>} A copy of the entries with an id of at least `id`, e.g. those of a run.
+     */
+    entriesFrom: (id) => entries.filter(entry => entry.id >= id),
+
+    /** @param {string[]} logSecrets - From collectEndpointSecrets. */
+    setSecrets(logSecrets) {
+      secrets = logSecrets;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot: () => snapshot,
+  };
+}
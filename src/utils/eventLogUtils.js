@@ -0,0 +1,94 @@
+// Event log entries have the shape { id, timestamp, level, eventType, txIndex, signature, endpoint, message }:
+// id increases by one per entry (also across runs), level is one of EVENT_LOG_LEVELS, eventType names what happened
+// (e.g. 'send', 'ws-notification', 'console' for forwarded console output), and txIndex, signature and endpoint are
+// null unless the entry is about a transaction or endpoint.
+
+export const EVENT_LOG_LEVELS = ['info', 'warn', 'error'];
+
+// The event log keeps only the most recent entries, so long runs (and monitor mode) don't grow it without bound.
+// See createEventLogStore in eventLogStore.js.
+export const EVENT_LOG_CAPACITY = 10000;
+
+/**
+ * Returns the event log lines that belong to one transaction.
+ * Lines tagged with its signature belong to it from the start of its slice of the log (eventLogSliceStart) on, since
+ * signatures are unique; e.g. late WS notifications are logged after it settled. Other lines are only considered
+ * inside the slice (ids eventLogSliceStart..eventLogSliceEnd): lines tagged with its transaction index belong to it,
+ * and untagged lines (e.g. forwarded console messages) if they name its position ("Tx 3/10") or the start of its
+ * signature, since concurrent transactions log in between. A transaction that failed before it had a signature ('N/A')
+ * only gets the lines of its slice tagged with its transaction index or naming its position.
+ * @param {Array<object>} eventLog - Event log entries (see above). Entries of logs saved before entries had ids are
+ *   identified by their position.
+ * @param {object} txData - An allTransactionResults entry.
+ * @returns {Array<object>} The transaction's lines, in log order.
+ */
+export function selectTransactionEventLog(eventLog, txData) {
+  if (!eventLog || typeof txData.eventLogSliceStart !== 'number') return [];
+  const sliceEnd = typeof txData.eventLogSliceEnd === 'number' ? txData.eventLogSliceEnd : Infinity;
+  const positionPattern = new RegExp(`\\b(Tx|transaction) ${txData.txIndex + 1}(/\\d+)?(?![\\d/])`, 'i');
+  const hasSignature = Boolean(txData.signature) && txData.signature !== 'N/A';
+  const signaturePrefix = hasSignature ? txData.signature.substring(0, 6) : null;
+  return eventLog.filter((entry, index) => {
+    const id = entry.id ?? index;
+    if (id < txData.eventLogSliceStart) return false;
+    if (entry.signature && hasSignature) return entry.signature === txData.signature;
+    if (id >= sliceEnd) return false;
+    if (typeof entry.txIndex === 'number') return entry.txIndex === txData.txIndex;
+    return positionPattern.test(entry.message) || (signaturePrefix !== null && entry.message.includes(signaturePrefix));
+  });
+}
+
+/**
+ * Filters event log entries by the event log view's filters.
+ * @param {Array<object>} eventLog - Event log entries.
+ * @param {{level: string, endpoint: string, txNumber: string, search: string}} filters - 'all' (or an empty string)
+ *   disables a filter. txNumber is the 1-based transaction number; search matches the message, case-insensitively.
+ * @returns {Array<object>} The matching entries.
+ */
+export function filterEventLog(eventLog, { level, endpoint, txNumber, search }) {
+  const txIndex = txNumber.trim() === '' ? null : Number(txNumber) - 1;
+  const searchText = search.trim().toLowerCase();
+  return eventLog.filter(entry => (level === 'all' || (entry.level || 'info') === level)
+    && (endpoint === 'all' || entry.endpoint === endpoint)
+    && (txIndex === null || entry.txIndex === txIndex)
+    && (searchText === '' || entry.message.toLowerCase().includes(searchText)));
+}
+
+/**
+ * Creates a filterEventLog for a growing log: as long as the filters and the log array are the same as in the last
+ * call, only the entries appended since then are examined, and matches of entries dropped from the front are removed.
+ * @returns {function(Array<object>, object): Array<object>} Takes the log and the filters (see filterEventLog) and
+ *   returns the matching entries. The returned array is reused and updated in place by later calls.
+ */
+export function createIncrementalEventLogFilter() {
+  let lastEventLog = null;
+  let lastFilters = null;
+  let lastId = -Infinity;
+  let matches = [];
+  return (eventLog, filters) => {
+    if (eventLog !== lastEventLog || filters !== lastFilters) {
+      matches = filterEventLog(eventLog, filters);
+    } else {
+      let firstNew = eventLog.length;
+      while (firstNew > 0 && eventLog[firstNew - 1].id > lastId) firstNew--;
+      if (firstNew < eventLog.length) matches.push(...filterEventLog(eventLog.slice(firstNew), filters));
+      const firstId = eventLog.length > 0 ? eventLog[0].id : Infinity;
+      let dropped = 0;
+      while (dropped < matches.length && matches[dropped].id < firstId) dropped++;
+      if (dropped > 0) matches.splice(0, dropped);
+    }
+    lastEventLog = eventLog;
+    lastFilters = filters;
+    lastId = eventLog.length > 0 ? eventLog[eventLog.length - 1].id : lastId;
+    return matches;
+  };
+}
+
+/**
+ * Formats event log entries as NDJSON: one JSON object per line, with the timestamp also as an ISO string.
+ * @param {Array<object>} eventLog - Event log entries.
+ * @returns {string} The NDJSON text.
+ */
+export function buildEventLogNdjson(eventLog) {
+  return eventLog.map(entry => JSON.stringify({ time: new Date(entry.timestamp).toISOString(), ...entry })).join('\n') + '\n';
+}
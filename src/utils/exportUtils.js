@@ -0,0 +1,266 @@
+const CSV_COLUMNS = [
+  'txIndex',
+  'signature',
+  'txCreatedAt',
+  'txSentAt',
+  'txFirstConfirmedAt',
+  'txFirstConfirmedBy',
+  'computeUnitPriceMicroLamports',
+  'txError',
+  'txExpiredAt',
+  'txStoppedAt',
+  'endpointType',
+  'endpointName',
+  'status',
+  'endpointTimestamp',
+  'durationMs',
+  'slot',
+  'endpointError',
+];
+
+const toIsoOrEmpty = (ts) => (ts ? new Date(ts).toISOString() : '');
+
+// Quotes a value when it contains a delimiter, quote or newline (RFC 4180).
+const escapeCsvValue = (value) => {
+  if (value === null || typeof value === 'undefined') return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Flattens transaction results into CSV with one row per transaction × endpoint.
+ * RPC rows (and rpc-resend rows for rebroadcast rounds) carry the send timestamp and send duration; RPC rows also carry
+ * the endpoint's slot at send time. WS rows carry the confirmation timestamp and the duration from send to WS signal.
+ * ws-logs/ws-account/ws-block rows (alternative WS channels) and poll rows (getSignatureStatuses) carry the detection
+ * timestamp and the duration from send.
+ * The txIndex column is 1-based (the JSON export's txIndex + 1), as it always was in the CSV; it is taken from the
+ * transaction rather than its row, so it still identifies the transaction when some are missing (rolling window).
+ * @param {object[]} allTransactionResults - Entries as stored in allTransactionResults.
+ * @returns {string} CSV text including a header row.
+ */
+export function buildResultsCsv(allTransactionResults) {
+  const rows = [CSV_COLUMNS];
+
+  (allTransactionResults || []).forEach(txData => {
+    const txColumns = [
+      txData.txIndex + 1,
+      txData.signature,
+      toIsoOrEmpty(txData.createdAt),
+      toIsoOrEmpty(txData.sentAt),
+      toIsoOrEmpty(txData.firstWsConfirmedAt),
+      txData.firstConfirmedByEndpointName,
+      txData.computeUnitPriceMicroLamports,
+      txData.error,
+      toIsoOrEmpty(txData.expiredAt),
+      toIsoOrEmpty(txData.stoppedAt),
+    ];
+
+    (txData.rpcSendResults || []).forEach(rpcResult => {
+      rows.push([
+        ...txColumns,
+        rpcResult.endpointType || 'rpc',
+        rpcResult.name,
+        rpcResult.status,
+        toIsoOrEmpty(rpcResult.sentAt),
+        rpcResult.sendDuration,
+        rpcResult.slotAtSend,
+        rpcResult.error ? rpcResult.error.message : '',
+      ]);
+    });
+
+    ((txData.rebroadcast && txData.rebroadcast.attempts) || []).forEach(attempt => {
+      rows.push([
+        ...txColumns,
+        'rpc-resend',
+        attempt.name,
+        `Round ${attempt.round}: ${attempt.error ? 'Send Error' : 'Sent'}`,
+        toIsoOrEmpty(attempt.sentAt),
+        attempt.sendDuration,
+        '',
+        attempt.error ? attempt.error.message : '',
+      ]);
+    });
+
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      rows.push([
+        ...txColumns,
+        'ws',
+        wsResult.name,
+        wsResult.status,
+        toIsoOrEmpty(wsResult.confirmedAt),
+        wsResult.wsDuration,
+        wsResult.slot,
+        wsResult.error ? wsResult.error.message : '',
+      ]);
+      Object.entries(wsResult.channels || {}).forEach(([channel, channelResult]) => {
+        rows.push([
+          ...txColumns,
+          `ws-${channel}`,
+          wsResult.name,
+          channelResult.status,
+          toIsoOrEmpty(channelResult.detectedAt),
+          channelResult.duration,
+          channelResult.slot,
+          channelResult.error ? channelResult.error.message : '',
+        ]);
+      });
+    });
+
+    (txData.pollConfirmationResults || []).forEach(pollResult => {
+      rows.push([
+        ...txColumns,
+        'poll',
+        pollResult.name,
+        pollResult.status,
+        toIsoOrEmpty(pollResult.detectedAt),
+        pollResult.pollDuration,
+        pollResult.slot,
+        pollResult.error ? pollResult.error.message : '',
+      ]);
+    });
+
+    // Keep transactions that never reached any endpoint visible in the export.
+    if (!(txData.rpcSendResults || []).length && !(txData.wsConfirmationResults || []).length) {
+      rows.push([...txColumns, '', '', '', '', '', '', '']);
+    }
+  });
+
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\n') + '\n';
+}
+
+// Error instances serialize to {} by default, so keep their message.
+const errorReplacer = (key, value) => (value instanceof Error ? { message: value.message } : value);
+
+/**
+ * Returns a deep copy of the results with Error instances replaced by { message }, safe to store or clone.
+ * @param {object[]} allTransactionResults - Entries as stored in allTransactionResults.
+ * @returns {object[]}
+ */
+export function toPlainResults(allTransactionResults) {
+  return JSON.parse(JSON.stringify(allTransactionResults || [], errorReplacer));
+}
+
+/**
+ * Serializes a run to the JSON results format shared by the app's export and the CLI's output.
+ * @param {object[]} allTransactionResults - Entries as stored in allTransactionResults.
+ * @param {object} meta - Run metadata.
+ * @param {string} meta.network - Network the run was made against.
+ * @param {string} [meta.configPath] - Config file the run used.
+ * @param {number} [meta.startedAt] - Timestamp when the run started.
+ * @param {number} [meta.finishedAt] - Timestamp when the run finished.
+ * @param {object} [meta.leaderboard] - Optional precomputed per-endpoint statistics.
+ * @returns {string} Pretty printed JSON text.
+ */
+export function buildResultsJson(allTransactionResults, { network, configPath, startedAt, finishedAt, leaderboard }) {
+  return JSON.stringify({
+    network,
+    configPath,
+    startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+    finishedAt: finishedAt ? new Date(finishedAt).toISOString() : null,
+    transactions: allTransactionResults,
+    leaderboard,
+  }, errorReplacer, 2) + '\n';
+}
+
+/**
+ * Parses a results file previously written by buildResultsJson. Transactions of files written before the CLI recorded
+ * txIndex get their position as txIndex.
+ * @param {string} text - Contents of the results file.
+ * @returns {{network: string, configPath: string | null, startedAt: string | null, transactions: object[]}}
+ * @throws {Error} If the text is not valid JSON or has no transactions array.
+ */
+export function parseResultsJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Results file is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || !Array.isArray(parsed.transactions)) {
+    throw new Error("Results file is missing the 'transactions' array.");
+  }
+  return {
+    network: parsed.network || 'devnet',
+    configPath: parsed.configPath || null,
+    startedAt: parsed.startedAt || null,
+    transactions: parsed.transactions.map((txData, index) => ({ txIndex: index, ...txData })),
+  };
+}
+
+// Triggers a browser download of a Blob.
+const downloadBlob = (fileName, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Triggers a browser download of the given text.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} text - File contents.
+ * @param {string} mimeType - MIME type of the file.
+ */
+export function downloadTextFile(fileName, text, mimeType) {
+  downloadBlob(fileName, new Blob([text], { type: mimeType }));
+}
+
+/**
+ * Serializes a rendered chart to a standalone SVG document. On-page sizing styles are dropped so the file
+ * uses the chart's own width and height.
+ * @param {SVGSVGElement} svgElement - The chart's <svg> element.
+ * @returns {string} SVG markup.
+ */
+export function serializeSvgElement(svgElement) {
+  const clone = svgElement.cloneNode(true);
+  clone.removeAttribute('style');
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+}
+
+/**
+ * Downloads a rendered chart as an SVG file.
+ * @param {SVGSVGElement} svgElement - The chart's <svg> element.
+ * @param {string} fileName - Suggested file name.
+ */
+export function downloadSvgElement(svgElement, fileName) {
+  downloadTextFile(fileName, serializeSvgElement(svgElement), 'image/svg+xml');
+}
+
+/**
+ * Rasterizes a rendered chart and downloads it as a PNG file.
+ * @param {SVGSVGElement} svgElement - The chart's <svg> element (must have width and height attributes).
+ * @param {string} fileName - Suggested file name.
+ * @param {number} [scale] - Pixel density multiplier (default 2).
+ * @returns {Promise<void>}
+ * @throws {Error} If the browser cannot render the SVG to a canvas.
+ */
+export async function downloadSvgElementAsPng(svgElement, fileName, scale = 2) {
+  const width = Number(svgElement.getAttribute('width'));
+  const height = Number(svgElement.getAttribute('height'));
+  const svgUrl = URL.createObjectURL(new Blob([serializeSvgElement(svgElement)], { type: 'image/svg+xml' }));
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The chart could not be rendered as an image.'));
+      img.src = svgUrl;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    const pngBlob = await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart could not be encoded as PNG.'))), 'image/png');
+    });
+    downloadBlob(fileName, pngBlob);
+  } finally {
+    URL.revokeObjectURL(svgUrl);
+  }
+}
@@ -0,0 +1,100 @@
+const STORAGE_KEY = 'solana-tx-tracker.profiles';
+
+// Networks a profile can target. Every network except 'custom' can be seeded from config/<network>.appConfig.js.
+export const PROFILE_NETWORKS = ['mainnet', 'devnet', 'testnet', 'localnet', 'custom'];
+export const SEEDABLE_NETWORKS = PROFILE_NETWORKS.filter(network => network !== 'custom');
+
+/**
+ * Reads the stored profiles from localStorage.
+ * @returns {{profiles: object[], activeProfileId: string | null, seededNetworks: string[]}}
+ */
+export function loadProfiles() {
+  const empty = { profiles: [], activeProfileId: null, seededNetworks: [] };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored || !Array.isArray(stored.profiles)) return empty;
+    return {
+      profiles: stored.profiles,
+      activeProfileId: stored.activeProfileId || null,
+      seededNetworks: Array.isArray(stored.seededNetworks) ? stored.seededNetworks : [],
+    };
+  } catch (error) {
+    console.warn(`Ignoring unreadable stored profiles: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Writes profiles to localStorage.
+ * @param {{profiles: object[], activeProfileId: string | null, seededNetworks: string[]}} profileState
+ */
+export function saveProfiles({ profiles, activeProfileId, seededNetworks }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, profiles, activeProfileId, seededNetworks }));
+}
+
+/**
+ * Creates a profile with a unique id.
+ * @param {string} name - Display name.
+ * @param {string} network - One of PROFILE_NETWORKS.
+ * @param {{rpcUrls?: object[], wsUrls?: object[], blockEngineUrls?: object[]}} [endpoints] - Initial endpoints ({ name, url }); all start enabled.
+ * @returns {object} { id, name, network, privateKey, tipAccount, rpcUrls, wsUrls, blockEngineUrls }
+ */
+export function createProfile(name, network, { rpcUrls = [], wsUrls = [], blockEngineUrls = [] } = {}) {
+  return {
+    id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    network,
+    privateKey: '', // Empty means: use the private key of config/<network>.appConfig.js
+    tipAccount: '', // Empty means: use the tip account of config/<network>.appConfig.js
+    rpcUrls: rpcUrls.map(endpoint => ({ ...endpoint, enabled: endpoint.enabled !== false })),
+    wsUrls: wsUrls.map(endpoint => ({ ...endpoint, enabled: endpoint.enabled !== false })),
+    blockEngineUrls: blockEngineUrls.map(endpoint => ({ ...endpoint, enabled: endpoint.enabled !== false })),
+  };
+}
+
+/**
+ * Adds a profile for every loaded file config whose network has never been seeded before.
+ * Seeds are only created once, so deleting a seeded profile is permanent.
+ * @param {{profiles: object[], activeProfileId: string | null, seededNetworks: string[]}} profileState
+ * @param {Object<string, object>} fileConfigs - Normalized file configs keyed by network.
+ * @returns {{profiles: object[], activeProfileId: string | null, seededNetworks: string[]}}
+ */
+export function seedProfilesFromFileConfigs(profileState, fileConfigs) {
+  const profiles = [...profileState.profiles];
+  const seededNetworks = [...profileState.seededNetworks];
+  Object.entries(fileConfigs).forEach(([network, fileConfig]) => {
+    if (seededNetworks.includes(network)) return;
+    profiles.push(createProfile(network, network, fileConfig));
+    seededNetworks.push(network);
+  });
+  return { ...profileState, profiles, seededNetworks };
+}
+
+/**
+ * Builds the runtime config (same shape as a normalized file config) for a profile.
+ * Only enabled endpoints are included. Other settings of the file config for the same network are kept.
+ * @param {object | undefined} profile - The active profile.
+ * @param {Object<string, object>} fileConfigs - Normalized file configs keyed by network.
+ * @returns {object | null} The config, or null if there is no profile.
+ */
+export function resolveProfileConfig(profile, fileConfigs) {
+  if (!profile) return null;
+  const fileConfig = fileConfigs[profile.network] || {};
+  const stripEnabled = (endpoint) => {
+    const runtimeEndpoint = { ...endpoint };
+    delete runtimeEndpoint.enabled;
+    return runtimeEndpoint;
+  };
+  return {
+    ...fileConfig,
+    privateKey: profile.privateKey || fileConfig.privateKey || null,
+    tipAccount: profile.tipAccount || fileConfig.tipAccount || null,
+    rpcUrls: profile.rpcUrls.filter(endpoint => endpoint.enabled).map(stripEnabled),
+    wsUrls: profile.wsUrls.filter(endpoint => endpoint.enabled).map(stripEnabled),
+    // Profiles stored before block engine endpoints existed have none.
+    blockEngineUrls: (profile.blockEngineUrls || []).filter(endpoint => endpoint.enabled).map(stripEnabled),
+    network: profile.network,
+    profileId: profile.id,
+    loadedPath: `profile "${profile.name}"`,
+  };
+}
@@ -0,0 +1,138 @@
+const DB_NAME = 'solana-tx-tracker';
+const DB_VERSION = 2;
+const RUNS_STORE = 'runs';
+// One small record per run with what the history list shows, so listing runs doesn't load every run's results and log.
+const SUMMARIES_STORE = 'runSummaries';
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise.
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// The run history list entry of a saved run.
+const summarizeRun = ({ transactions, eventLog, configSnapshot, ...summary }) => ({
+  ...summary,
+  endpointCount: configSnapshot ? (configSnapshot.rpcUrls || []).length + (configSnapshot.wsUrls || []).length : 0,
+  transactionCount: (transactions || []).length,
+  failedCount: (transactions || []).filter(tx => tx.error).length,
+  eventCount: (eventLog || []).length,
+});
+
+/**
+ * Opens (and on first use creates) the run history database. The connection is cached.
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available in this browser.
+ */
+export function openRunHistoryDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(RUNS_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('savedAt', 'savedAt');
+      }
+      if (event.oldVersion < 2) {
+        const summaries = db.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+        // Runs saved before summaries existed get theirs now, one run at a time.
+        request.transaction.objectStore(RUNS_STORE).openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (cursor) {
+            summaries.put(summarizeRun(cursor.value));
+            cursor.continue();
+          }
+        };
+      }
+    };
+    dbPromise = promisifyRequest(request).catch(error => {
+      dbPromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openRunHistoryDb();
+  return promisifyRequest(callback(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+// Writes a run and its summary in one transaction. The callback gets both stores and returns the request whose
+// result is resolved once the transaction has committed.
+const withRunAndSummaryStores = async (callback) => {
+  const db = await openRunHistoryDb();
+  const transaction = db.transaction([RUNS_STORE, SUMMARIES_STORE], 'readwrite');
+  const request = callback(transaction.objectStore(RUNS_STORE), transaction.objectStore(SUMMARIES_STORE));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onabort = () => reject(transaction.error); // A failed request aborts the transaction
+  });
+};
+
+/**
+ * Saves a completed run.
+ * @param {object} run - { label, network, configSnapshot, startedAt, finishedAt, transactions, eventLog, stopped }.
+ * @returns {Promise<number>} The id of the saved run.
+ */
+export function saveRun(run) {
+  const savedRun = { ...run, savedAt: Date.now() };
+  return withRunAndSummaryStores((runs, summaries) => {
+    const request = runs.add(savedRun);
+    request.onsuccess = () => summaries.put(summarizeRun({ ...savedRun, id: request.result }));
+    return request;
+  });
+}
+
+/**
+ * Lists saved runs, newest first, from their summaries; use getRun for a run's results and event log.
+ * @returns {Promise<object[]>} Summaries: { id, label, network, savedAt, startedAt, endpointCount, transactionCount, failedCount, eventCount }.
+ */
+export async function listRuns() {
+  const summaries = await withStore(SUMMARIES_STORE, 'readonly', store => store.getAll());
+  return summaries.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Loads a saved run including its results and event log.
+ * @param {number} id - Run id.
+ * @returns {Promise<object | undefined>}
+ */
+export function getRun(id) {
+  return withStore(RUNS_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Changes the label of a saved run.
+ * @param {number} id - Run id.
+ * @param {string} label - New label (empty to clear).
+ * @returns {Promise<void>}
+ * @throws {Error} If the run does not exist.
+ */
+export async function renameRun(id, label) {
+  const run = await getRun(id);
+  if (!run) {
+    throw new Error(`Run ${id} not found.`);
+  }
+  await withRunAndSummaryStores((runs, summaries) => {
+    summaries.put(summarizeRun({ ...run, label }));
+    return runs.put({ ...run, label });
+  });
+}
+
+/**
+ * Deletes a saved run.
+ * @param {number} id - Run id.
+ * @returns {Promise<void>}
+ */
+export async function deleteRun(id) {
+  await withRunAndSummaryStores((runs, summaries) => {
+    summaries.delete(id);
+    return runs.delete(id);
+  });
+}
@@ -1,6 +1,35 @@
-import { Keypair, Connection, SystemProgram, Transaction, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Keypair, Connection, PublicKey, SystemProgram, Transaction, VersionedTransaction, ComputeBudgetProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
 import bs58 from 'bs58';
 
+// Commitment levels in the order a transaction reaches them.
+export const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// Rebroadcast policies, see startRebroadcast. 'off' sends every transaction once.
+export const REBROADCAST_MODES = ['off', 'interval', 'backoff'];
+
+// JSON-RPC methods a block engine endpoint can be sent to, see sendTransactionToBlockEngine.
+export const BLOCK_ENGINE_METHODS = ['sendTransaction', 'sendBundle'];
+
+// How the RPC endpoints to send a transaction to are chosen, see selectSendEndpoints. 'off' sends to every endpoint.
+export const SEND_ISOLATION_MODES = ['off', 'rotate', 'random'];
+
+// Alternative WebSocket confirmation channels, each timed separately from signatureSubscribe:
+// logsSubscribe mentioning the fee payer, accountSubscribe on the fee payer and blockSubscribe mentioning the fee payer.
+export const CONFIRMATION_CHANNELS = ['logs', 'account', 'block'];
+
+// Status reported by subscriptions and pollers whose transaction's blockhash expired before it landed.
+export const EXPIRED_STATUS = 'Expired (dropped)';
+
+// Status of results whose subscription or poller was stopped before it reported, because the run was stopped.
+export const STOPPED_STATUS = 'Stopped';
+
+// Status of results that never reported because the watched transaction had landed before watching started
+// (endpoints don't necessarily notify about transactions that are already confirmed).
+export const NOT_NOTIFIED_STATUS = 'Not notified (landed before watching)';
+
+// Upper bound for the wait between block height checks of watchBlockhashExpiry while expiry is still far away.
+const MAX_EXPIRY_CHECK_DELAY_MS = 10000;
+
 /**
  * Parses a private key string (either Base58 encoded or a JSON stringified byte array)
  * into a Uint8Array.
@@ -32,31 +61,70 @@ export function parsePrivateKey(privateKeyInput) {
   throw new Error('Invalid private key type. Expected string or array of numbers.');
 }
 
+/**
+ * Creates a Connection to an RPC endpoint that sends the endpoint's custom headers (e.g. API keys) with every HTTP request.
+ * @param {{url: string, headers?: Object<string, string>}} rpcEndpoint - RPC endpoint entry from the config.
+ * @param {object} [options]
+ * @param {string} [options.commitment] - Default commitment (default 'confirmed').
+ * @param {string} [options.wsEndpoint] - WebSocket URL for subscriptions; derived from the RPC URL when omitted.
+ * @returns {Connection}
+ */
+export function createEndpointConnection(rpcEndpoint, { commitment = 'confirmed', wsEndpoint } = {}) {
+  return new Connection(rpcEndpoint.url, { commitment, wsEndpoint, httpHeaders: rpcEndpoint.headers });
+}
+
 /**
  * Creates and signs a simple Solana transfer transaction.
  * @param {Connection} connection - Solana Connection object.
  * @param {Keypair} sourceKeypair - The keypair of the source/feePayer account.
- * @returns {Promise<{transaction: Transaction, signature: string, createdAt: number}>}
+ * @param {object} [options] - Optional compute budget settings.
+ * @param {number} [options.computeUnitLimit] - Adds a SetComputeUnitLimit instruction when set.
+ * @param {number} [options.computeUnitPriceMicroLamports] - Adds a SetComputeUnitPrice (priority fee) instruction when set.
+ * @param {number} [options.lamports] - Amount of the self-transfer (default 100). Vary it to keep transactions created
+ *                                      from the same blockhash distinct; identical transactions share a signature.
+ * @param {{account: string, lamports: number}} [options.tip] - Adds a transfer of `lamports` to the tip `account`
+ *                                      (base58), as block engines require for bundles. Skipped when lamports is 0.
+ * @returns {Promise<{transaction: Transaction, signature: string, createdAt: number, lastValidBlockHeight: number}>}
+ *          lastValidBlockHeight is the last block height at which the transaction's blockhash is still valid.
  * @throws {Error} If any step in transaction creation or signing fails.
  */
-export async function createSimpleTransferTransaction(connection, sourceKeypair) {
+export async function createSimpleTransferTransaction(connection, sourceKeypair, options = {}) {
   if (!connection || !sourceKeypair) {
     throw new Error('Connection and sourceKeypair must be provided.');
   }
 
-  const lamportsToSend = 100;
+  const lamportsToSend = options.lamports || 100;
   const createdAt = Date.now();
 
   try {
-    const { blockhash } = await connection.getLatestBlockhash('confirmed');
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
 
-    const transaction = new Transaction().add(
+    const transaction = new Transaction();
+
+    // Compute budget instructions must come before the instructions they apply to.
+    if (options.computeUnitLimit) {
+      transaction.add(ComputeBudgetProgram.setComputeUnitLimit({ units: options.computeUnitLimit }));
+    }
+    if (options.computeUnitPriceMicroLamports) {
+      transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: options.computeUnitPriceMicroLamports }));
+    }
+
+    transaction.add(
       SystemProgram.transfer({
         fromPubkey: sourceKeypair.publicKey,
         toPubkey: sourceKeypair.publicKey, // Sending to self
         lamports: lamportsToSend,
       })
     );
+    if (options.tip && options.tip.lamports > 0) {
+      transaction.add(
+        SystemProgram.transfer({
+          fromPubkey: sourceKeypair.publicKey,
+          toPubkey: new PublicKey(options.tip.account),
+          lamports: options.tip.lamports,
+        })
+      );
+    }
 
     transaction.recentBlockhash = blockhash;
     transaction.feePayer = sourceKeypair.publicKey;
@@ -82,7 +150,8 @@ export async function createSimpleTransferTransaction(connection, sourceKeypair)
     return {
       transaction, // The fully signed Transaction object
       signature,     // The base58 encoded signature string
-      createdAt      // Timestamp of creation
+      createdAt,     // Timestamp of creation
+      lastValidBlockHeight
     };
   } catch (error) {
     console.error("Error creating transfer transaction:", error);
@@ -90,27 +159,104 @@ export async function createSimpleTransferTransaction(connection, sourceKeypair)
   }
 }
 
+// btoa/atob work on binary strings; they exist in browsers and Node, unlike Buffer.
+const encodeBase64 = (bytes) => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+const decodeBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+
+/**
+ * Parses a serialized, signed transaction (legacy or versioned) as pasted or uploaded by the user, so it can be sent
+ * and tracked like a generated one. The encoding is detected: base58 if the text only has base58 characters and
+ * decodes to a transaction, base64 otherwise.
+ * @param {string} text - The base64 or base58 encoded transaction. Surrounding whitespace is ignored.
+ * @returns {{serializedTransaction: Uint8Array, signature: string, feePayer: PublicKey, version: 'legacy' | number, encoding: 'base58' | 'base64'}}
+ *          signature is the fee payer's (first) signature, base58 encoded, which identifies the transaction.
+ * @throws {Error} If the text is not a transaction in either encoding, or if signatures are missing.
+ */
+export function parseSignedTransaction(text) {
+  const input = text.trim();
+  if (input === '') {
+    throw new Error('No transaction given.');
+  }
+  const candidates = BASE58_PATTERN.test(input) ? ['base58', 'base64'] : ['base64'];
+  let transaction = null;
+  let encoding;
+  let serializedTransaction;
+  for (const candidate of candidates) {
+    try {
+      serializedTransaction = candidate === 'base58' ? bs58.decode(input) : decodeBase64(input);
+      // VersionedTransaction also reads legacy transactions (their message has no version prefix).
+      transaction = VersionedTransaction.deserialize(serializedTransaction);
+      encoding = candidate;
+      break;
+    } catch {
+      transaction = null;
+    }
+  }
+  if (!transaction) {
+    throw new Error('Not a serialized transaction in base64 or base58.');
+  }
+  const missingSignatures = transaction.signatures.filter(signature => signature.every(byte => byte === 0)).length;
+  if (transaction.signatures.length === 0 || missingSignatures > 0) {
+    throw new Error(`The transaction is not fully signed: ${missingSignatures || 'all'} of its ${transaction.message.header.numRequiredSignatures} required signature(s) are missing.`);
+  }
+  return {
+    serializedTransaction,
+    signature: bs58.encode(transaction.signatures[0]),
+    feePayer: transaction.message.staticAccountKeys[0],
+    version: transaction.version,
+    encoding,
+  };
+}
+
+/**
+ * Chooses the endpoints (RPC and block engine) a transaction is sent to. In isolation modes every transaction goes
+ * to exactly one endpoint, so landing rate and latency can be attributed to that endpoint.
+ * @param {object[]} sendEndpoints - Configured endpoints ({ name, url }).
+ * @param {'off' | 'rotate' | 'random'} isolationMode - 'rotate' cycles through the endpoints by txIndex, 'random' picks one at random.
+ * @param {number} txIndex - Index of the transaction within the run.
+ * @returns {object[]} The endpoints to send to.
+ */
+export function selectSendEndpoints(sendEndpoints, isolationMode, txIndex) {
+  if (isolationMode === 'rotate') return [sendEndpoints[txIndex % sendEndpoints.length]];
+  if (isolationMode === 'random') return [sendEndpoints[Math.floor(Math.random() * sendEndpoints.length)]];
+  return sendEndpoints;
+}
+
 /**
  * Sends a serialized transaction to a given RPC endpoint.
- * @param {Connection} connection - Solana Connection object for the specific endpoint.
- * @param {Buffer} serializedTransaction - The serialized transaction.
+ * @param {Connection} connection - Solana Connection object for the specific endpoint (see createEndpointConnection for custom headers).
+ * @param {Buffer|Uint8Array} serializedTransaction - The serialized transaction.
  * @param {string} endpointName - Name of the endpoint for logging/reporting.
- * @returns {Promise<{sentAt: number, sendDuration: number, rpcSignatureOrError: string | Error}>}
+ * @param {object} [options]
+ * @param {boolean} [options.recordSlot=false] - Also ask the endpoint for its current (processed) slot, in parallel with
+ *                                               the send so the send duration is unaffected. Reported as slotAtSend.
+ * @returns {Promise<{sentAt: number, sendDuration: number, rpcSignatureOrError: string | Error, slotAtSend?: number | null}>}
+ *          slotAtSend is only present with recordSlot, and null if getSlot failed.
  */
-export async function sendTransactionToRpc(connection, serializedTransaction, endpointName) {
+export async function sendTransactionToRpc(connection, serializedTransaction, endpointName, { recordSlot = false } = {}) {
   const sentAt = Date.now();
   let sendDuration;
   let rpcSignatureOrError;
 
+  const sendPromise = connection.sendRawTransaction(
+    serializedTransaction,
+    {
+      skipPreflight: true,
+      preflightCommitment: 'confirmed',
+      maxRetries: 0,
+    }
+  );
+  const slotPromise = recordSlot
+    ? connection.getSlot('processed').catch(error => {
+      console.warn(`Could not get the slot at send time from ${endpointName}: ${error.message}`);
+      return null;
+    })
+    : null;
+
   try {
-    const signature = await connection.sendRawTransaction(
-      serializedTransaction,
-      {
-        skipPreflight: true,
-        preflightCommitment: 'confirmed',
-        maxRetries: 0,
-      }
-    );
+    const signature = await sendPromise;
     sendDuration = Date.now() - sentAt;
     rpcSignatureOrError = signature;
     console.log(`Successfully sent to ${endpointName}. Duration: ${sendDuration}ms`);
@@ -119,19 +265,161 @@ export async function sendTransactionToRpc(connection, serializedTransaction, en
     rpcSignatureOrError = error;
     console.error(`Error sending to ${endpointName}: ${error.message}, Duration: ${sendDuration}ms`);
   }
+  if (slotPromise) {
+    return { endpointName, sentAt, sendDuration, rpcSignatureOrError, slotAtSend: await slotPromise };
+  }
+  return { endpointName, sentAt, sendDuration, rpcSignatureOrError };
+}
+
+/**
+ * Sends a serialized transaction to a block engine style endpoint (e.g. Jito) with a plain JSON-RPC POST, either as
+ * `sendTransaction` or as a single-transaction `sendBundle`. The result has the same shape as sendTransactionToRpc
+ * so both kinds of endpoints can be compared in the same reports.
+ * @param {{url: string, method?: string, headers?: Object<string, string>}} blockEngineEndpoint - Block engine endpoint
+ *        entry from the config. `method` is one of BLOCK_ENGINE_METHODS (default 'sendTransaction').
+ * @param {Buffer|Uint8Array} serializedTransaction - The signed, serialized transaction.
+ * @param {string} endpointName - Name of the endpoint for logging/reporting.
+ * @returns {Promise<{sentAt: number, sendDuration: number, rpcSignatureOrError: string | Error}>} On success
+ *          rpcSignatureOrError is the transaction signature (sendTransaction) or the bundle id (sendBundle).
+ */
+export async function sendTransactionToBlockEngine(blockEngineEndpoint, serializedTransaction, endpointName) {
+  const method = blockEngineEndpoint.method || 'sendTransaction';
+  const encodedTransaction = encodeBase64(serializedTransaction);
+  const params = method === 'sendBundle'
+    ? [[encodedTransaction], { encoding: 'base64' }]
+    : [encodedTransaction, { encoding: 'base64' }];
+  const sentAt = Date.now();
+  let rpcSignatureOrError;
+
+  try {
+    const response = await fetch(blockEngineEndpoint.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...blockEngineEndpoint.headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+    const body = await response.json().catch(() => null);
+    if (body && body.error) {
+      throw new Error(`${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+    if (!response.ok || !body || typeof body.result !== 'string') {
+      throw new Error(`${method} failed: HTTP ${response.status}${body ? '' : ' (no JSON-RPC response)'}`);
+    }
+    rpcSignatureOrError = body.result;
+  } catch (error) {
+    rpcSignatureOrError = error;
+  }
+
+  const sendDuration = Date.now() - sentAt;
+  if (rpcSignatureOrError instanceof Error) {
+    console.error(`Error sending to block engine ${endpointName}: ${rpcSignatureOrError.message}, Duration: ${sendDuration}ms`);
+  } else {
+    console.log(`Successfully sent to block engine ${endpointName} via ${method}. Duration: ${sendDuration}ms`);
+  }
   return { endpointName, sentAt, sendDuration, rpcSignatureOrError };
 }
 
+/**
+ * Watches the block height until a transaction's blockhash expires, i.e. until the block height passes the
+ * lastValidBlockHeight returned by getLatestBlockhash. From then on the transaction can no longer land.
+ * Before reporting expiry the signature status is checked once, so a transaction that landed without its confirmation
+ * being seen yet is not reported as dropped. Checks are spaced out while expiry is still many blocks away.
+ * The watcher is passed to the subscription and polling functions, which then finish with EXPIRED_STATUS on expiry.
+ * @param {Connection} connection - Connection used for getBlockHeight and getSignatureStatuses.
+ * @param {string} transactionSignature - The base58 encoded transaction signature.
+ * @param {number} lastValidBlockHeight - From getLatestBlockhash when the transaction was created.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=2000] - Minimum delay between block height checks.
+ * @returns {{expired: boolean, onExpired: function(function): function, stop: function(): void}}
+ *          onExpired(listener) calls the listener once with ({ expiredAt, blockHeight, lastValidBlockHeight }) on
+ *          expiry (immediately if already expired) and returns a function that unregisters it. stop() ends watching.
+ */
+export function watchBlockhashExpiry(connection, transactionSignature, lastValidBlockHeight, { intervalMs = 2000 } = {}) {
+  const listeners = new Set();
+  let stopped = false;
+  let timerId = null;
+  let expiry = null;
+
+  const stop = () => {
+    stopped = true;
+    listeners.clear();
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+  };
+
+  const watcher = {
+    expired: false,
+    onExpired: (listener) => {
+      if (expiry) {
+        listener(expiry);
+        return () => {};
+      }
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    stop,
+  };
+
+  const check = async () => {
+    timerId = null;
+    let delay = intervalMs;
+    try {
+      const blockHeight = await connection.getBlockHeight('confirmed');
+      if (stopped) return;
+      if (blockHeight > lastValidBlockHeight) {
+        const { value } = await connection.getSignatureStatuses([transactionSignature]);
+        if (stopped) return;
+        if (value && value[0]) {
+          console.log(`Tx ${transactionSignature.substring(0,6)}...: Blockhash expired, but the transaction landed in slot ${value[0].slot}.`);
+          stop();
+          return;
+        }
+        expiry = { expiredAt: Date.now(), blockHeight, lastValidBlockHeight };
+        watcher.expired = true;
+        console.warn(`Tx ${transactionSignature.substring(0,6)}...: Blockhash expired at block height ${blockHeight} (last valid: ${lastValidBlockHeight}). The transaction was dropped.`);
+        const expiryListeners = [...listeners];
+        stop();
+        expiryListeners.forEach(listener => listener(expiry));
+        return;
+      }
+      // Blocks take about 400 ms, so waiting 200 ms per remaining block cannot overshoot expiry by much.
+      delay = Math.min(MAX_EXPIRY_CHECK_DELAY_MS, Math.max(intervalMs, (lastValidBlockHeight - blockHeight) * 200));
+    } catch (error) {
+      if (stopped) return;
+      console.warn(`Tx ${transactionSignature.substring(0,6)}...: Block height check failed: ${error.message}`);
+    }
+    timerId = setTimeout(check, delay);
+  };
+
+  timerId = setTimeout(check, intervalMs);
+  return watcher;
+}
+
+// Registers a listener on an optional watchBlockhashExpiry watcher. Returns the unregister function.
+const onBlockhashExpiry = (blockhashExpiry, listener) => (blockhashExpiry ? blockhashExpiry.onExpired(listener) : () => {});
+
+const blockhashExpiredError = ({ blockHeight, lastValidBlockHeight }) =>
+  new Error(`${EXPIRED_STATUS}: block height ${blockHeight} passed the last valid block height ${lastValidBlockHeight} of the blockhash.`);
+
 /**
  * Subscribes to a transaction signature for confirmation on a given WebSocket endpoint.
- * @param {Connection} connection - Solana Connection object for the specific endpoint.
+ * @param {Connection} connection - Solana Connection object for the specific endpoint. Its HTTP headers are also used
+ *                                  for the getTransaction retries after a notification.
  * @param {string} transactionSignature - The base58 encoded transaction signature to subscribe to.
  * @param {string} endpointName - Name of the endpoint for logging/reporting.
  * @param {number} overallSentAt - Timestamp when the transaction was initially sent (for duration calculation).
  * @param {function} onConfirmation - Callback function when confirmation is received or error occurs.
- *                                    Called with ({ endpointName, confirmedAt, wsDuration, error? }).
+ *                                    Called with ({ endpointName, confirmedAt, wsDuration, slot, notificationSlot, error? }).
+ *                                    slot is the landed slot from getTransaction; notificationSlot is the slot the
+ *                                    endpoint was at when it sent the notification.
  * @param {number} timeoutMs - Optional timeout in milliseconds for the subscription (default 30 seconds).
- * @returns {Promise<number>} A promise that resolves with the subscription ID, or rejects on immediate error.
+ * @param {'processed' | 'confirmed' | 'finalized'} commitment - Commitment level to subscribe at (default 'confirmed').
+ * @param {object} [blockhashExpiry] - Watcher from watchBlockhashExpiry. On expiry the subscription is removed and
+ *                                     onConfirmation is called with status EXPIRED_STATUS.
+ * @returns {Promise<{wsConnection: Connection, subId: number | null, wsName: string, stop: function(): void}>} Resolves
+ *          once subscribed, or rejects on immediate error. stop() removes the subscription and abandons pending
+ *          getTransaction retries; onConfirmation is then not called.
  */
 export async function subscribeToSignatureConfirmation(
   connection, 
@@ -139,15 +427,20 @@ export async function subscribeToSignatureConfirmation(
   endpointName, 
   overallSentAt, 
   onConfirmation,
-  timeoutMs = 100000 // Default timeout 30 seconds
+  timeoutMs = 100000, // Default timeout 30 seconds
+  commitment = 'confirmed',
+  blockhashExpiry = null
 ) {
   const wsSubscribedAt = Date.now();
   // console.log(`Subscribing to signature ${transactionSignature} on ${endpointName}}`);
   
   let timeoutId = null;
   let subId = null; // To store the subscription ID for cleanup
+  let unregisterExpiry = () => {};
+  let stopped = false;
 
   const cleanup = () => {
+    unregisterExpiry();
     if (timeoutId) {
       clearTimeout(timeoutId);
       timeoutId = null;
@@ -159,6 +452,11 @@ export async function subscribeToSignatureConfirmation(
     }
   };
 
+  const stop = () => {
+    stopped = true;
+    cleanup();
+  };
+
   return new Promise((resolve, reject) => {
     timeoutId = setTimeout(() => {
       cleanup();
@@ -171,7 +469,7 @@ export async function subscribeToSignatureConfirmation(
         error,
         status: 'Timeout' // Custom status for timeout
       });
-      resolve({ wsConnection: connection, subId: null, wsName: endpointName, error }); 
+      resolve({ wsConnection: connection, subId: null, wsName: endpointName, error, stop }); 
     }, timeoutMs);
 
     try {
@@ -194,6 +492,7 @@ export async function subscribeToSignatureConfirmation(
               wsSubscribedAt,
               overallSentAtForDurCalc: overallSentAt,
               slot: context.slot, // Slot from WS context
+              notificationSlot: context.slot,
               blockTime: null,
               error: new Error(typeof notificationResult.err === 'string' ? notificationResult.err : JSON.stringify(notificationResult.err)),
               rawNotification: notificationResult,
@@ -214,8 +513,10 @@ export async function subscribeToSignatureConfirmation(
             console.log(`Tx ${transactionSignature.substring(0,6)}...: WS signal OK from ${endpointName}. Attempting getTransaction for more details.`);
             
             for (let attempt = 1; attempt <= maxRetries; attempt++) {
+              if (stopped) return;
               try {
-                const transactionDetails = await connection.getTransaction(transactionSignature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+                // getTransaction does not support 'processed', so anything below 'finalized' is fetched at 'confirmed'.
+                const transactionDetails = await connection.getTransaction(transactionSignature, { commitment: commitment === 'finalized' ? 'finalized' : 'confirmed', maxSupportedTransactionVersion: 0 });
                 
                 if (transactionDetails && transactionDetails.slot) {
                   fetchedSlot = transactionDetails.slot;
@@ -260,6 +561,8 @@ export async function subscribeToSignatureConfirmation(
             if (!fetchedSlot && context.slot) fetchedSlot = context.slot; // Fallback to WS slot on critical error too
           }
 
+          if (stopped) return;
+
           // Final values before calling onConfirmation
           console.log(`Tx ${transactionSignature.substring(0,6)}... FINALIZING for ${endpointName}: 
             Fetched Slot: ${fetchedSlot}, 
@@ -275,6 +578,7 @@ export async function subscribeToSignatureConfirmation(
             wsSubscribedAt,
             overallSentAtForDurCalc: overallSentAt,
             slot: fetchedSlot, // Authoritative slot from getTransaction, or fallback to WS context.slot
+            notificationSlot: context.slot,
             blockTime: fetchedBlockTime, // blockTime from getTransaction
             error: getTransactionError, // Prefer getTransaction error if it occurred
             rawNotification: notificationResult, // Original WS notification
@@ -282,9 +586,21 @@ export async function subscribeToSignatureConfirmation(
             status: getTransactionError ? 'RPC GetTransaction Error' : 'Confirmed'
           });
         },
-        'confirmed' // Subscribe to 'confirmed' commitment level for the signature status
+        commitment // Commitment level for the signature status notification
       );
-      resolve({ wsConnection: connection, subId, wsName: endpointName }); 
+      unregisterExpiry = onBlockhashExpiry(blockhashExpiry, (expiry) => {
+        cleanup();
+        const error = blockhashExpiredError(expiry);
+        onConfirmation({
+          endpointName,
+          wsSubscribedAt,
+          overallSentAtForDurCalc: overallSentAt,
+          error,
+          status: EXPIRED_STATUS
+        });
+        resolve({ wsConnection: connection, subId: null, wsName: endpointName, error, stop });
+      });
+      resolve({ wsConnection: connection, subId, wsName: endpointName, stop }); 
     } catch (error) {
       cleanup();
       console.error(`Error subscribing to signature on ${endpointName} (sig: ${transactionSignature.substring(0,6)}...): ${error.message}`);
@@ -298,4 +614,464 @@ export async function subscribeToSignatureConfirmation(
       reject(error); 
     }
   });
-} 
+}
+
+/**
+ * Subscribes to a transaction signature at a single commitment level and reports when that milestone is reached.
+ * Unlike subscribeToSignatureConfirmation, no getTransaction lookup is made; only the notification time and slot are recorded.
+ * @param {Connection} connection - Solana Connection object for the specific WS endpoint.
+ * @param {string} transactionSignature - The base58 encoded transaction signature to subscribe to.
+ * @param {string} endpointName - Name of the endpoint for logging/reporting.
+ * @param {'processed' | 'confirmed' | 'finalized'} commitment - Commitment level of the milestone.
+ * @param {number} overallSentAt - Timestamp when the transaction was initially sent (for duration calculation).
+ * @param {function} onMilestone - Called once with ({ endpointName, commitment, notifiedAt, duration, slot, error, status }).
+ * @param {number} timeoutMs - Optional timeout in milliseconds for the subscription.
+ * @param {object} [blockhashExpiry] - Watcher from watchBlockhashExpiry; on expiry the milestone is reported with status EXPIRED_STATUS.
+ * @returns {Promise<{wsConnection: Connection, subId: number | null, wsName: string, stop: function(): void}>} Resolves
+ *          once subscribed. stop() removes the subscription; onMilestone is then not called.
+ */
+export async function subscribeToSignatureMilestone(
+  connection,
+  transactionSignature,
+  endpointName,
+  commitment,
+  overallSentAt,
+  onMilestone,
+  timeoutMs = 100000,
+  blockhashExpiry = null
+) {
+  let timeoutId = null;
+  let subId = null;
+  let unregisterExpiry = () => {};
+
+  const stop = () => {
+    unregisterExpiry();
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    if (subId !== null) {
+      connection.removeSignatureListener(subId).catch(err => console.error(`Error removing ${commitment} listener for ${endpointName}:`, err));
+      subId = null;
+    }
+  };
+
+  // Ends the subscription without a notification (timeout or expiry).
+  const abandon = (error, status) => {
+    stop();
+    onMilestone({ endpointName, commitment, error, status });
+  };
+
+  const timeoutHandler = () => {
+    timeoutId = null;
+    const error = new Error(`Timeout: No ${commitment} notification from ${endpointName} for ${transactionSignature.substring(0,6)}... within ${timeoutMs / 1000}s.`);
+    console.warn(error.message);
+    abandon(error, 'Timeout');
+  };
+
+  try {
+    timeoutId = setTimeout(timeoutHandler, timeoutMs);
+    subId = connection.onSignature(
+      transactionSignature,
+      (notificationResult, context) => {
+        // Signature subscriptions are one-shot, so the listener is already gone once this fires.
+        subId = null;
+        unregisterExpiry();
+        if (timeoutId) {
+          clearTimeout(timeoutId);
+          timeoutId = null;
+        }
+        const notifiedAt = Date.now();
+        const duration = notifiedAt - overallSentAt;
+        console.log(`Tx ${transactionSignature.substring(0,6)}...: ${commitment} notification from ${endpointName}. Slot: ${context.slot}. Duration from send: ${duration}ms.`);
+        onMilestone({
+          endpointName,
+          commitment,
+          notifiedAt,
+          duration,
+          slot: context.slot,
+          error: notificationResult.err ? new Error(JSON.stringify(notificationResult.err)) : null,
+          status: notificationResult.err ? 'WS Signature Error' : 'Reached'
+        });
+      },
+      commitment
+    );
+    unregisterExpiry = onBlockhashExpiry(blockhashExpiry, (expiry) => abandon(blockhashExpiredError(expiry), EXPIRED_STATUS));
+    return { wsConnection: connection, subId, wsName: endpointName, stop };
+  } catch (error) {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    console.error(`Error subscribing to ${commitment} milestone on ${endpointName} (sig: ${transactionSignature.substring(0,6)}...): ${error.message}`);
+    onMilestone({ endpointName, commitment, error, status: 'WS Subscription Setup Error' });
+    throw error;
+  }
+}
+
+/**
+ * Polls getSignatureStatuses on an RPC endpoint until the signature reaches a commitment level, fails or times out.
+ * This is a confirmation source independent of WebSocket subscriptions, for setups that cannot keep a WebSocket open.
+ * The detection time is when the first matching status response arrived, so it includes up to one polling interval.
+ * @param {Connection} connection - Solana Connection object for the RPC endpoint to poll.
+ * @param {string} transactionSignature - The base58 encoded transaction signature to look up.
+ * @param {string} endpointName - Name of the endpoint for logging/reporting.
+ * @param {number} overallSentAt - Timestamp when the transaction was initially sent (for duration calculation).
+ * @param {function} onDetection - Called once with ({ endpointName, detectedAt, pollDuration, pollCount, failedPolls, slot, error, status }).
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=1000] - Delay between polls.
+ * @param {number} [options.timeoutMs=100000] - Gives up this long after overallSentAt.
+ * @param {'processed' | 'confirmed' | 'finalized'} [options.commitment='confirmed'] - Commitment level that counts as detected.
+ * @param {object} [options.blockhashExpiry] - Watcher from watchBlockhashExpiry; on expiry polling ends with status EXPIRED_STATUS.
+ * @returns {{stop: function(): void}} Call stop() to end polling early; onDetection is then not called.
+ */
+export function pollSignatureStatus(
+  connection,
+  transactionSignature,
+  endpointName,
+  overallSentAt,
+  onDetection,
+  { intervalMs = 1000, timeoutMs = 100000, commitment = 'confirmed', blockhashExpiry = null } = {}
+) {
+  const requiredLevel = COMMITMENT_LEVELS.indexOf(commitment);
+  let stopped = false;
+  let timerId = null;
+  let pollCount = 0;
+  let failedPolls = 0;
+  let lastPollError = null;
+  let unregisterExpiry = () => {};
+
+  const stop = () => {
+    stopped = true;
+    unregisterExpiry();
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+  };
+
+  const finish = (result) => {
+    stop();
+    onDetection({ endpointName, pollCount, failedPolls, ...result });
+  };
+
+  const poll = async () => {
+    timerId = null;
+    pollCount++;
+    try {
+      const { value } = await connection.getSignatureStatuses([transactionSignature]);
+      if (stopped) return;
+      const signatureStatus = value && value[0];
+      // Nodes that predate confirmationStatus report finalized transactions with confirmations === null.
+      const reached = signatureStatus && (signatureStatus.confirmationStatus
+        ? COMMITMENT_LEVELS.indexOf(signatureStatus.confirmationStatus) >= requiredLevel
+        : signatureStatus.confirmations === null);
+      if (signatureStatus && (reached || signatureStatus.err)) {
+        const detectedAt = Date.now();
+        const pollDuration = detectedAt - overallSentAt;
+        console.log(`Tx ${transactionSignature.substring(0,6)}...: ${signatureStatus.confirmationStatus || 'finalized'} status from ${endpointName} after ${pollCount} poll(s). Slot: ${signatureStatus.slot}. Duration from send: ${pollDuration}ms.`);
+        finish({
+          detectedAt,
+          pollDuration,
+          slot: signatureStatus.slot,
+          error: signatureStatus.err ? new Error(JSON.stringify(signatureStatus.err)) : null,
+          status: signatureStatus.err ? 'Poll Signature Error' : 'Confirmed'
+        });
+        return;
+      }
+    } catch (error) {
+      if (stopped) return;
+      failedPolls++;
+      lastPollError = error;
+      console.warn(`Tx ${transactionSignature.substring(0,6)}...: getSignatureStatuses on ${endpointName} failed (poll ${pollCount}): ${error.message}`);
+    }
+
+    if (Date.now() + intervalMs - overallSentAt > timeoutMs) {
+      const reason = lastPollError ? ` Last poll error: ${lastPollError.message}` : '';
+      const error = new Error(`Timeout: ${endpointName} did not report ${transactionSignature.substring(0,6)}... as ${commitment} within ${timeoutMs / 1000}s.${reason}`);
+      console.warn(error.message);
+      finish({ error, status: 'Timeout' });
+      return;
+    }
+    timerId = setTimeout(poll, intervalMs);
+  };
+
+  timerId = setTimeout(poll, intervalMs);
+  unregisterExpiry = onBlockhashExpiry(blockhashExpiry, (expiry) => {
+    if (!stopped) finish({ error: blockhashExpiredError(expiry), status: EXPIRED_STATUS });
+  });
+  return { stop };
+}
+
+/**
+ * Checks whether a string is a base58 encoded transaction signature (64 bytes).
+ * @param {string} value - The string to check.
+ * @returns {boolean}
+ */
+export function isTransactionSignature(value) {
+  try {
+    return bs58.decode(value).length === 64;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Looks up a signature's status once, including transactions older than the RPC node's status cache, e.g. to find out
+ * whether a watched transaction had already landed before it was watched.
+ * @param {Connection} connection - Solana Connection object of an RPC endpoint.
+ * @param {string} transactionSignature - The base58 encoded transaction signature.
+ * @returns {Promise<{slot: number, confirmationStatus: string, err: object|null, blockTime: number|null} | null>}
+ *          null if the node doesn't know the signature (yet). blockTime is null if the node couldn't provide it.
+ */
+export async function lookupSignatureStatus(connection, transactionSignature) {
+  const { value } = await connection.getSignatureStatuses([transactionSignature], { searchTransactionHistory: true });
+  const signatureStatus = value && value[0];
+  if (!signatureStatus) return null;
+  let blockTime = null;
+  try {
+    blockTime = await connection.getBlockTime(signatureStatus.slot);
+  } catch (error) {
+    console.warn(`Tx ${transactionSignature.substring(0,6)}...: Could not get the block time of slot ${signatureStatus.slot}: ${error.message}`);
+  }
+  return {
+    slot: signatureStatus.slot,
+    // Nodes that predate confirmationStatus report finalized transactions with confirmations === null.
+    confirmationStatus: signatureStatus.confirmationStatus || (signatureStatus.confirmations === null ? 'finalized' : 'processed'),
+    err: signatureStatus.err,
+    blockTime,
+  };
+}
+
+// Minimal blockSubscribe client. web3.js has no blockSubscribe support, so this opens its own WebSocket.
+// Returns a function that closes the socket. A socket that fails or closes by itself, also after subscribing, is
+// reported through onFailure: no more blocks would arrive.
+const subscribeToBlocksMentioning = (wsUrl, account, commitment, onBlock, onFailure) => {
+  const socket = new WebSocket(wsUrl);
+  let subscribed = false;
+  const connectionLost = (reason) => {
+    if (subscribed) {
+      onFailure(new Error(`blockSubscribe WebSocket ${reason} after subscribing.`), 'WS Connection Lost');
+    } else {
+      onFailure(new Error(`blockSubscribe WebSocket ${reason === 'failed' ? 'connection failed' : reason}.`), 'WS Subscription Setup Error');
+    }
+  };
+  socket.onopen = () => {
+    socket.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'blockSubscribe',
+      params: [
+        { mentionsAccountOrProgram: account },
+        { commitment, encoding: 'json', transactionDetails: 'signatures', showRewards: false, maxSupportedTransactionVersion: 0 },
+      ],
+    }));
+  };
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    if (message.id === 1 && message.error) {
+      onFailure(new Error(`blockSubscribe rejected: ${message.error.message}`), 'Unsupported');
+    } else if (message.id === 1) {
+      subscribed = true;
+    } else if (message.method === 'blockNotification') {
+      onBlock(message.params.result.value, message.params.result.context);
+    }
+  };
+  socket.onerror = () => connectionLost('failed');
+  socket.onclose = (event) => connectionLost(`closed (code ${event.code})`);
+  return () => {
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onerror = null;
+    socket.onclose = null;
+    socket.close();
+  };
+};
+
+/**
+ * Detects a transaction through one of the alternative WebSocket channels (see CONFIRMATION_CHANNELS):
+ * - 'logs': logsSubscribe mentioning the fee payer; detected when a notification carries the signature.
+ * - 'account': accountSubscribe on the fee payer; detected on the first change after subscribing. The notification
+ *   does not name the transaction, so with several transactions in flight another one can trigger it.
+ * - 'block': blockSubscribe mentioning the fee payer; detected when a block lists the signature. Many providers
+ *   don't offer blockSubscribe; they are reported with status 'Unsupported'.
+ * @param {Connection} connection - Solana Connection object for the WS endpoint (used for logs and account).
+ * @param {'logs' | 'account' | 'block'} channel
+ * @param {{signature: string, feePayer: PublicKey, wsUrl: string}} target - Transaction, its fee payer and the WS URL (used for block).
+ * @param {string} endpointName - Name of the endpoint for logging/reporting.
+ * @param {number} overallSentAt - Timestamp when the transaction was initially sent (for duration calculation).
+ * @param {function} onDetection - Called once with ({ endpointName, channel, detectedAt, duration, slot, error, status }).
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=100000] - Gives up after this long.
+ * @param {'processed' | 'confirmed' | 'finalized'} [options.commitment='confirmed'] - Commitment level to subscribe at.
+ * @param {object} [options.blockhashExpiry] - Watcher from watchBlockhashExpiry; on expiry the channel finishes with status EXPIRED_STATUS.
+ * @returns {{stop: function(): void}} Call stop() to unsubscribe early; onDetection is then not called.
+ */
+export function subscribeToConfirmationChannel(
+  connection,
+  channel,
+  { signature, feePayer, wsUrl },
+  endpointName,
+  overallSentAt,
+  onDetection,
+  { timeoutMs = 100000, commitment = 'confirmed', blockhashExpiry = null } = {}
+) {
+  let finished = false;
+  let timeoutId = null;
+  let unsubscribe = () => {};
+  let unregisterExpiry = () => {};
+  const label = `Tx ${signature.substring(0,6)}...: ${channel} channel of ${endpointName}`;
+
+  const stop = () => {
+    if (finished) return;
+    finished = true;
+    unregisterExpiry();
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    unsubscribe();
+  };
+
+  const finish = (result) => {
+    if (finished) return;
+    stop();
+    onDetection({ endpointName, channel, ...result });
+  };
+
+  const detected = (slot, err) => {
+    const detectedAt = Date.now();
+    const duration = detectedAt - overallSentAt;
+    console.log(`${label}: detected. Slot: ${slot}. Duration from send: ${duration}ms.`);
+    finish({
+      detectedAt,
+      duration,
+      slot,
+      error: err ? new Error(typeof err === 'string' ? err : JSON.stringify(err)) : null,
+      status: err ? 'WS Signature Error' : 'Confirmed'
+    });
+  };
+
+  const failed = (error, status) => {
+    console.warn(`${label}: ${error.message}`);
+    finish({ error, status });
+  };
+
+  timeoutId = setTimeout(() => {
+    timeoutId = null;
+    failed(new Error(`Timeout: No ${channel} notification within ${timeoutMs / 1000}s.`), 'Timeout');
+  }, timeoutMs);
+
+  try {
+    if (channel === 'logs') {
+      const subId = connection.onLogs(feePayer, (logs, context) => {
+        if (logs.signature === signature) detected(context.slot, logs.err);
+      }, commitment);
+      unsubscribe = () => connection.removeOnLogsListener(subId).catch(err => console.error(`${label}: Error removing listener:`, err));
+    } else if (channel === 'account') {
+      const subId = connection.onAccountChange(feePayer, (accountInfo, context) => detected(context.slot, null), { commitment });
+      unsubscribe = () => connection.removeAccountChangeListener(subId).catch(err => console.error(`${label}: Error removing listener:`, err));
+    } else if (channel === 'block') {
+      if (typeof WebSocket === 'undefined') {
+        failed(new Error('WebSocket is not available in this runtime.'), 'Unsupported');
+      } else {
+        unsubscribe = subscribeToBlocksMentioning(wsUrl, feePayer.toBase58(), commitment, (blockUpdate, context) => {
+          if (blockUpdate.block && (blockUpdate.block.signatures || []).includes(signature)) {
+            detected(blockUpdate.slot || context.slot, null);
+          }
+        }, failed);
+      }
+    } else {
+      throw new Error(`Unknown confirmation channel '${channel}'.`);
+    }
+  } catch (error) {
+    failed(error, 'WS Subscription Setup Error');
+  }
+
+  if (!finished) {
+    unregisterExpiry = onBlockhashExpiry(blockhashExpiry, (expiry) => finish({ error: blockhashExpiredError(expiry), status: EXPIRED_STATUS }));
+  }
+  return { stop };
+}
+
+/**
+ * Keeps resending a signed transaction to its send endpoints in rounds until stopped (e.g. on the first confirmation),
+ * its blockhash expires or timeoutMs has passed since the initial send. Round 1 is the caller's initial send, so the
+ * first resend is round 2.
+ * @param {{name: string, send: function(): Promise<object>}[]} targets - Endpoints to resend to. send() resends the
+ *        transaction and resolves like sendTransactionToRpc or sendTransactionToBlockEngine.
+ * @param {object} policy
+ * @param {'interval' | 'backoff'} policy.mode - Resend every intervalMs, or double the delay after every round.
+ * @param {number} policy.intervalMs - Delay before round 2 (and between all rounds in 'interval' mode).
+ * @param {boolean} [policy.onlyHealthyEndpoints] - Skip endpoints listed in erroredEndpoints.
+ * @param {object} context
+ * @param {object} [context.blockhashExpiry] - Watcher from watchBlockhashExpiry; rebroadcasting stops with 'expired' on expiry.
+ * @param {Set<string>} context.erroredEndpoints - Names of endpoints whose sends failed; failed resends are added.
+ * @param {number} context.startedAt - Timestamp of the initial send.
+ * @param {number} [context.timeoutMs=100000] - No rounds are started after this long.
+ * @param {function} context.onAttempt - Called for every resend with ({ round, name, sentAt, sendDuration, error }).
+ * @param {function} context.onStop - Called once with ({ reason, rounds, stoppedAt }); reason is 'confirmed', 'expired',
+ *                                    'timeout', 'no-endpoints' or the reason passed to stop().
+ * @returns {{stop: function(string=): void}} stop(reason) ends rebroadcasting.
+ */
+export function startRebroadcast(targets, policy, context) {
+  const { blockhashExpiry, erroredEndpoints, startedAt, timeoutMs = 100000, onAttempt, onStop } = context;
+  let stopped = false;
+  let timerId = null;
+  let round = 1;
+  let unregisterExpiry = () => {};
+
+  const stop = (reason) => {
+    if (stopped) return;
+    stopped = true;
+    unregisterExpiry();
+    if (timerId) {
+      clearTimeout(timerId);
+      timerId = null;
+    }
+    console.log(`Rebroadcast stopped after ${round} round(s): ${reason}.`);
+    onStop({ reason, rounds: round, stoppedAt: Date.now() });
+  };
+
+  const scheduleNextRound = () => {
+    const delay = policy.mode === 'backoff' ? policy.intervalMs * 2 ** (round - 1) : policy.intervalMs;
+    const remaining = startedAt + timeoutMs - Date.now();
+    timerId = delay < remaining
+      ? setTimeout(runRound, delay)
+      : setTimeout(() => stop('timeout'), Math.max(0, remaining));
+  };
+
+  const runRound = () => {
+    timerId = null;
+    const roundTargets = policy.onlyHealthyEndpoints ? targets.filter(target => !erroredEndpoints.has(target.name)) : targets;
+    if (roundTargets.length === 0) {
+      stop('no-endpoints');
+      return;
+    }
+    round++;
+    const thisRound = round;
+    // Rounds are started on schedule; a slow endpoint doesn't delay the next round.
+    roundTargets.forEach(({ name, send }) => {
+      const sentAt = Date.now();
+      send().then(result => {
+        const error = result.rpcSignatureOrError instanceof Error ? result.rpcSignatureOrError : null;
+        if (error) erroredEndpoints.add(name);
+        onAttempt({ round: thisRound, name, sentAt: result.sentAt, sendDuration: result.sendDuration, error });
+      }, error => {
+        // send() normally resolves with its error; a rejection still counts as a failed resend of this round.
+        erroredEndpoints.add(name);
+        onAttempt({ round: thisRound, name, sentAt, sendDuration: Date.now() - sentAt, error: error instanceof Error ? error : new Error(String(error)) });
+      });
+    });
+    scheduleNextRound();
+  };
+
+  scheduleNextRound();
+  unregisterExpiry = onBlockhashExpiry(blockhashExpiry, () => stop('expired'));
+  return { stop: (reason = 'stopped') => stop(reason) };
+}
@@ -0,0 +1,388 @@
+import { STOPPED_STATUS, NOT_NOTIFIED_STATUS } from './solanaUtils.js';
+
+/**
+ * Returns the p-th percentile of an already sorted array of numbers (nearest-rank method).
+ * @param {number[]} sortedValues - Values sorted in ascending order.
+ * @param {number} p - Percentile between 0 and 100.
+ * @returns {number | null} The percentile value, or null if there are no values.
+ */
+export function calculatePercentile(sortedValues, p) {
+  if (!sortedValues || sortedValues.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarizes a list of latency samples.
+ * @param {number[]} values - Latency samples in milliseconds.
+ * @returns {{count: number, min: number|null, mean: number|null, p50: number|null, p90: number|null, p99: number|null}}
+ */
+export function summarizeLatencies(values) {
+  const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, min: null, mean: null, p50: null, p90: null, p99: null };
+  }
+  const sum = sorted.reduce((acc, v) => acc + v, 0);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    mean: Math.round(sum / sorted.length),
+    p50: calculatePercentile(sorted, 50),
+    p90: calculatePercentile(sorted, 90),
+    p99: calculatePercentile(sorted, 99),
+  };
+}
+
+// Returns the entry for `name`, creating it on first use so endpoints keep their first-seen order.
+const getOrCreateEntry = (entries, name) => {
+  if (!entries.has(name)) {
+    entries.set(name, { name, attempts: 0, successes: 0, errors: 0, wins: 0, latencies: [], isolatedTransactions: 0, landed: 0, landingLatencies: [] });
+  }
+  return entries.get(name);
+};
+
+const finalizeEntries = (entries) => Array.from(entries.values()).map(({ latencies, landingLatencies, ...entry }) => ({
+  ...entry,
+  successRate: entry.attempts > 0 ? entry.successes / entry.attempts : null,
+  latency: summarizeLatencies(latencies),
+  landingRate: entry.isolatedTransactions > 0 ? entry.landed / entry.isolatedTransactions : null,
+  landingLatency: summarizeLatencies(landingLatencies),
+}));
+
+/**
+ * Aggregates per-transaction RPC send and WS confirmation results into per-endpoint statistics.
+ * RPC latency is the send duration; an RPC "win" is the fastest successful send of a transaction.
+ * WS latency is the duration from the overall send to the WS signal; a WS "win" is the first confirmation.
+ * Dropped (expired) transactions and subscriptions ended by stopping the run are left out of the WS statistics.
+ * RPC send entries include block engine endpoints, marked with endpointType 'block-engine'.
+ * Transactions sent in isolation mode (to a single send endpoint) also count towards that endpoint's landing rate
+ * (isolatedTransactions, landed) and landing latency (from its send to the first WS confirmation).
+ * @param {object[]} allTransactionResults - Entries as stored by PROCESS_SINGLE_TX_COMPLETE / PROCESS_ERROR.
+ * @returns {{rpc: object[], ws: object[]}} Per-endpoint statistics for RPC and WS endpoints.
+ */
+export function buildEndpointLeaderboard(allTransactionResults) {
+  const rpcEntries = new Map();
+  const wsEntries = new Map();
+
+  (allTransactionResults || []).forEach(txData => {
+    let fastestRpc = null;
+    (txData.rpcSendResults || []).forEach(rpcResult => {
+      if (!rpcResult.name) return;
+      const entry = getOrCreateEntry(rpcEntries, rpcResult.name);
+      entry.endpointType = rpcResult.endpointType || 'rpc';
+      entry.attempts++;
+      if (rpcResult.error) {
+        entry.errors++;
+      } else if (typeof rpcResult.sendDuration === 'number') {
+        entry.successes++;
+        entry.latencies.push(rpcResult.sendDuration);
+        if (!fastestRpc || rpcResult.sendDuration < fastestRpc.sendDuration) {
+          fastestRpc = rpcResult;
+        }
+      }
+    });
+    if (fastestRpc) {
+      rpcEntries.get(fastestRpc.name).wins++;
+    }
+    if (txData.isolatedSendEndpointName) {
+      const entry = getOrCreateEntry(rpcEntries, txData.isolatedSendEndpointName);
+      const sendResult = (txData.rpcSendResults || []).find(rpcResult => rpcResult.name === txData.isolatedSendEndpointName);
+      entry.isolatedTransactions++;
+      if (txData.firstWsConfirmedAt) {
+        entry.landed++;
+        if (sendResult && sendResult.sentAt) entry.landingLatencies.push(txData.firstWsConfirmedAt - sendResult.sentAt);
+      }
+    }
+
+    // A transaction whose blockhash expired was dropped; its missing confirmations are not the WS endpoints' fault.
+    if (txData.expiredAt) return;
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      // Subscriptions ended by stopping the run never had the chance to confirm, and a watched transaction that had
+      // already landed is often not notified at all.
+      if (!wsResult.name || wsResult.status === STOPPED_STATUS || wsResult.status === NOT_NOTIFIED_STATUS) return;
+      const entry = getOrCreateEntry(wsEntries, wsResult.name);
+      entry.attempts++;
+      if (wsResult.error) {
+        entry.errors++;
+      }
+      if (wsResult.confirmedAt && wsResult.status !== 'WS Signature Error') {
+        entry.successes++;
+        entry.latencies.push(wsResult.wsDuration);
+      }
+    });
+    if (txData.firstConfirmedByEndpointName && wsEntries.has(txData.firstConfirmedByEndpointName)) {
+      wsEntries.get(txData.firstConfirmedByEndpointName).wins++;
+    }
+  });
+
+  return { rpc: finalizeEntries(rpcEntries), ws: finalizeEntries(wsEntries) };
+}
+
+/**
+ * Computes how far each WS endpoint's confirmation signal trailed the earliest one for a transaction.
+ * @param {object} txData - A single entry from allTransactionResults.
+ * @returns {Object<string, number|null>} Map of WS endpoint name to lag in ms (0 for the first), or null if it never confirmed.
+ */
+export function computeWsConfirmationLags(txData) {
+  const wsResults = (txData && txData.wsConfirmationResults) || [];
+  const confirmed = wsResults.filter(r => r.confirmedAt && r.status !== 'WS Signature Error');
+  const firstConfirmedAt = confirmed.length > 0 ? Math.min(...confirmed.map(r => r.confirmedAt)) : null;
+
+  const lags = {};
+  wsResults.forEach(r => {
+    if (!r.name) return;
+    lags[r.name] = firstConfirmedAt !== null && confirmed.includes(r) ? r.confirmedAt - firstConfirmedAt : null;
+  });
+  return lags;
+}
+
+// Adds a point to the series for `name`, creating the series on first use.
+const addSeriesPoint = (seriesByName, name, point) => {
+  if (!seriesByName.has(name)) {
+    seriesByName.set(name, { name, points: [] });
+  }
+  seriesByName.get(name).points.push(point);
+};
+
+const sortedSeries = (seriesByName) => Array.from(seriesByName.values()).map(series => ({
+  ...series,
+  points: [...series.points].sort((a, b) => a.time - b.time),
+}));
+
+/**
+ * Builds per-endpoint latency time series for charts.
+ * Send points are placed at the RPC send time, confirmation points at the transaction's send time.
+ * Failed sends and failed or timed-out confirmations become points with a null value; pending results and the
+ * confirmations of dropped (expired) transactions are skipped.
+ * @param {object[]} transactions - allTransactionResults entries (in-flight entries have the same shape).
+ * @returns {{send: {name: string, points: {time: number, value: number|null}[]}[], confirm: {name: string, points: {time: number, value: number|null}[]}[]}}
+ */
+export function buildLatencyTimeSeries(transactions) {
+  const sendSeries = new Map();
+  const confirmSeries = new Map();
+
+  (transactions || []).forEach(txData => {
+    (txData.rpcSendResults || []).forEach(rpcResult => {
+      if (!rpcResult.name || !rpcResult.sentAt) return;
+      if (rpcResult.error) {
+        addSeriesPoint(sendSeries, rpcResult.name, { time: rpcResult.sentAt, value: null });
+      } else if (typeof rpcResult.sendDuration === 'number') {
+        addSeriesPoint(sendSeries, rpcResult.name, { time: rpcResult.sentAt, value: rpcResult.sendDuration });
+      }
+    });
+
+    if (!txData.sentAt || txData.expiredAt) return;
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      if (!wsResult.name) return;
+      if (wsResult.confirmedAt && wsResult.status !== 'WS Signature Error') {
+        addSeriesPoint(confirmSeries, wsResult.name, { time: txData.sentAt, value: wsResult.wsDuration });
+      } else if (wsResult.error) {
+        addSeriesPoint(confirmSeries, wsResult.name, { time: txData.sentAt, value: null });
+      }
+    });
+  });
+
+  return { send: sortedSeries(sendSeries), confirm: sortedSeries(confirmSeries) };
+}
+
+/**
+ * Five-number summary for a box plot.
+ * @param {number[]} values - Samples in milliseconds.
+ * @returns {{count: number, min: number, q1: number, median: number, q3: number, max: number} | null} Null if there are no samples.
+ */
+export function summarizeBoxPlot(values) {
+  const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1: calculatePercentile(sorted, 25),
+    median: calculatePercentile(sorted, 50),
+    q3: calculatePercentile(sorted, 75),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Collects the successful latency samples of every endpoint: send durations per RPC endpoint and
+ * send-to-confirmation durations per WS endpoint.
+ * @param {object[]} allTransactionResults
+ * @returns {{rpc: {name: string, values: number[]}[], ws: {name: string, values: number[]}[]}}
+ */
+export function collectEndpointLatencies(allTransactionResults) {
+  const rpc = new Map();
+  const ws = new Map();
+  const add = (entries, name, value) => {
+    if (!entries.has(name)) entries.set(name, { name, values: [] });
+    entries.get(name).values.push(value);
+  };
+  (allTransactionResults || []).forEach(txData => {
+    (txData.rpcSendResults || []).forEach(rpcResult => {
+      if (rpcResult.name && !rpcResult.error && typeof rpcResult.sendDuration === 'number') {
+        add(rpc, rpcResult.name, rpcResult.sendDuration);
+      }
+    });
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      if (wsResult.name && wsResult.confirmedAt && wsResult.status !== 'WS Signature Error' && typeof wsResult.wsDuration === 'number') {
+        add(ws, wsResult.name, wsResult.wsDuration);
+      }
+    });
+  });
+  return { rpc: Array.from(rpc.values()), ws: Array.from(ws.values()) };
+}
+
+/**
+ * Splits a transaction's lifetime into phases:
+ * create (creation started -> sending started), send (until the fastest RPC accepted it) and
+ * confirm (from then until the first WS confirmation).
+ * @param {object} txData - A single entry from allTransactionResults.
+ * @returns {{create: number|null, send: number|null, confirm: number|null}} Durations in ms; null when unknown.
+ */
+export function computeTransactionPhases(txData) {
+  const create = txData.createdAt && txData.sentAt ? txData.sentAt - txData.createdAt : null;
+  const sendDurations = (txData.rpcSendResults || [])
+    .filter(rpcResult => !rpcResult.error && typeof rpcResult.sendDuration === 'number')
+    .map(rpcResult => rpcResult.sendDuration);
+  const send = sendDurations.length > 0 ? Math.min(...sendDurations) : null;
+  const confirm = txData.firstWsConfirmedAt && txData.sentAt
+    ? Math.max(0, txData.firstWsConfirmedAt - txData.sentAt - (send || 0))
+    : null;
+  return { create, send, confirm };
+}
+
+/**
+ * Compares how quickly getSignatureStatuses polling and WS subscriptions detected confirmations, per provider.
+ * Providers are matched by endpoint name, so an `endpoints` entry with both an rpcUrl and a wsUrl forms one row.
+ * Both latencies are measured from the overall send time. `delta` summarizes poll minus WS latency over the
+ * transactions that both sources detected (positive means polling was slower).
+ * @param {object[]} allTransactionResults
+ * @returns {{name: string, poll: {attempts: number, latency: object}, ws: {attempts: number, latency: object}, delta: object}[]}
+ */
+export function buildDetectionComparison(allTransactionResults) {
+  const providers = new Map();
+  const getProvider = (name) => {
+    if (!providers.has(name)) {
+      providers.set(name, { name, pollAttempts: 0, wsAttempts: 0, pollLatencies: [], wsLatencies: [], deltas: [] });
+    }
+    return providers.get(name);
+  };
+
+  (allTransactionResults || []).forEach(txData => {
+    const wsLatencyByName = {};
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      if (!wsResult.name) return;
+      const provider = getProvider(wsResult.name);
+      provider.wsAttempts++;
+      if (wsResult.confirmedAt && wsResult.status !== 'WS Signature Error' && typeof wsResult.wsDuration === 'number') {
+        provider.wsLatencies.push(wsResult.wsDuration);
+        wsLatencyByName[wsResult.name] = wsResult.wsDuration;
+      }
+    });
+    (txData.pollConfirmationResults || []).forEach(pollResult => {
+      if (!pollResult.name) return;
+      const provider = getProvider(pollResult.name);
+      provider.pollAttempts++;
+      if (pollResult.status === 'Confirmed' && typeof pollResult.pollDuration === 'number') {
+        provider.pollLatencies.push(pollResult.pollDuration);
+        if (wsLatencyByName[pollResult.name] !== undefined) {
+          provider.deltas.push(pollResult.pollDuration - wsLatencyByName[pollResult.name]);
+        }
+      }
+    });
+  });
+
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    poll: { attempts: provider.pollAttempts, latency: summarizeLatencies(provider.pollLatencies) },
+    ws: { attempts: provider.wsAttempts, latency: summarizeLatencies(provider.wsLatencies) },
+    delta: summarizeLatencies(provider.deltas),
+  }));
+}
+
+/**
+ * Compares the WS confirmation channels per WS endpoint: signatureSubscribe (the regular WS result) and the
+ * alternative channels (logs, account, block) stored in each WS result's `channels`.
+ * All latencies are measured from the overall send time.
+ * @param {object[]} allTransactionResults
+ * @returns {{name: string, channels: Object<string, {attempts: number, unsupported: number, latency: object}>, fastestChannel: string|null}[]}
+ *          Channels are keyed 'signature', 'logs', 'account' and 'block'; fastestChannel has the lowest median latency.
+ */
+export function buildChannelComparison(allTransactionResults) {
+  const endpoints = new Map();
+  const addSample = (name, channel, result, latency) => {
+    if (!endpoints.has(name)) endpoints.set(name, {});
+    const channels = endpoints.get(name);
+    if (!channels[channel]) channels[channel] = { attempts: 0, unsupported: 0, latencies: [] };
+    channels[channel].attempts++;
+    if (result.status === 'Unsupported') channels[channel].unsupported++;
+    if (typeof latency === 'number') channels[channel].latencies.push(latency);
+  };
+
+  (allTransactionResults || []).forEach(txData => {
+    (txData.wsConfirmationResults || []).forEach(wsResult => {
+      if (!wsResult.name) return;
+      const signatureConfirmed = wsResult.confirmedAt && wsResult.status !== 'WS Signature Error';
+      addSample(wsResult.name, 'signature', wsResult, signatureConfirmed ? wsResult.wsDuration : null);
+      Object.entries(wsResult.channels || {}).forEach(([channel, channelResult]) => {
+        addSample(wsResult.name, channel, channelResult, channelResult.status === 'Confirmed' ? channelResult.duration : null);
+      });
+    });
+  });
+
+  return Array.from(endpoints.entries()).map(([name, channels]) => {
+    const summarized = Object.fromEntries(Object.entries(channels).map(([channel, { latencies, ...counts }]) => (
+      [channel, { ...counts, latency: summarizeLatencies(latencies) }]
+    )));
+    const fastestChannel = Object.entries(summarized)
+      .filter(([, summary]) => summary.latency.count > 0)
+      .reduce((fastest, [channel, summary]) => (
+        !fastest || summary.latency.p50 < summarized[fastest].latency.p50 ? channel : fastest
+      ), null);
+    return { name, channels: summarized, fastestChannel };
+  });
+}
+
+/**
+ * Counts the sends a rebroadcast transaction needed before its first WS confirmation. Round 1 is the initial send
+ * to every RPC endpoint. Sends made after the transaction landed but before the WS signal arrived are included.
+ * @param {object} txData - A single entry from allTransactionResults.
+ * @returns {{rounds: number, sends: number} | null} Null if the transaction was not rebroadcast or never confirmed.
+ */
+export function countSendsToLand(txData) {
+  if (!txData.rebroadcast || !txData.firstWsConfirmedAt) return null;
+  const initialSends = (txData.rpcSendResults || []).filter(rpcResult => rpcResult.sentAt && rpcResult.sentAt <= txData.firstWsConfirmedAt);
+  const resends = (txData.rebroadcast.attempts || []).filter(attempt => attempt.sentAt <= txData.firstWsConfirmedAt);
+  return { rounds: 1 + new Set(resends.map(attempt => attempt.round)).size, sends: initialSends.length + resends.length };
+}
+
+/**
+ * Measures a transaction's inclusion speed in slots, which unlike wall-clock durations doesn't depend on the browser or
+ * network jitter. The landed slot comes from getTransaction (a WS result with status 'Confirmed') or, failing that,
+ * from getSignatureStatuses polling.
+ * @param {object} txData - A single entry from allTransactionResults.
+ * @returns {{landedSlot: number|null, slotAtSend: number|null, slotsToLand: number|null, rpc: Object<string, number|null>, ws: Object<string, number|null>}}
+ *          slotAtSend is the highest slot any RPC endpoint reported at send time. `rpc` maps RPC endpoint names to the
+ *          slots to land counted from that endpoint's own slot at send; `ws` maps WS endpoint names to how many slots
+ *          after the landed slot they sent their notification.
+ */
+export function computeSlotsToLand(txData) {
+  const landedResult = (txData.wsConfirmationResults || []).find(wsResult => wsResult.status === 'Confirmed' && typeof wsResult.slot === 'number')
+    || (txData.pollConfirmationResults || []).find(pollResult => pollResult.status === 'Confirmed' && typeof pollResult.slot === 'number');
+  const landedSlot = landedResult ? landedResult.slot : null;
+  const slotsAtSend = (txData.rpcSendResults || []).map(rpcResult => rpcResult.slotAtSend).filter(slot => typeof slot === 'number');
+  const slotAtSend = slotsAtSend.length > 0 ? Math.max(...slotsAtSend) : null;
+  const slotsSince = (slot) => (landedSlot !== null && typeof slot === 'number' ? landedSlot - slot : null);
+
+  const rpc = {};
+  (txData.rpcSendResults || []).forEach(rpcResult => {
+    // Block engine endpoints don't report a slot.
+    if (rpcResult.name && rpcResult.endpointType !== 'block-engine') rpc[rpcResult.name] = slotsSince(rpcResult.slotAtSend);
+  });
+  const ws = {};
+  (txData.wsConfirmationResults || []).forEach(wsResult => {
+    if (!wsResult.name) return;
+    ws[wsResult.name] = landedSlot !== null && typeof wsResult.notificationSlot === 'number' ? wsResult.notificationSlot - landedSlot : null;
+  });
+
+  return { landedSlot, slotAtSend, slotsToLand: slotsSince(slotAtSend), rpc, ws };
+}